@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "public"."restaurants" ADD COLUMN     "dic" TEXT,
+ADD COLUMN     "ico" TEXT,
+ADD COLUMN     "vatNumber" TEXT,
+ADD COLUMN     "vatRate" DOUBLE PRECISION NOT NULL DEFAULT 20.0;
+
+-- CreateTable
+CREATE TABLE "public"."invoices" (
+    "id" SERIAL NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "customerName" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "customerPhone" TEXT,
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "deliveryFee" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "totalNet" DOUBLE PRECISION NOT NULL,
+    "vatAmount" DOUBLE PRECISION NOT NULL,
+    "totalGross" DOUBLE PRECISION NOT NULL,
+    "paymentMethod" "public"."PaymentMethod" NOT NULL,
+    "orderItems" JSONB NOT NULL,
+    "emailSent" BOOLEAN NOT NULL DEFAULT false,
+    "emailSentAt" TIMESTAMP(3),
+    "emailAttempts" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_invoiceNumber_key" ON "public"."invoices"("invoiceNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_orderId_key" ON "public"."invoices"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."CheckoutStatus" AS ENUM ('PENDING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "public"."stripe_checkouts" (
+    "id" SERIAL NOT NULL,
+    "paymentIntentId" TEXT NOT NULL,
+    "status" "public"."CheckoutStatus" NOT NULL DEFAULT 'PENDING',
+    "orderData" JSONB NOT NULL,
+    "pricing" JSONB NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "orderId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "stripe_checkouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stripe_checkouts_paymentIntentId_key" ON "public"."stripe_checkouts"("paymentIntentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stripe_checkouts_orderId_key" ON "public"."stripe_checkouts"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."stripe_checkouts" ADD CONSTRAINT "stripe_checkouts_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."order_status_history" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "fromStatus" "public"."OrderStatus",
+    "toStatus" "public"."OrderStatus" NOT NULL,
+    "adminId" INTEGER,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_status_history_orderId_idx" ON "public"."order_status_history"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."order_status_history" ADD CONSTRAINT "order_status_history_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."order_status_history" ADD CONSTRAINT "order_status_history_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "public"."admin_users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."orders" ADD COLUMN     "releasedAt" TIMESTAMP(3);
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "public"."orders" ADD COLUMN     "deliveryZoneId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."delivery_zones" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "postalCodes" TEXT[],
+    "polygon" JSONB,
+    "deliveryFee" DOUBLE PRECISION NOT NULL,
+    "minimumOrder" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "freeDeliveryThreshold" DOUBLE PRECISION,
+    "estimatedMinutes" INTEGER NOT NULL DEFAULT 45,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."address_locations" (
+    "id" SERIAL NOT NULL,
+    "street" TEXT NOT NULL,
+    "city" TEXT NOT NULL,
+    "postalCode" TEXT,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "address_locations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "address_locations_street_city_key" ON "public"."address_locations"("street", "city");
+
+-- AddForeignKey
+ALTER TABLE "public"."orders" ADD CONSTRAINT "orders_deliveryZoneId_fkey" FOREIGN KEY ("deliveryZoneId") REFERENCES "public"."delivery_zones"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "public"."PromotionType" AS ENUM ('PERCENTAGE', 'FIXED_AMOUNT', 'FREE_DELIVERY', 'BUY_X_GET_Y');
+
+-- AlterTable
+ALTER TABLE "public"."orders" ADD COLUMN     "promotionId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."invoices" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0.00;
+
+-- CreateTable
+CREATE TABLE "public"."promotions" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "public"."PromotionType" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "buyQuantity" INTEGER,
+    "getQuantity" INTEGER,
+    "menuItemIds" INTEGER[],
+    "categoryIds" INTEGER[],
+    "minimumOrder" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "maxUsesPerCustomer" INTEGER,
+    "usesCount" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."promotion_redemptions" (
+    "id" SERIAL NOT NULL,
+    "promotionId" INTEGER NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "customerPhone" TEXT,
+    "customerEmail" TEXT,
+    "discount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotions_code_key" ON "public"."promotions"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_redemptions_orderId_key" ON "public"."promotion_redemptions"("orderId");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_promotionId_idx" ON "public"."promotion_redemptions"("promotionId");
+
+-- AddForeignKey
+ALTER TABLE "public"."promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "public"."promotions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."orders" ADD CONSTRAINT "orders_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "public"."promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "public"."CustomerTokenType" AS ENUM ('EMAIL_VERIFICATION', 'PASSWORD_RESET');
+
+-- AlterTable
+ALTER TABLE "public"."customers" ADD COLUMN     "lastLoginAt" TIMESTAMP(3),
+ADD COLUMN     "password" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."customer_tokens" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "type" "public"."CustomerTokenType" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "customer_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customer_tokens_tokenHash_key" ON "public"."customer_tokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "customer_tokens_customerId_idx" ON "public"."customer_tokens"("customerId");
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_tokens" ADD CONSTRAINT "customer_tokens_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
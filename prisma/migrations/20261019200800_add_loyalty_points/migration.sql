@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "public"."LoyaltyTransactionType" AS ENUM ('EARN', 'REDEEM', 'EXPIRE', 'REVERSAL');
+
+-- AlterEnum
+ALTER TYPE "public"."CheckoutStatus" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "public"."orders" ADD COLUMN     "loyaltyDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+ADD COLUMN     "loyaltyPointsRedeemed" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."stripe_checkouts" ADD COLUMN     "loyaltyReservationId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."invoices" ADD COLUMN     "loyaltyDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0.00;
+
+-- CreateTable
+CREATE TABLE "public"."loyalty_transactions" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "orderId" INTEGER,
+    "type" "public"."LoyaltyTransactionType" NOT NULL,
+    "points" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "loyalty_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "loyalty_transactions_customerId_idx" ON "public"."loyalty_transactions"("customerId");
+
+-- CreateIndex
+CREATE INDEX "loyalty_transactions_orderId_idx" ON "public"."loyalty_transactions"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_transactions" ADD CONSTRAINT "loyalty_transactions_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."loyalty_transactions" ADD CONSTRAINT "loyalty_transactions_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "public"."credit_notes" (
+    "id" SERIAL NOT NULL,
+    "creditNoteNumber" TEXT NOT NULL,
+    "invoiceId" INTEGER NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "refundId" INTEGER,
+    "reason" TEXT,
+    "customerName" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "customerPhone" TEXT,
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "deliveryFee" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "discount" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "loyaltyDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+    "totalNet" DOUBLE PRECISION NOT NULL,
+    "vatAmount" DOUBLE PRECISION NOT NULL,
+    "totalGross" DOUBLE PRECISION NOT NULL,
+    "paymentMethod" "public"."PaymentMethod" NOT NULL,
+    "orderItems" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "credit_notes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_notes_creditNoteNumber_key" ON "public"."credit_notes"("creditNoteNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_notes_refundId_key" ON "public"."credit_notes"("refundId");
+
+-- CreateIndex
+CREATE INDEX "credit_notes_invoiceId_idx" ON "public"."credit_notes"("invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "public"."credit_notes" ADD CONSTRAINT "credit_notes_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "public"."invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."credit_notes" ADD CONSTRAINT "credit_notes_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."credit_notes" ADD CONSTRAINT "credit_notes_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "public"."refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."payments" ADD COLUMN     "collectedAt" TIMESTAMP(3),
+ADD COLUMN     "collectedById" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "public"."payments" ADD CONSTRAINT "payments_collectedById_fkey" FOREIGN KEY ("collectedById") REFERENCES "public"."admin_users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
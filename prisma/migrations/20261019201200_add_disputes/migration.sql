@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "public"."disputes" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "paymentId" INTEGER NOT NULL,
+    "stripeDisputeId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "reason" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "evidenceDueBy" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "disputes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "disputes_stripeDisputeId_key" ON "public"."disputes"("stripeDisputeId");
+
+-- CreateIndex
+CREATE INDEX "disputes_orderId_idx" ON "public"."disputes"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."disputes" ADD CONSTRAINT "disputes_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."disputes" ADD CONSTRAINT "disputes_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."payments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
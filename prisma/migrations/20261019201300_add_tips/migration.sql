@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."orders" ADD COLUMN     "tip" DOUBLE PRECISION NOT NULL DEFAULT 0.00;
+
+-- AlterTable
+ALTER TABLE "public"."invoices" ADD COLUMN     "tip" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+ADD COLUMN     "tipTaxable" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."credit_notes" ADD COLUMN     "tip" DOUBLE PRECISION NOT NULL DEFAULT 0.00,
+ADD COLUMN     "tipTaxable" BOOLEAN NOT NULL DEFAULT false;
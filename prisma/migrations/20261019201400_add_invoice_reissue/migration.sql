@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "public"."invoices_orderId_key";
+
+-- AlterTable
+ALTER TABLE "public"."invoices" ADD COLUMN     "voidedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "invoices_orderId_idx" ON "public"."invoices"("orderId");
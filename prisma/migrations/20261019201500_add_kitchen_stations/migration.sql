@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "public"."categories" ADD COLUMN     "stationId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."menu_items" ADD COLUMN     "stationId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."kitchen_stations" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "displayOrder" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "kitchen_stations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."station_tickets" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "stationId" INTEGER NOT NULL,
+    "items" JSONB NOT NULL,
+    "bumpedAt" TIMESTAMP(3),
+    "bumpedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "station_tickets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kitchen_stations_slug_key" ON "public"."kitchen_stations"("slug");
+
+-- CreateIndex
+CREATE INDEX "station_tickets_stationId_bumpedAt_idx" ON "public"."station_tickets"("stationId", "bumpedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "station_tickets_orderId_stationId_key" ON "public"."station_tickets"("orderId", "stationId");
+
+-- AddForeignKey
+ALTER TABLE "public"."categories" ADD CONSTRAINT "categories_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "public"."kitchen_stations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."menu_items" ADD CONSTRAINT "menu_items_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "public"."kitchen_stations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."station_tickets" ADD CONSTRAINT "station_tickets_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."station_tickets" ADD CONSTRAINT "station_tickets_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "public"."kitchen_stations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."station_tickets" ADD CONSTRAINT "station_tickets_bumpedById_fkey" FOREIGN KEY ("bumpedById") REFERENCES "public"."admin_users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "public"."PrintTrigger" AS ENUM ('NEW_ORDER', 'ACCEPTED', 'MANUAL');
+
+-- CreateTable
+CREATE TABLE "public"."printers" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "host" TEXT NOT NULL,
+    "port" INTEGER NOT NULL DEFAULT 9100,
+    "codePage" TEXT NOT NULL DEFAULT 'CP852',
+    "paperWidth" INTEGER NOT NULL DEFAULT 42,
+    "printTickets" BOOLEAN NOT NULL DEFAULT true,
+    "printReceipts" BOOLEAN NOT NULL DEFAULT false,
+    "autoPrint" "public"."PrintTrigger" NOT NULL DEFAULT 'ACCEPTED',
+    "stationId" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "printers_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "public"."printers" ADD CONSTRAINT "printers_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "public"."kitchen_stations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "public"."DeliveryOutcome" AS ENUM ('DELIVERED', 'FAILED');
+
+-- AlterEnum
+ALTER TYPE "public"."AdminRole" ADD VALUE 'DRIVER';
+
+-- CreateTable
+CREATE TABLE "public"."delivery_assignments" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "driverId" INTEGER NOT NULL,
+    "assignedById" INTEGER,
+    "assignedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "outcome" "public"."DeliveryOutcome",
+    "failureReason" TEXT,
+    "cashCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "remittedAt" TIMESTAMP(3),
+    "remittedToId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "delivery_assignments_driverId_completedAt_idx" ON "public"."delivery_assignments"("driverId", "completedAt");
+
+-- CreateIndex
+CREATE INDEX "delivery_assignments_orderId_idx" ON "public"."delivery_assignments"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_assignments" ADD CONSTRAINT "delivery_assignments_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_assignments" ADD CONSTRAINT "delivery_assignments_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "public"."admin_users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_assignments" ADD CONSTRAINT "delivery_assignments_assignedById_fkey" FOREIGN KEY ("assignedById") REFERENCES "public"."admin_users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_assignments" ADD CONSTRAINT "delivery_assignments_remittedToId_fkey" FOREIGN KEY ("remittedToId") REFERENCES "public"."admin_users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -4,7 +4,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
@@ -321,1290 +321,1259 @@ app.get('/api/customization', asyncHandler(async (req, res) => {
 }));
 
 // ============================================
-// ORDER MANAGEMENT APIs
+// CUSTOMER ACCOUNT APIs
 // ============================================
 
-const { generateInvoicePDF, generateInvoiceNumber, getNextInvoiceCounter, calculateVATBreakdown } = require('./utils/invoice-generator');
-const { sendInvoiceEmail, sendOrderStatusEmail, testEmailConfig } = require('./utils/email-service-sendgrid');
+const {
+  ADMIN_JWT_AUDIENCE,
+  getJwtSecret,
+  signCustomerToken,
+  verifyCustomerToken,
+  createCustomerToken,
+  consumeCustomerToken,
+  toCustomerProfile,
+  formatCustomerAddress
+} = require('./utils/customer-auth');
+const { sendCustomerAccountEmail } = require('./utils/email-service-sendgrid');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://palacebar.sk';
+
+// Rate limiting for customer login, signup and password reset
+const customerAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 100 : 10,
+  message: {
+    error: 'Too many attempts from this IP, please try again later.'
+  }
+});
 
-// Place new order
-app.post('/api/orders', orderLimiter, asyncHandler(async (req, res) => {
-  const {
-    customerName,
-    customerPhone,
-    customerEmail,
-    orderType, // 'DELIVERY' or 'PICKUP'
-    deliveryAddress,
-    deliveryNotes,
-    specialNotes,
-    items, // Array of order items
-    scheduledFor, // Optional scheduled delivery time
-    paymentMethod // 'CASH', 'CARD', 'ONLINE'
-  } = req.body;
+// Load the customer for a Bearer token, returns { customer } or { error }
+const getCustomerFromRequest = async (req) => {
+  const token = req.headers.authorization.split(' ')[1];
 
-  console.log('🛒 Processing new order...');
-  console.log('- customerName:', customerName);
-  console.log('- customerPhone:', customerPhone, typeof customerPhone);
-  console.log('- items:', items?.length || 0, 'items');
-  console.log('- paymentMethod:', paymentMethod);
+  try {
+    const decoded = verifyCustomerToken(token);
+    const customer = await prisma.customer.findUnique({
+      where: { id: decoded.id }
+    });
 
+    if (!customer || !customer.isActive) {
+      return { error: 'Invalid or inactive customer account' };
+    }
 
-  // Validation
-  if (!customerName || !customerPhone || !items || items.length === 0) {
-    return res.status(400).json({
+    return { customer };
+  } catch (error) {
+    console.log('❌ Customer token verification failed:', error.message);
+    return { error: 'Your session has expired, please log in again' };
+  }
+};
+
+// Middleware to require a logged-in customer
+const authenticateCustomer = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
       success: false,
-      error: 'Missing required fields: customerName, customerPhone, items'
+      error: 'Authentication token required'
     });
   }
 
-  if (orderType === 'DELIVERY' && !deliveryAddress) {
-    return res.status(400).json({
+  const result = await getCustomerFromRequest(req);
+  if (result.error) {
+    return res.status(401).json({
       success: false,
-      error: 'Delivery address is required for delivery orders'
+      error: result.error
     });
   }
 
-  try {
-    // Get restaurant settings for delivery fee
-    const restaurant = await prisma.restaurant.findFirst();
-    const deliveryFee = (orderType === 'DELIVERY') ? restaurant?.deliveryFee || 2.50 : 0;
-
-    // Calculate totals and prepare order items
-    let subtotal = 0;
-    const orderItems = [];
-    const invoiceItems = []; // For invoice generation
-
-    for (const item of items) {
-      const menuItem = await prisma.menuItem.findUnique({
-        where: { id: item.menuItemId },
-        include: {
-          translations: { where: { language: 'hu' } }
-        }
-      });
+  req.customer = result.customer;
+  next();
+});
 
-      if (!menuItem) {
-        return res.status(400).json({
-          success: false,
-          error: `Menu item with ID ${item.menuItemId} not found`
-        });
-      }
+// Middleware for routes open to guests, attaches the customer when a valid token is sent
+// An expired or revoked token checks out as a guest instead of blocking the order
+const identifyCustomer = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
 
-      let itemTotal = menuItem.price * item.quantity;
-      let customizations = [];
-      
-      // Add fries upgrade cost - check if sides are included
-      if (item.friesUpgrade) {
-        const friesOption = await prisma.friesOption.findFirst({
-          where: { slug: item.friesUpgrade },
-          include: { translations: { where: { language: 'hu' } } }
-        });
-        
-        if (friesOption) {
-          if (menuItem.includesSides) {
-            // Items WITH sides included - regular fries are FREE, only charge for upgrades
-            if (friesOption.slug !== 'regular' && friesOption.slug !== 'regular-fries') {
-              itemTotal += friesOption.priceAddon * item.quantity;
-              customizations.push(`${friesOption.translations[0]?.name || friesOption.slug} (+€${friesOption.priceAddon})`);
-            } else {
-              customizations.push(friesOption.translations[0]?.name || 'Regular fries');
-            }
-          } else {
-            // Items WITHOUT sides included - charge full price for any fries
-            itemTotal += friesOption.priceAddon * item.quantity;
-            customizations.push(`${friesOption.translations[0]?.name || friesOption.slug} (+€${friesOption.priceAddon})`);
-          }
-        }
-      }
+  const result = await getCustomerFromRequest(req);
+  if (!result.error) {
+    req.customer = result.customer;
+  }
+  next();
+});
 
-      // Add sauce selection
-      if (item.selectedSauce) {
-        const sauce = await prisma.sauce.findFirst({
-          where: { slug: item.selectedSauce },
-          include: { translations: { where: { language: 'hu' } } }
-        });
-        if (sauce) {
-          customizations.push(sauce.translations[0]?.name || sauce.slug);
-        }
-      }
+// Delivery address for an order, from a saved address of the logged-in customer or the typed fields
+const resolveDeliveryAddress = async (customer, { addressId, deliveryAddress, deliveryPostalCode, deliveryCity }) => {
+  if (!addressId) {
+    return {
+      address: { id: null, line: deliveryAddress, postalCode: deliveryPostalCode, city: deliveryCity }
+    };
+  }
 
-      // Add extras cost (€0.30 per extra)
-      if (item.extras && item.extras.length > 0) {
-        const extrasCount = item.extras.length;
-        const extrasCost = extrasCount * 0.30;
-        itemTotal += extrasCost * item.quantity;
-        customizations.push(`${extrasCount} extra(s) (+€${extrasCost.toFixed(2)})`);
-      }
+  if (!customer) {
+    return { error: 'Please log in to use a saved address', statusCode: 401 };
+  }
 
-      subtotal += itemTotal;
-      
-      // For database
-      orderItems.push({
-        menuItemId: item.menuItemId,
-        quantity: item.quantity,
-        unitPrice: menuItem.price,
-        totalPrice: itemTotal,
-        selectedSauce: item.selectedSauce || null,
-        friesUpgrade: item.friesUpgrade || null,
-        extras: item.extras || [],
-        removeItems: item.removeItems || [],
-        specialNotes: item.specialNotes || null
-      });
+  const saved = await prisma.customerAddress.findFirst({
+    where: { id: parseInt(addressId), customerId: customer.id }
+  });
 
-      // For invoice
-      invoiceItems.push({
-        slug: menuItem.slug,
-        name: menuItem.translations[0]?.name || 'Unknown Item',
-        quantity: item.quantity,
-        unitPrice: menuItem.price,
-        totalPrice: itemTotal,
-        customizations: customizations.join(', ')
-      });
+  if (!saved) {
+    return { error: 'Saved address not found', statusCode: 404 };
+  }
+
+  return {
+    address: {
+      id: saved.id,
+      line: formatCustomerAddress(saved),
+      postalCode: saved.postalCode,
+      city: saved.city
     }
+  };
+};
 
-    const total = subtotal + deliveryFee;
+// Email a verification or password reset link
+const sendCustomerTokenEmail = async (customer, type) => {
+  const token = await createCustomerToken(prisma, customer.id, type);
+  const page = type === 'PASSWORD_RESET' ? 'reset-password' : 'verify-email';
 
-    // Create order in database
-    const order = await prisma.order.create({
-      data: {
-        orderNumber: generateOrderNumber(),
-        status: 'PENDING',
-        orderType,
-        paymentMethod: paymentMethod || 'CASH',
-        customerName,
-        customerPhone,
-        customerEmail: customerEmail || null,
-        deliveryAddress: orderType === 'DELIVERY' ? deliveryAddress : null,
-        deliveryNotes: deliveryNotes || null,
-        specialNotes: specialNotes || null,
-        subtotal,
-        deliveryFee,
-        total,
-        scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
-        estimatedTime: new Date(Date.now() + 45 * 60 * 1000), // 45 minutes from now
-        items: {
-          create: orderItems
-        }
-      },
-      include: {
-        items: {
-          include: {
-            menuItem: {
-              include: {
-                translations: {
-                  where: { language: 'hu' }
-                }
-              }
-            }
-          }
-        }
-      }
+  const result = await sendCustomerAccountEmail(type, {
+    firstName: customer.firstName,
+    link: `${FRONTEND_URL}/${page}?token=${token}`
+  }, customer.email);
+
+  if (!result.success) {
+    console.error(`❌ ${type} email failed for ${customer.email}:`, result.error);
+  }
+};
+
+// Register customer account
+app.post('/api/customers/register', customerAuthLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('firstName').trim().notEmpty().withMessage('First name is required'),
+  body('lastName').trim().notEmpty().withMessage('Last name is required'),
+  body('phone').optional({ values: 'falsy' }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
     });
+  }
 
-    console.log(`✅ Order created: ${order.orderNumber}`);
+  const { email, password, firstName, lastName, phone } = req.body;
 
-    // Generate invoice
-    try {
-      console.log('📄 Generating invoice...');
-      
-      // Get next invoice number
-      const currentYear = new Date().getFullYear();
-      const invoiceCounter = await getNextInvoiceCounter(paymentMethod || 'CASH', currentYear, prisma);
-      const invoiceNumber = generateInvoiceNumber(paymentMethod || 'CASH', currentYear, invoiceCounter);
-      
-      // Calculate VAT breakdown
-      const vatBreakdown = calculateVATBreakdown(total);
-      
-      // Create invoice record
-      const invoice = await prisma.invoice.create({
-        data: {
-          invoiceNumber,
-          orderId: order.id,
-          customerName,
-          customerEmail: customerEmail || null,
-          customerPhone,
-          subtotal,
-          deliveryFee,
-          totalNet: vatBreakdown.netAmount,
-          vatAmount: vatBreakdown.vatAmount,
-          totalGross: vatBreakdown.grossAmount,
-          paymentMethod: paymentMethod || 'CASH',
-          orderItems: invoiceItems, // Store as JSON
-          emailSent: false
-        },
-        include: {
-          order: true
-        }
-      });
+  const existing = await prisma.customer.findUnique({ where: { email } });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'An account with this email already exists'
+    });
+  }
 
-      console.log(`📋 Invoice created: ${invoiceNumber}`);
+  const customer = await prisma.customer.create({
+    data: {
+      email,
+      password: await bcrypt.hash(password, 10),
+      firstName,
+      lastName,
+      phone: phone || null
+    }
+  });
 
-      // Generate PDF
-      const pdfBuffer = await generateInvoicePDF({
-        ...invoice,
-        orderItems: invoiceItems
-      });
+  console.log(`👤 Customer registered: ${customer.email}`);
 
-      console.log('📧 PDF generated, attempting to send email...');
+  await sendCustomerTokenEmail(customer, 'EMAIL_VERIFICATION');
 
-      // Send invoice email if email provided
-      if (customerEmail) {
-        try {
-          const emailResult = await sendInvoiceEmail(invoice, pdfBuffer, customerEmail);
-          
-          if (emailResult.success) {
-            // Update invoice record
-            await prisma.invoice.update({
-              where: { id: invoice.id },
-              data: {
-                emailSent: true,
-                emailSentAt: new Date(),
-                emailAttempts: 1
-              }
-            });
-            console.log(`✅ Invoice email sent to ${customerEmail}`);
-          } else {
-            console.log(`⚠️ Failed to send invoice email: ${emailResult.error}`);
-            // Don't fail the order, just log the issue
-          }
-        } catch (emailError) {
-          console.error('❌ Email sending error:', emailError);
-          // Update invoice with failed attempt
-          await prisma.invoice.update({
-            where: { id: invoice.id },
-            data: {
-              emailAttempts: 1
-            }
-          });
-        }
-      } else {
-        console.log('📧 No customer email provided, skipping invoice email');
-      }
+  res.status(201).json({
+    success: true,
+    data: toCustomerProfile(customer),
+    message: 'Account created. Please check your email to verify your address.'
+  });
+}));
 
-    } catch (invoiceError) {
-      console.error('❌ Invoice generation failed:', invoiceError);
-      // Don't fail the order, but log the issue
-      // The order was created successfully, invoice can be generated later
-    }
+// Verify customer email from the emailed link, logs the customer in
+app.post('/api/customers/verify-email', customerAuthLimiter, asyncHandler(async (req, res) => {
+  const { token } = req.body;
 
-    // Emit WebSocket event for admin dashboard
-    io.emit('newOrder', {
-      id: order.id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      customerName: order.customerName,
-      orderType: order.orderType,
-      total: order.total,
-      createdAt: order.createdAt,
-      items: order.items.map(item => ({
-        name: item.menuItem.translations[0]?.name || 'Unknown',
-        quantity: item.quantity
-      }))
+  const customerToken = await consumeCustomerToken(prisma, token, 'EMAIL_VERIFICATION');
+  if (!customerToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'This verification link is invalid or has expired'
     });
+  }
 
-    console.log(`🎉 Order ${order.orderNumber} completed successfully`);
+  const customer = await prisma.customer.update({
+    where: { id: customerToken.customerId },
+    data: { emailVerified: true, lastLoginAt: new Date() }
+  });
 
-    // Return success response
-    res.status(201).json({
-      success: true,
-      data: {
-        orderId: order.id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        estimatedTime: order.estimatedTime,
-        total: order.total,
-        invoiceGenerated: true
-      },
-      message: 'Order placed successfully! Invoice will be sent to your email.'
-    });
+  res.json({
+    success: true,
+    data: {
+      ...toCustomerProfile(customer),
+      token: signCustomerToken(customer)
+    },
+    message: 'Email verified'
+  });
+}));
 
-  } catch (error) {
-    console.error('❌ Order creation failed:', error);
-    res.status(500).json({
+// Send a new verification email
+app.post('/api/customers/resend-verification', customerAuthLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to create order',
-      details: error.message
+      error: errors.array()[0].msg
     });
   }
-}));
 
-// Get order status
-app.get('/api/orders/:orderNumber/status', asyncHandler(async (req, res) => {
-  const { orderNumber } = req.params;
-  
-  console.log('🔍 Looking for order:', orderNumber);
-  
-  try {
-    const order = await prisma.order.findUnique({
-      where: { orderNumber },
-      include: {
-        items: {
-          include: {
-            menuItem: {
-              include: {
-                translations: {
-                  where: { language: 'hu' }
-                }
-              }
-            }
-          }
-        }
-      }
-    });
+  const customer = await prisma.customer.findUnique({ where: { email: req.body.email } });
 
-    console.log('📦 Found order:', order ? `Yes (ID: ${order.id})` : 'No');
+  if (customer && customer.isActive && !customer.emailVerified) {
+    await sendCustomerTokenEmail(customer, 'EMAIL_VERIFICATION');
+  }
 
-    if (!order) {
-      console.log('❌ Order not found for orderNumber:', orderNumber);
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      });
-    }
-
-    // Get all unique sauce and fries option slugs from the order
-    const sauceSlugs = [...new Set(order.items.map(item => item.selectedSauce).filter(Boolean))];
-    const friesSlugs = [...new Set(order.items.map(item => item.friesUpgrade).filter(Boolean))];
-
-    // Fetch translations for sauces and fries
-    const [sauceTranslations, friesTranslations] = await Promise.all([
-      prisma.sauce.findMany({
-        where: { slug: { in: sauceSlugs } },
-        include: {
-          translations: {
-            where: { language: 'hu' }
-          }
-        }
-      }),
-      prisma.friesOption.findMany({
-        where: { slug: { in: friesSlugs } },
-        include: {
-          translations: {
-            where: { language: 'hu' }
-          }
-        }
-      })
-    ]);
-
-    // Create lookup maps for translations
-    const sauceMap = {};
-    sauceTranslations.forEach(sauce => {
-      sauceMap[sauce.slug] = sauce.translations[0]?.name || sauce.slug;
-    });
+  // Same answer whether or not the account exists
+  res.json({
+    success: true,
+    message: 'If the account exists and is not verified yet, a new verification email has been sent'
+  });
+}));
 
-    const friesMap = {};
-    friesTranslations.forEach(fries => {
-      friesMap[fries.slug] = fries.translations[0]?.name || fries.slug;
+// Customer login
+app.post('/api/customers/login', customerAuthLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
     });
+  }
 
-    console.log('✅ Returning order data for:', orderNumber);
+  const { email, password } = req.body;
 
-    res.json({
-      success: true,
-      data: {
-        orderNumber: order.orderNumber,
-        status: order.status,
-        orderType: order.orderType,
-        customerName: order.customerName,
-        customerPhone: order.customerPhone,
-        customerEmail: order.customerEmail,
-        deliveryAddress: order.deliveryAddress,
-        deliveryNotes: order.deliveryNotes,
-        paymentMethod: order.paymentMethod,
-        subtotal: order.subtotal,
-        deliveryFee: order.deliveryFee,
-        total: order.total,
-        createdAt: order.createdAt,
-        estimatedTime: order.estimatedTime,
-        confirmedAt: order.confirmedAt,
-        readyAt: order.readyAt,
-        deliveredAt: order.deliveredAt,
-        scheduledFor: order.scheduledFor,
-        specialNotes: order.specialNotes,
-        items: order.items.map(item => {
-          // Build customization text with proper translations
-          const customizations = [];
-          
-          if (item.selectedSauce) {
-            const sauceName = sauceMap[item.selectedSauce] || item.selectedSauce;
-            customizations.push(`Szósz: ${sauceName}`);
-          }
-          
-          if (item.friesUpgrade) {
-            const friesName = friesMap[item.friesUpgrade] || item.friesUpgrade;
-            customizations.push(`Krumpli: ${friesName}`);
-          }
-          
-          if (item.extras && item.extras.length > 0) {
-            customizations.push(`Extrák: ${item.extras.join(', ')}`);
-          }
-          
-          if (item.removeItems && item.removeItems.length > 0) {
-            customizations.push(`Elhagyva: ${item.removeItems.join(', ')}`);
-          }
+  const customer = await prisma.customer.findUnique({ where: { email } });
 
-          return {
-            id: item.id,
-            name: item.menuItem.translations[0]?.name || 'Unknown',
-            quantity: item.quantity,
-            unitPrice: item.unitPrice,
-            totalPrice: item.totalPrice,
-            selectedSauce: item.selectedSauce,
-            friesUpgrade: item.friesUpgrade,
-            extras: item.extras || [],
-            removeItems: item.removeItems || [],
-            specialNotes: item.specialNotes,
-            imageUrl: item.menuItem?.imageUrl ? item.menuItem.imageUrl.replace(/\\/g, '/') : 'photos/default-food.jpg',
-            // Add the properly formatted customizations
-            displayCustomizations: customizations.join(' • ')
-          };
-        })
-      }
-    });
-  } catch (error) {
-    console.error('❌ Database error in order status endpoint:', error);
-    res.status(500).json({
+  if (!customer || !customer.password || !(await bcrypt.compare(password, customer.password))) {
+    return res.status(401).json({
       success: false,
-      error: 'Database error occurred'
+      error: 'Invalid credentials'
     });
   }
-}));
 
-const httpServer = createServer(app);
-// Create HTTP server and Socket.io instance
-const io = new Server(httpServer, {
-  cors: {
-    origin: ['https://palacebar.sk', 'https://www.palacebar.sk', 'http://localhost:3000', 'http://127.0.0.1:5500'],
-    methods: ['GET', 'POST'],
-    credentials: true
+  if (!customer.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'Account is disabled'
+    });
   }
-});
 
-// Nodemailer setup (stub for email notifications)
-//const transporter = nodemailer.createTransport({
-  //host: 'smtp.example.com', // Replace with your SMTP host (e.g., Gmail, SendGrid)
-  //port: 587,
-  //secure: false,
-  //auth: {
-    //user: 'your-email@example.com', // Replace with your email
-    //pass: 'your-email-password' // Replace with your email password or app-specific password
-  //}
-//});
-
-const transporter = {
-  sendMail: (options, callback) => {
-    console.log('Email would be sent to:', options.to, 'Subject:', options.subject);
-    if (callback) callback(null, { messageId: 'email-disabled-' + Date.now() });
+  if (!customer.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address before logging in',
+      data: { reason: 'EMAIL_NOT_VERIFIED' }
+    });
   }
-};
 
-// Socket.io connection for real-time order updates
-io.on('connection', (socket) => {
-  console.log('Admin connected:', socket.id);
-  socket.on('disconnect', () => {
-    console.log('Admin disconnected:', socket.id);
+  await prisma.customer.update({
+    where: { id: customer.id },
+    data: { lastLoginAt: new Date() }
   });
-});
 
-// ============================================
-// STRIPE PAYMENT PROCESSING APIs
-// ============================================
+  res.json({
+    success: true,
+    data: {
+      ...toCustomerProfile(customer),
+      token: signCustomerToken(customer)
+    },
+    message: 'Login successful'
+  });
+}));
 
-// Initialize Stripe with secret key
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// Request a password reset email
+app.post('/api/customers/forgot-password', customerAuthLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
 
-// Create payment intent (Step 1: Setup payment)
-app.post('/api/stripe/create-payment-intent', orderLimiter, asyncHandler(async (req, res) => {
-  const {
-    amount,
-    currency = 'eur',
-    orderData, // Customer info and order details
-    metadata = {}
-  } = req.body;
+  const customer = await prisma.customer.findUnique({ where: { email: req.body.email } });
 
-  console.log('💳 Creating Stripe payment intent...');
-  console.log('- Amount:', amount, currency.toUpperCase());
-  console.log('- Customer:', orderData?.customerName);
+  if (customer && customer.isActive) {
+    await sendCustomerTokenEmail(customer, 'PASSWORD_RESET');
+  }
 
-  // Validation
-  if (!amount || amount < 0.50) { // Minimum 50 cents
+  // Same answer whether or not the account exists
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+}));
+
+// Set a new password from the emailed reset link
+app.post('/api/customers/reset-password', customerAuthLimiter, [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid amount. Minimum payment is €0.50'
+      error: errors.array()[0].msg
     });
   }
 
-  if (!orderData?.customerName || !orderData?.customerEmail) {
+  const customerToken = await consumeCustomerToken(prisma, req.body.token, 'PASSWORD_RESET');
+  if (!customerToken) {
     return res.status(400).json({
       success: false,
-      error: 'Customer name and email are required for payment processing'
+      error: 'This reset link is invalid or has expired'
     });
   }
 
-  try {
-    // Create or retrieve customer in Stripe
-    let customer;
-    const existingCustomers = await stripe.customers.list({
-      email: orderData.customerEmail,
-      limit: 1
-    });
-
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-      console.log('🔍 Found existing Stripe customer:', customer.id);
-    } else {
-      customer = await stripe.customers.create({
-        email: orderData.customerEmail,
-        name: orderData.customerName,
-        phone: orderData.customerPhone,
-        metadata: {
-          restaurant: 'Palace Cafe & Street Food',
-          source: 'website_order'
-        }
-      });
-      console.log('✅ Created new Stripe customer:', customer.id);
+  // Following the emailed link also proves the address belongs to the customer
+  await prisma.customer.update({
+    where: { id: customerToken.customerId },
+    data: {
+      password: await bcrypt.hash(req.body.password, 10),
+      emailVerified: true
     }
+  });
 
-    // Prepare payment intent parameters
-    const paymentIntentParams = {
-        amount: Math.round(amount * 100), // Convert euros to cents
-        currency: currency.toLowerCase(),
-        customer: customer.id,
-        capture_method: 'automatic', // Charge immediately on confirmation
-        automatic_payment_methods: {
-          enabled: true,
-          allow_redirects: 'never'
-        },
-        description: `Palace Cafe Order - ${orderData.customerName}`,
-        metadata: {
-            customer_name: orderData.customerName,
-            customer_email: orderData.customerEmail,
-            customer_phone: orderData.customerPhone || '',
-            order_type: orderData.orderType || 'PICKUP',
-            restaurant: 'Palace Cafe & Street Food',
-            ...metadata
-        },
-        receipt_email: orderData.customerEmail
-    };
+  res.json({
+    success: true,
+    message: 'Password updated, you can now log in'
+  });
+}));
 
-    // Only add shipping for delivery orders
-    if (orderData.orderType === 'DELIVERY' && orderData.deliveryAddress) {
-        paymentIntentParams.shipping = {
-            name: orderData.customerName,
-            phone: orderData.customerPhone,
-            address: {
-                line1: orderData.deliveryAddress,
-                city: 'Komárno',
-                country: 'SK'
-            }
-        };
-    }
+// Get logged-in customer profile
+app.get('/api/customers/me', authenticateCustomer, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: toCustomerProfile(req.customer)
+  });
+}));
 
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+// Update logged-in customer profile
+app.put('/api/customers/me', authenticateCustomer, asyncHandler(async (req, res) => {
+  const { firstName, lastName, phone } = req.body;
 
-    console.log('✅ Payment intent created:', paymentIntent.id);
+  const customer = await prisma.customer.update({
+    where: { id: req.customer.id },
+    data: {
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      ...(phone !== undefined && { phone: phone || null })
+    }
+  });
 
-    res.json({
-      success: true,
-      data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id,
-        customerId: customer.id,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency
-      }
+  res.json({
+    success: true,
+    data: toCustomerProfile(customer),
+    message: 'Profile updated'
+  });
+}));
+
+// Change password of the logged-in customer
+app.put('/api/customers/me/password', authenticateCustomer, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
     });
+  }
 
-  } catch (error) {
-    console.error('❌ Stripe payment intent creation failed:', error);
-    res.status(500).json({
+  if (!req.customer.password || !(await bcrypt.compare(req.body.currentPassword, req.customer.password))) {
+    return res.status(401).json({
       success: false,
-      error: error.message || 'Failed to create payment intent'
+      error: 'Current password is incorrect'
     });
   }
+
+  await prisma.customer.update({
+    where: { id: req.customer.id },
+    data: { password: await bcrypt.hash(req.body.newPassword, 10) }
+  });
+
+  res.json({
+    success: true,
+    message: 'Password updated'
+  });
 }));
 
-// Confirm payment and create order (Step 2: After successful payment)
-app.post('/api/stripe/confirm-payment', orderLimiter, asyncHandler(async (req, res) => {
-  const {
-    paymentIntentId,
-    orderData // Complete order information
-  } = req.body;
+// Get loyalty points balance and recent activity
+app.get('/api/customers/me/loyalty', authenticateCustomer, asyncHandler(async (req, res) => {
+  const summary = await getLoyaltySummary(prisma, req.customer.id);
 
-  console.log('🔄 Confirming Stripe payment and creating order...');
-  console.log('- Payment Intent:', paymentIntentId);
-  console.log('- Customer:', orderData?.customerName);
+  res.json({
+    success: true,
+    data: summary
+  });
+}));
 
-  // Validation
-  if (!paymentIntentId || !orderData) {
+// Get saved addresses
+app.get('/api/customers/me/addresses', authenticateCustomer, asyncHandler(async (req, res) => {
+  const addresses = await prisma.customerAddress.findMany({
+    where: { customerId: req.customer.id },
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+  });
+
+  res.json({
+    success: true,
+    data: addresses
+  });
+}));
+
+// Save a new address
+app.post('/api/customers/me/addresses', authenticateCustomer, [
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('street').trim().notEmpty().withMessage('Street is required'),
+  body('city').trim().notEmpty().withMessage('City is required'),
+  body('postalCode').trim().notEmpty().withMessage('Postal code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      error: 'Payment Intent ID and order data are required'
+      error: errors.array()[0].msg
     });
   }
 
-  try {
-    // Retrieve payment intent to verify status
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    if (paymentIntent.status !== 'succeeded') {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment not completed. Status: ' + paymentIntent.status
-      });
-    }
-
-    console.log('✅ Payment confirmed, creating order...');
+  const { label, street, city, postalCode, isDefault } = req.body;
+  const addressCount = await prisma.customerAddress.count({ where: { customerId: req.customer.id } });
+  const makeDefault = Boolean(isDefault) || addressCount === 0; // First address is the default
 
-    // Extract order data
-    const {
-      customerName,
-      customerPhone,
-      customerEmail,
-      orderType,
-      deliveryAddress,
-      deliveryNotes,
-      specialNotes,
-      items,
-      scheduledFor
-    } = orderData;
-
-    // Get restaurant settings for delivery fee
-    const restaurant = await prisma.restaurant.findFirst();
-    const deliveryFee = (orderType === 'DELIVERY') ? restaurant?.deliveryFee || 2.50 : 0;
-
-    // Calculate totals and prepare order items (same logic as cash orders)
-    let subtotal = 0;
-    const orderItems = [];
-    const invoiceItems = [];
-
-    for (const item of items) {
-      const menuItem = await prisma.menuItem.findUnique({
-        where: { id: item.menuItemId },
-        include: {
-          translations: { where: { language: 'hu' } }
-        }
+  const address = await prisma.$transaction(async (tx) => {
+    if (makeDefault) {
+      await tx.customerAddress.updateMany({
+        where: { customerId: req.customer.id },
+        data: { isDefault: false }
       });
+    }
 
-      if (!menuItem) {
-        return res.status(400).json({
-          success: false,
-          error: `Menu item with ID ${item.menuItemId} not found`
-        });
-      }
-
-      let itemTotal = menuItem.price * item.quantity;
-      let customizations = [];
-      
-      // Add fries upgrade cost
-      if (item.friesUpgrade) {
-        const friesOption = await prisma.friesOption.findFirst({
-          where: { slug: item.friesUpgrade },
-          include: { translations: { where: { language: 'hu' } } }
-        });
-        
-        if (friesOption) {
-          if (menuItem.includesSides) {
-            if (friesOption.slug !== 'regular' && friesOption.slug !== 'regular-fries') {
-              itemTotal += friesOption.priceAddon * item.quantity;
-              customizations.push(`${friesOption.translations[0]?.name || friesOption.slug} (+€${friesOption.priceAddon})`);
-            } else {
-              customizations.push(friesOption.translations[0]?.name || 'Regular fries');
-            }
-          } else {
-            itemTotal += friesOption.priceAddon * item.quantity;
-            customizations.push(`${friesOption.translations[0]?.name || friesOption.slug} (+€${friesOption.priceAddon})`);
-          }
-        }
-      }
-
-      // Add sauce selection
-      if (item.selectedSauce) {
-        const sauce = await prisma.sauce.findFirst({
-          where: { slug: item.selectedSauce },
-          include: { translations: { where: { language: 'hu' } } }
-        });
-        if (sauce) {
-          customizations.push(sauce.translations[0]?.name || sauce.slug);
-        }
+    return tx.customerAddress.create({
+      data: {
+        customerId: req.customer.id,
+        label,
+        street,
+        city,
+        postalCode,
+        isDefault: makeDefault
       }
+    });
+  });
 
-      // Add extras cost
-      if (item.extras && item.extras.length > 0) {
-        const extrasCount = item.extras.length;
-        const extrasCost = extrasCount * 0.30;
-        itemTotal += extrasCost * item.quantity;
-        customizations.push(`${extrasCount} extra(s) (+€${extrasCost.toFixed(2)})`);
-      }
+  res.status(201).json({
+    success: true,
+    data: address,
+    message: 'Address saved'
+  });
+}));
 
-      subtotal += itemTotal;
-      
-      // For database
-      orderItems.push({
-        menuItemId: item.menuItemId,
-        quantity: item.quantity,
-        unitPrice: menuItem.price,
-        totalPrice: itemTotal,
-        selectedSauce: item.selectedSauce || null,
-        friesUpgrade: item.friesUpgrade || null,
-        extras: item.extras || [],
-        removeItems: item.removeItems || [],
-        specialNotes: item.specialNotes || null
-      });
+// Update a saved address
+app.put('/api/customers/me/addresses/:id', authenticateCustomer, asyncHandler(async (req, res) => {
+  const addressId = parseInt(req.params.id);
+  const { label, street, city, postalCode, isDefault } = req.body;
 
-      // For invoice
-      invoiceItems.push({
-        slug: menuItem.slug,
-        name: menuItem.translations[0]?.name || 'Unknown Item',
-        quantity: item.quantity,
-        unitPrice: menuItem.price,
-        totalPrice: itemTotal,
-        customizations: customizations.join(', ')
-      });
-    }
+  const existing = await prisma.customerAddress.findFirst({
+    where: { id: addressId, customerId: req.customer.id }
+  });
 
-    const total = subtotal + deliveryFee;
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Address not found'
+    });
+  }
 
-    // Verify payment amount matches order total
-    const paidAmount = paymentIntent.amount / 100; // Convert cents to euros
-    if (Math.abs(paidAmount - total) > 0.01) { // Allow 1 cent difference for rounding
-      console.error('❌ Payment amount mismatch:', paidAmount, 'vs', total);
-      return res.status(400).json({
-        success: false,
-        error: 'Payment amount does not match order total'
+  const address = await prisma.$transaction(async (tx) => {
+    if (isDefault) {
+      await tx.customerAddress.updateMany({
+        where: { customerId: req.customer.id, id: { not: addressId } },
+        data: { isDefault: false }
       });
     }
 
-    // Create order in database
-    const order = await prisma.order.create({
+    return tx.customerAddress.update({
+      where: { id: addressId },
       data: {
-        orderNumber: generateOrderNumber(),
-        status: 'PENDING', 
-        orderType,
-        paymentMethod: 'CARD', // Use CARD for Stripe payments
-        paymentStatus: 'COMPLETED', // Payment already processed
-        customerName,
-        customerPhone,
-        customerEmail,
-        deliveryAddress: orderType === 'DELIVERY' ? deliveryAddress : null,
-        deliveryNotes: deliveryNotes || null,
-        specialNotes: specialNotes || null,
-        subtotal,
-        deliveryFee,
-        total,
-        scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
-        estimatedTime: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes for card orders
-        confirmedAt: new Date(), // Already confirmed by payment
-        items: {
-          create: orderItems
-        }
-      },
-      include: {
-        items: {
-          include: {
-            menuItem: {
-              include: {
-                translations: { where: { language: 'hu' } }
-              }
-            }
-          }
-        }
+        ...(label && { label }),
+        ...(street && { street }),
+        ...(city && { city }),
+        ...(postalCode && { postalCode }),
+        ...(isDefault && { isDefault: true })
       }
     });
+  });
 
-    // Create payment record
-    await prisma.payment.create({
-      data: {
-        orderId: order.id,
-        paymentMethod: 'CARD',
-        status: 'COMPLETED',
-        amount: total,
-        currency: 'EUR',
-        transactionId: paymentIntent.id,
-        gatewayResponse: {
-          stripe_payment_intent: paymentIntentId,
-          stripe_customer: paymentIntent.customer,
-          payment_method: paymentIntent.payment_method,
-          amount_received: paymentIntent.amount_received
-        }
-      }
+  res.json({
+    success: true,
+    data: address,
+    message: 'Address updated'
+  });
+}));
+
+// Delete a saved address (past orders keep their address text)
+app.delete('/api/customers/me/addresses/:id', authenticateCustomer, asyncHandler(async (req, res) => {
+  const deleted = await prisma.customerAddress.deleteMany({
+    where: { id: parseInt(req.params.id), customerId: req.customer.id }
+  });
+
+  if (deleted.count === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Address not found'
     });
+  }
 
-    console.log(`✅ Order created: ${order.orderNumber}`);
+  res.json({
+    success: true,
+    message: 'Address deleted'
+  });
+}));
 
-    // Generate invoice in background (same as cash orders)
-    setImmediate(async () => {
-      try {
-        console.log('📄 Generating invoice for card payment...');
-        
-        const currentYear = new Date().getFullYear();
-        const invoiceCounter = await getNextInvoiceCounter('CARD', currentYear, prisma);
-        const invoiceNumber = generateInvoiceNumber('CARD', currentYear, invoiceCounter);
-        const vatBreakdown = calculateVATBreakdown(total);
-        
-        const invoice = await prisma.invoice.create({
-          data: {
-            invoiceNumber,
-            orderId: order.id,
-            customerName,
-            customerEmail,
-            customerPhone,
-            subtotal,
-            deliveryFee,
-            totalNet: vatBreakdown.netAmount,
-            vatAmount: vatBreakdown.vatAmount,
-            totalGross: vatBreakdown.grossAmount,
-            paymentMethod: 'CARD',
-            orderItems: invoiceItems,
-            emailSent: false
-          },
-          include: { order: true }
-        });
+// ============================================
+// ORDER MANAGEMENT APIs
+// ============================================
 
-        console.log(`📋 Invoice created: ${invoiceNumber}`);
+const { generateInvoicePDF } = require('./utils/invoice-generator');
+const { TIP_VAT_RULES, INVOICE_DEFAULTS, createOrderInvoice, reissueOrderInvoice } = require('./utils/invoices');
+const { getSettings, setSetting } = require('./utils/settings');
+const { EDITABLE_STATUSES, repriceOrder, describeEdits } = require('./utils/order-editing');
+const { sendInvoiceEmail, sendOrderStatusEmail, testEmailConfig } = require('./utils/email-service-sendgrid');
+const { priceOrder } = require('./utils/order-pricing');
+const { validateDeliveryZone, normalizeText, normalizeStreet, normalizePostalCode } = require('./utils/delivery-zones');
+const { claimPromotionUse, getRedemptionCreate, validatePromotion, normalizePromoCode } = require('./utils/promotions');
+const {
+  normalizePhone,
+  getPhoneMatchFilter,
+  createPhoneVerification,
+  confirmPhoneVerification,
+  signGuestHistoryToken,
+  verifyGuestHistoryToken,
+  buildReorder
+} = require('./utils/order-history');
+const { sendPhoneVerificationSms } = require('./utils/sms-service');
+const {
+  applyLoyaltyForStatus,
+  getRedeemCreate,
+  lockPointsBalance,
+  reservePoints,
+  linkReservedPoints,
+  releaseReservedPoints,
+  expirePoints,
+  getLoyaltySummary
+} = require('./utils/loyalty');
+const { transitionOrderStatus } = require('./utils/order-status');
+const { getRefundablePayment, getRefundableAmount, recordRefund, markOrderRefunded } = require('./utils/refunds');
+const { issueCreditNoteForStatus, issueCreditNoteForRefund } = require('./utils/credit-notes');
+const {
+  getPendingPaymentData,
+  getStripePaymentData,
+  derivePaymentStatus,
+  syncOrderPaymentStatus,
+  markPaymentCollected,
+  voidPendingPayments,
+  adjustPaymentsForEdit
+} = require('./utils/payments');
+const { syncDispute, buildEvidenceBundle } = require('./utils/disputes');
+const { getTrackingToken, verifyTrackingToken, getOrderRoom, toTrackingUpdate } = require('./utils/order-tracking');
+const {
+  getRoleRoom,
+  getEventRoles,
+  addConnection,
+  removeConnection,
+  setViewingOrder,
+  setHandlingOrder,
+  getConnectedStaff
+} = require('./utils/staff-presence');
+const {
+  KITCHEN_STATUSES,
+  allStationsBumped,
+  syncStationTickets,
+  getStationQueue,
+  bumpStationTicket
+} = require('./utils/kitchen-stations');
+const { CODE_PAGES } = require('./utils/escpos');
+const { PRINT_DOCUMENTS, printOrder, printTestPage } = require('./utils/printing');
+const { estimateOrderMinutes, estimateForOrder, refreshPendingEtas } = require('./utils/prep-time');
+const {
+  CAPACITY_MODES,
+  CAPACITY_FULL_ACTIONS,
+  CAPACITY_DEFAULTS,
+  applySlotCapacity,
+  reserveSlotCapacity,
+  getCapacityOverview
+} = require('./utils/order-capacity');
+const {
+  DRIVER_ROLE,
+  assignOrders,
+  getDriverOrders,
+  completeDelivery,
+  failDelivery,
+  settleAssignmentsForStatus,
+  getDriverStats,
+  getCashToRemit,
+  remitDriverCash
+} = require('./utils/deliveries');
+const { getScheduleStatus, pauseOrders, resumeOrders, validateOpeningHours } = require('./utils/restaurant-schedule');
+const {
+  getAvailableSlots,
+  groupSlotsByDate,
+  validateScheduledFor,
+  checkOrderTiming,
+  getInitialReleasedAt,
+  releaseDueScheduledOrders
+} = require('./utils/order-slots');
+
+// Place new order (linked to the customer account when logged in)
+app.post('/api/orders', orderLimiter, identifyCustomer, asyncHandler(async (req, res) => {
+  const {
+    customerName,
+    customerPhone,
+    customerEmail,
+    orderType, // 'DELIVERY' or 'PICKUP'
+    addressId, // Saved address of a logged-in customer, replaces the fields below
+    deliveryAddress,
+    deliveryPostalCode, // Optional, parsed from deliveryAddress when missing
+    deliveryCity,
+    deliveryNotes,
+    specialNotes,
+    items, // Array of order items
+    scheduledFor, // Optional scheduled delivery time
+    promoCode,
+    redeemPoints, // Loyalty points to spend, logged-in customers only
+    tip, // Optional, paid on top of the total
+    paymentMethod // 'CASH', 'CARD', 'ONLINE'
+  } = req.body;
 
-        // Generate and send invoice (when email is re-enabled)
-        // const pdfBuffer = await generateInvoicePDF({ ...invoice, orderItems: invoiceItems });
-        // await sendInvoiceEmail(invoice, pdfBuffer, customerEmail);
+  console.log('🛒 Processing new order...');
+  console.log('- customerName:', customerName);
+  console.log('- customerPhone:', customerPhone, typeof customerPhone);
+  console.log('- items:', items?.length || 0, 'items');
+  console.log('- paymentMethod:', paymentMethod);
 
-      } catch (invoiceError) {
-        console.error('❌ Invoice generation failed for card payment:', invoiceError);
-      }
-    });
 
-    // Emit WebSocket event for admin dashboard
-    io.emit('newOrder', {
-      id: order.id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      customerName: order.customerName,
-      orderType: order.orderType,
-      total: order.total,
-      paymentMethod: 'CARD',
-      createdAt: order.createdAt,
-      items: order.items.map(item => ({
-        name: item.menuItem.translations[0]?.name || 'Unknown',
-        quantity: item.quantity
-      }))
+  // Validation
+  if (!customerName || !customerPhone || !items || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: customerName, customerPhone, items'
     });
+  }
 
-    console.log(`🎉 Stripe order ${order.orderNumber} completed successfully`);
-
-    // Return success response
-    res.status(201).json({
-      success: true,
-      data: {
-        orderId: order.id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        estimatedTime: order.estimatedTime,
-        total: order.total,
-        paymentIntentId: paymentIntentId,
-        invoiceGenerated: true
-      },
-      message: 'Payment successful! Order confirmed.'
+  const delivery = await resolveDeliveryAddress(req.customer, {
+    addressId: orderType === 'DELIVERY' ? addressId : null,
+    deliveryAddress,
+    deliveryPostalCode,
+    deliveryCity
+  });
+  if (delivery.error) {
+    return res.status(delivery.statusCode).json({
+      success: false,
+      error: delivery.error
     });
+  }
 
-  } catch (error) {
-    console.error('❌ Stripe order creation failed:', error);
-    res.status(500).json({
+  if (orderType === 'DELIVERY' && !delivery.address.line) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to process payment and create order',
-      details: error.message
+      error: 'Delivery address is required for delivery orders'
     });
   }
-}));
 
-// Stripe webhook handler (for payment confirmations and updates)
-app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+  // ASAP orders need the restaurant open now, scheduled orders need a bookable slot
+  const timing = await checkOrderTiming(prisma, { orderType, scheduledFor });
+  if (timing.error) {
+    return res.status(timing.statusCode).json({
+      success: false,
+      error: timing.error,
+      data: timing.data
+    });
+  }
 
   try {
-    // Verify webhook signature
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    console.log('📡 Stripe webhook received:', event.type);
-  } catch (err) {
-    console.error('❌ Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
+    // Price the cart with the shared server-side pricing rules
+    const pricing = await priceOrder(items, {
+      orderType,
+      prisma,
+      address: delivery.address,
+      promoCode,
+      redeemPoints,
+      tip,
+      customer: { id: req.customer?.id, phone: customerPhone, email: customerEmail }
+    });
 
-  // Handle different event types
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log('✅ Payment succeeded:', paymentIntent.id);
-      
-      // Update order status if needed
-      try {
-        const payment = await prisma.payment.findFirst({
-          where: { transactionId: paymentIntent.id },
-          include: { order: true }
-        });
+    if (pricing.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: pricing.errors[0].error,
+        errors: pricing.errors
+      });
+    }
 
-        if (payment && payment.order.status === 'PENDING') {
-          const updatedOrder = await prisma.order.update({
-            where: { id: payment.orderId },
-            data: { 
-              status: 'PENDING',
-              confirmedAt: new Date()
-            }
-          });
-          
-          // Emit WebSocket event for real-time updates
-          io.emit('orderStatusUpdate', {
-            id: updatedOrder.id,
-            orderNumber: updatedOrder.orderNumber,
-            status: updatedOrder.status,
-            confirmedAt: updatedOrder.confirmedAt
-          });
-          
-          console.log(`📋 Order ${payment.order.orderNumber} confirmed via webhook`);
+    const { orderItems, invoiceItems, subtotal, deliveryFee, discount, loyaltyDiscount, total, deliveryZone, promotion } = pricing;
+    const slotTime = timing.scheduledFor;
+    const eta = slotTime ? null : await estimateOrderMinutes(prisma, {
+      menuItemIds: orderItems.map(item => item.menuItemId),
+      orderType,
+      deliveryZone
+    });
+
+    const payment = getPendingPaymentData(paymentMethod || 'CASH', pricing.amountDue);
+    const releasedAt = await getInitialReleasedAt(prisma, slotTime);
+
+    // Create order in database, the kitchen slot, promo code use and redeemed points are claimed in the same transaction
+    let order;
+    try {
+      order = await prisma.$transaction(async (tx) => {
+        // A full kitchen pushes the ETA back or turns the order away, depending on settings
+        const capacity = slotTime ? null : await reserveSlotCapacity(tx, eta.estimatedTime);
+        if (capacity?.error) {
+          throw Object.assign(new Error(capacity.error), { code: capacity.data.reason, data: capacity.data });
         }
-      } catch (error) {
-        console.error('❌ Failed to update order from webhook:', error);
-      }
-      break;
 
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      console.log('❌ Payment failed:', failedPayment.id);
-      
-      // Handle failed payment
-      try {
-        const payment = await prisma.payment.findFirst({
-          where: { transactionId: failedPayment.id },
-          include: { order: true }
+        const promoUse = await claimPromotionUse(tx, promotion, { phone: customerPhone, email: customerEmail });
+        if (promoUse.error) {
+          throw Object.assign(new Error(promoUse.error), { code: promoUse.code });
+        }
+
+        if (req.customer && pricing.loyaltyPointsRedeemed > 0) {
+          const points = await lockPointsBalance(tx, req.customer.id, pricing.loyaltyPointsRedeemed);
+          if (points.error) {
+            throw Object.assign(new Error(points.error), { code: points.code });
+          }
+        }
+
+        return tx.order.create({
+          data: {
+            orderNumber: generateOrderNumber(),
+            status: 'PENDING',
+            orderType,
+            paymentMethod: paymentMethod || 'CASH',
+            paymentStatus: derivePaymentStatus([payment]),
+            customerName,
+            customerPhone,
+            customerEmail: customerEmail || null,
+            customerId: req.customer?.id || null,
+            addressId: orderType === 'DELIVERY' ? delivery.address.id : null,
+            deliveryAddress: orderType === 'DELIVERY' ? delivery.address.line : null,
+            deliveryNotes: deliveryNotes || null,
+            deliveryZoneId: deliveryZone?.id || null,
+            specialNotes: specialNotes || null,
+            subtotal,
+            deliveryFee,
+            discount,
+            loyaltyDiscount,
+            loyaltyPointsRedeemed: pricing.loyaltyPointsRedeemed,
+            total,
+            tip: pricing.tip,
+            promotionId: promotion?.id || null,
+            promotionRedemption: getRedemptionCreate(promotion, discount, { phone: customerPhone, email: customerEmail }),
+            loyaltyTransactions: getRedeemCreate(req.customer?.id, {
+              points: pricing.loyaltyPointsRedeemed,
+              amount: loyaltyDiscount
+            }),
+            scheduledFor: slotTime,
+            estimatedTime: slotTime || capacity.estimatedTime,
+            releasedAt,
+            items: {
+              create: orderItems
+            },
+            payments: {
+              create: payment
+            },
+            statusHistory: {
+              create: { toStatus: 'PENDING', reason: 'Order placed' }
+            }
+          },
+          include: {
+            items: {
+              include: {
+                menuItem: {
+                  include: {
+                    translations: {
+                      where: { language: 'hu' }
+                    }
+                  }
+                }
+              }
+            }
+          }
         });
+      });
+    } catch (error) {
+      if (!['CAPACITY_FULL', 'PROMO_USAGE_LIMIT', 'INSUFFICIENT_POINTS'].includes(error.code)) throw error;
 
-        if (payment) {
-          await prisma.payment.update({
-            where: { id: payment.id },
-            data: { status: 'FAILED' }
-          });
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.data && { data: error.data })
+      });
+    }
+
+    console.log(`✅ Order created: ${order.orderNumber}`);
+
+    // Generate invoice
+    try {
+      console.log('📄 Generating invoice...');
+      
+      const invoice = await createOrderInvoice(prisma, order, invoiceItems);
+
+      console.log(`📋 Invoice created: ${invoice.invoiceNumber}`);
+
+      // Generate PDF
+      const pdfBuffer = await generateInvoicePDF({
+        ...invoice,
+        orderItems: invoiceItems
+      });
+
+      console.log('📧 PDF generated, attempting to send email...');
+
+      // Send invoice email if email provided
+      if (customerEmail) {
+        try {
+          const emailResult = await sendInvoiceEmail(invoice, pdfBuffer, customerEmail);
           
-          // Optionally update order status to cancelled
-          await prisma.order.update({
-            where: { id: payment.orderId },
-            data: { status: 'CANCELLED' }
+          if (emailResult.success) {
+            // Update invoice record
+            await prisma.invoice.update({
+              where: { id: invoice.id },
+              data: {
+                emailSent: true,
+                emailSentAt: new Date(),
+                emailAttempts: 1
+              }
+            });
+            console.log(`✅ Invoice email sent to ${customerEmail}`);
+          } else {
+            console.log(`⚠️ Failed to send invoice email: ${emailResult.error}`);
+            // Don't fail the order, just log the issue
+          }
+        } catch (emailError) {
+          console.error('❌ Email sending error:', emailError);
+          // Update invoice with failed attempt
+          await prisma.invoice.update({
+            where: { id: invoice.id },
+            data: {
+              emailAttempts: 1
+            }
           });
-          
-          console.log(`📋 Order ${payment.order.orderNumber} cancelled due to payment failure`);
         }
-      } catch (error) {
-        console.error('❌ Failed to update failed payment:', error);
+      } else {
+        console.log('📧 No customer email provided, skipping invoice email');
       }
-      break;
 
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      console.log('🛒 Checkout session completed:', session.id);
-      // Handle checkout session completion if using Stripe Checkout
-      break;
+    } catch (invoiceError) {
+      console.error('❌ Invoice generation failed:', invoiceError);
+      // Don't fail the order, but log the issue
+      // The order was created successfully, invoice can be generated later
+    }
 
-    case 'charge.dispute.created':
-      const dispute = event.data.object;
-      console.log('⚠️ Charge disputed:', dispute.id);
-      // Handle chargebacks/disputes
-      break;
+    // Emit WebSocket event for admin dashboard, scheduled orders are announced on release
+    if (order.releasedAt) {
+      emitNewOrder(order);
+    }
 
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
-  }
+    console.log(`🎉 Order ${order.orderNumber} completed successfully`);
 
-  res.json({ received: true });
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        trackingToken: getTrackingToken(order.orderNumber), // Joins the live updates of this order
+        status: order.status,
+        estimatedTime: order.estimatedTime,
+        total: order.total,
+        invoiceGenerated: true
+      },
+      message: 'Order placed successfully! Invoice will be sent to your email.'
+    });
+
+  } catch (error) {
+    console.error('❌ Order creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create order',
+      details: error.message
+    });
+  }
 }));
 
-// Get Stripe publishable key for frontend
-app.get('/api/stripe/config', asyncHandler(async (req, res) => {
+// Quote a cart without creating an order (authoritative pricing + per-line validation)
+app.post('/api/orders/quote', identifyCustomer, asyncHandler(async (req, res) => {
+  const {
+    orderType, // 'DELIVERY' or 'PICKUP'
+    items,
+    scheduledFor,
+    addressId, // Saved address of a logged-in customer
+    deliveryAddress, // Optional, selects the delivery zone once known
+    deliveryPostalCode,
+    deliveryCity,
+    promoCode,
+    redeemPoints,
+    tip,
+    customerPhone, // Optional, for per-customer promo limits
+    customerEmail
+  } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: items'
+    });
+  }
+
+  if (!['DELIVERY', 'PICKUP'].includes(orderType)) {
+    return res.status(400).json({
+      success: false,
+      error: 'orderType must be DELIVERY or PICKUP'
+    });
+  }
+
+  const delivery = await resolveDeliveryAddress(req.customer, {
+    addressId: orderType === 'DELIVERY' ? addressId : null,
+    deliveryAddress,
+    deliveryPostalCode,
+    deliveryCity
+  });
+  if (delivery.error) {
+    return res.status(delivery.statusCode).json({
+      success: false,
+      error: delivery.error
+    });
+  }
+
+  const pricing = await priceOrder(items, {
+    orderType,
+    prisma,
+    address: delivery.address,
+    promoCode,
+    redeemPoints,
+    tip,
+    customer: { id: req.customer?.id, phone: customerPhone, email: customerEmail }
+  });
+  const errors = [...pricing.errors];
+
+  let slotTime = null;
+  if (scheduledFor) {
+    const slotCheck = await validateScheduledFor(prisma, { orderType, scheduledFor });
+    if (slotCheck.error) {
+      errors.push({ index: null, menuItemId: null, code: 'INVALID_SLOT', error: slotCheck.error });
+    } else {
+      slotTime = slotCheck.scheduledFor;
+    }
+  }
+
+  // ETA if ordered now, scheduled orders are ready at their slot
+  let estimatedTime = slotTime;
+  if (!slotTime) {
+    const eta = await estimateOrderMinutes(prisma, {
+      menuItemIds: pricing.lineItems.map(line => line.menuItemId),
+      orderType,
+      deliveryZone: pricing.deliveryZone
+    });
+    const capacity = await applySlotCapacity(prisma, eta.estimatedTime);
+
+    if (capacity.error) {
+      errors.push({ index: null, menuItemId: null, code: 'CAPACITY_FULL', error: capacity.error });
+    } else {
+      estimatedTime = capacity.estimatedTime;
+    }
+  }
+
   res.json({
     success: true,
     data: {
-      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
-      currency: 'eur',
-      country: 'SK'
+      valid: errors.length === 0,
+      orderType,
+      scheduledFor: slotTime,
+      estimatedMinutes: estimatedTime && !slotTime ? Math.ceil((estimatedTime - Date.now()) / 60000) : null,
+      estimatedTime,
+      items: pricing.lineItems.map(line => ({
+        index: line.index,
+        menuItemId: line.menuItemId,
+        name: line.name,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        totalPrice: line.totalPrice,
+        customizations: line.customizations
+      })),
+      subtotal: pricing.subtotal,
+      deliveryFee: pricing.deliveryFee,
+      discount: pricing.discount,
+      loyaltyDiscount: pricing.loyaltyDiscount,
+      loyaltyPointsRedeemed: pricing.loyaltyPointsRedeemed,
+      total: pricing.total,
+      tip: pricing.tip,
+      amountDue: pricing.amountDue,
+      promotion: pricing.promotion,
+      minimumOrder: pricing.minimumOrder,
+      deliveryZone: pricing.deliveryZone,
+      errors
     }
   });
 }));
 
+// Get bookable pickup/delivery slots for scheduled orders
+app.get('/api/orders/slots', asyncHandler(async (req, res) => {
+  const { orderType = 'PICKUP' } = req.query;
 
+  if (!['DELIVERY', 'PICKUP'].includes(orderType)) {
+    return res.status(400).json({
+      success: false,
+      error: 'orderType must be DELIVERY or PICKUP'
+    });
+  }
 
-// ============================================
-// ADMIN AUTHENTICATION APIs
-// ============================================
+  const slots = await getAvailableSlots(prisma, { orderType });
 
-// Middleware to validate JWT for protected admin routes
-const authenticateAdmin = asyncHandler(async (req, res, next) => {
-  console.log('🔍 Auth check - Headers:', req.headers.authorization);
-  
+  res.json({
+    success: true,
+    data: {
+      orderType,
+      days: groupSlotsByDate(slots)
+    }
+  });
+}));
+
+// Middleware for order history: a customer session or a guest token from phone verification
+const authenticateOrderOwner = asyncHandler(async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    console.log('❌ No auth header or wrong format');
     return res.status(401).json({
       success: false,
-      error: 'Authentication token required'
+      error: 'Please log in or verify your phone number to see your orders'
     });
   }
 
-  const token = authHeader.split(' ')[1];
-  console.log('🔑 Token received:', token ? 'Yes' : 'No');
-  
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'F#zGcwr+zM*1D/9#w#66*}Qb_[jYNv');
-    console.log('✅ Token decoded:', decoded);
-    
-    const admin = await prisma.adminUser.findUnique({
-      where: { id: decoded.id }
-    });
-
-    if (!admin || !admin.isActive) {
-      console.log('❌ Admin not found or inactive');
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or inactive admin account'
-      });
-    }
-
-    console.log('✅ Admin authenticated:', admin.email);
-    req.admin = admin;
-    next();
+    const { phone } = verifyGuestHistoryToken(authHeader.split(' ')[1]);
+    req.guestPhone = phone;
+    return next();
   } catch (error) {
-    console.log('❌ Token verification failed:', error.message);
+    // Not a guest token, try a customer session
+  }
+
+  const result = await getCustomerFromRequest(req);
+  if (result.error) {
     return res.status(401).json({
       success: false,
-      error: 'Invalid token'
+      error: result.error
     });
   }
-});
 
-// Stricter rate limiting for login attempts
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 login attempts per window
-  message: {
-    error: 'Too many login attempts from this IP, please try again later.'
-  }
+  req.customer = result.customer;
+  next();
 });
 
-// Admin login with input validation, bcrypt, and JWT
-app.post('/api/admin/login', loginLimiter, [
-  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('password').notEmpty().withMessage('Password is required')
-], asyncHandler(async (req, res) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
+// Orders the authenticated customer or verified guest may see
+const getOrderOwnerFilter = async (req) => (
+  req.customer ? { customerId: req.customer.id } : getPhoneMatchFilter(prisma, req.guestPhone)
+);
+
+// Send a verification code to a guest's phone number
+app.post('/api/orders/history/verify-phone', customerAuthLimiter, asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  if (!phone || normalizePhone(phone).replace(/\D/g, '').length < 9) {
     return res.status(400).json({
       success: false,
-      error: errors.array()[0].msg
+      error: 'Valid phone number is required'
     });
   }
 
-  const { email, password } = req.body;
+  // Only text numbers that actually placed orders
+  const orderCount = await prisma.order.count({ where: await getPhoneMatchFilter(prisma, phone) });
 
-  // Find admin user by email
-  const admin = await prisma.adminUser.findUnique({
-    where: { email }
-  });
+  if (orderCount > 0) {
+    const code = await createPhoneVerification(prisma, phone);
+    const result = await sendPhoneVerificationSms(phone, code);
 
-  // Check if user exists and password matches
-  if (!admin || !(await bcrypt.compare(password, admin.password))) {
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid credentials'
-    });
+    if (!result.success) {
+      console.error(`❌ Verification SMS failed for ${phone}:`, result.error);
+    }
   }
 
-  if (!admin.isActive) {
-    return res.status(401).json({
-      success: false,
-      error: 'Account is disabled'
-    });
-  }
-
-  // Generate JWT token
-  const token = jwt.sign(
-    { id: admin.id, email: admin.email, role: admin.role },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' } // Token expires in 1 hour
-  );
-
-  // Update last login
-  await prisma.adminUser.update({
-    where: { id: admin.id },
-    data: { lastLoginAt: new Date() }
-  });
-
+  // Same answer whether or not orders exist for the number
   res.json({
     success: true,
-    data: {
-      id: admin.id,
-      email: admin.email,
-      firstName: admin.firstName,
-      lastName: admin.lastName,
-      role: admin.role,
-      token // Return JWT token for client to use in subsequent requests
-    },
-    message: 'Login successful'
+    message: 'If orders exist for this number, a verification code has been sent'
   });
 }));
 
-// Get current admin user info (protected)
-app.get('/api/admin/auth/user', authenticateAdmin, asyncHandler(async (req, res) => {
-  console.log('📋 Getting admin user info for:', req.admin.email);
-  
-  try {
-    // req.admin is already populated by the authenticateAdmin middleware
-    const admin = await prisma.adminUser.findUnique({
-      where: { id: req.admin.id },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        role: true,
-        isActive: true,
-        lastLoginAt: true,
-        createdAt: true
-      }
-    });
-
-    if (!admin || !admin.isActive) {
-      return res.status(401).json({
-        success: false,
-        error: 'Admin account not found or inactive'
-      });
-    }
+// Confirm a phone verification code and get a guest history token
+app.post('/api/orders/history/verify-phone/confirm', customerAuthLimiter, asyncHandler(async (req, res) => {
+  const { phone, code } = req.body;
 
-    res.json({
-      success: true,
-      data: {
-        id: admin.id,
-        email: admin.email,
-        name: admin.firstName && admin.lastName ? 
-          `${admin.firstName} ${admin.lastName}` : 
-          admin.email.split('@')[0], // Fallback to email username
-        firstName: admin.firstName,
-        lastName: admin.lastName,
-        role: admin.role,
-        lastLoginAt: admin.lastLoginAt,
-        createdAt: admin.createdAt
-      }
+  if (!phone || !code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Phone number and code are required'
     });
+  }
 
-  } catch (error) {
-    console.error('❌ Error fetching admin user:', error);
-    res.status(500).json({
+  const verified = await confirmPhoneVerification(prisma, phone, code);
+  if (!verified) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to fetch user information'
+      error: 'Invalid or expired verification code'
     });
   }
+
+  res.json({
+    success: true,
+    data: {
+      token: signGuestHistoryToken(phone)
+    },
+    message: 'Phone number verified'
+  });
 }));
 
-// ============================================
-// ADMIN ORDER MANAGEMENT APIs
-// ============================================
+// Get paginated order history of a customer or verified guest
+app.get('/api/orders/history', authenticateOrderOwner, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, language = 'hu' } = req.query;
+  const take = Math.min(parseInt(limit) || 10, 50);
+  const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+  const where = await getOrderOwnerFilter(req);
 
-// Get all active orders
-app.get('/api/admin/orders/active', authenticateAdmin, asyncHandler(async (req, res) => {
-  console.log('📋 Loading active orders...');
-  
-  try {
-    const activeOrders = await prisma.order.findMany({
-      where: {
-        status: {
-          in: ['PENDING', 'CONFIRMED', 'PREPARING', 'READY', 'OUT_FOR_DELIVERY']
-        }
-      },
+  const [totalCount, orders] = await Promise.all([
+    prisma.order.count({ where }),
+    prisma.order.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
       include: {
         items: {
           include: {
             menuItem: {
               include: {
-                translations: {
-                  where: { language: 'hu' }
-                }
+                translations: { where: { language } }
               }
             }
           }
         }
-      },
-      orderBy: [
-        { status: 'asc' },
-        { estimatedTime: 'asc' },
-        { createdAt: 'desc' }
-      ]
-    });
+      }
+    })
+  ]);
 
-    console.log(`✅ Found ${activeOrders.length} active orders`);
-    
-    const processedOrders = activeOrders.map(order => ({
-      id: order.id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      orderType: order.orderType,
-      paymentMethod: order.paymentMethod,
-      customerName: order.customerName,
-      customerPhone: order.customerPhone,
-      customerEmail: order.customerEmail,
-      deliveryAddress: order.deliveryAddress,
-      deliveryNotes: order.deliveryNotes,
-      total: order.total,
-      createdAt: order.createdAt,
-      acceptedAt: order.acceptedAt,
-      estimatedTime: order.estimatedTime,
-      scheduledFor: order.scheduledFor,
-      items: order.items.map(item => ({
-        name: item.menuItem.translations[0]?.name || 'Unknown',
-        quantity: item.quantity,
-        totalPrice: item.totalPrice,
-        selectedSauce: item.selectedSauce,
-        friesUpgrade: item.friesUpgrade,
-        extras: item.extras,
-        removeItems: item.removeItems || [],
-        specialNotes: item.specialNotes || null
-      }))
-    }));
+  res.json({
+    success: true,
+    data: {
+      orders: orders.map(order => ({
+        orderNumber: order.orderNumber,
+        trackingToken: getTrackingToken(order.orderNumber),
+        status: order.status,
+        orderType: order.orderType,
+        paymentMethod: order.paymentMethod,
+        deliveryAddress: order.deliveryAddress,
+        subtotal: order.subtotal,
+        deliveryFee: order.deliveryFee,
+        discount: order.discount,
+        total: order.total,
+        createdAt: order.createdAt,
+        scheduledFor: order.scheduledFor,
+        items: order.items.map(item => ({
+          menuItemId: item.menuItemId,
+          name: item.menuItem.translations[0]?.name || 'Unknown',
+          quantity: item.quantity,
+          totalPrice: item.totalPrice
+        }))
+      })),
+      pagination: {
+        page: Math.floor(skip / take) + 1,
+        limit: take,
+        total: totalCount,
+        pages: Math.ceil(totalCount / take)
+      }
+    }
+  });
+}));
 
-    res.json({
-      success: true,
-      data: processedOrders
+// Rebuild a cart from a past order, flagging items that changed since
+app.post('/api/orders/:orderNumber/reorder', authenticateOrderOwner, asyncHandler(async (req, res) => {
+  const { orderType, language = 'hu' } = req.body;
+
+  if (orderType && !['DELIVERY', 'PICKUP'].includes(orderType)) {
+    return res.status(400).json({
+      success: false,
+      error: 'orderType must be DELIVERY or PICKUP'
     });
+  }
 
-  } catch (error) {
-    console.error('❌ Error loading active orders:', error);
-    res.status(500).json({
+  const order = await prisma.order.findFirst({
+    where: {
+      AND: [{ orderNumber: req.params.orderNumber }, await getOrderOwnerFilter(req)]
+    },
+    include: {
+      items: {
+        include: {
+          menuItem: {
+            include: {
+              translations: { where: { language } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    return res.status(404).json({
       success: false,
-      error: 'Failed to fetch orders'
+      error: 'Order not found'
     });
   }
+
+  const reorder = await buildReorder(prisma, order, {
+    orderType: orderType || order.orderType,
+    language
+  });
+
+  res.json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      ...reorder
+    }
+  });
 }));
 
-// Get all orders with filtering (protected)
-app.get('/api/admin/orders', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { status, date, limit = 50, page = 1 } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  
-  let whereClause = {};
+// Get order status
+app.get('/api/orders/:orderNumber/status', asyncHandler(async (req, res) => {
+  const { orderNumber } = req.params;
   
-  if (status && status !== 'ALL') {
-    whereClause.status = status;
-  }
+  console.log('🔍 Looking for order:', orderNumber);
   
-  if (date) {
-    const startDate = new Date(date);
-    const endDate = new Date(date);
-    endDate.setDate(endDate.getDate() + 1);
-    
-    whereClause.createdAt = {
-      gte: startDate,
-      lt: endDate
-    };
-  }
-
-  const [orders, total] = await Promise.all([
-    prisma.order.findMany({
-      where: whereClause,
+  try {
+    const order = await prisma.order.findUnique({
+      where: { orderNumber },
       include: {
         items: {
           include: {
@@ -1617,539 +1586,3796 @@ app.get('/api/admin/orders', authenticateAdmin, asyncHandler(async (req, res) =>
             }
           }
         }
-      },
-      orderBy: { createdAt: 'desc' },
-      take: parseInt(limit),
-      skip
-    }),
-    prisma.order.count({ where: whereClause })
-  ]);
+      }
+    });
 
-  res.json({
-    success: true,
-    data: {
-      orders: orders.map(order => ({
-        id: order.id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        orderType: order.orderType,
-        customerName: order.customerName,
-        customerPhone: order.customerPhone,
-        total: order.total,
-        createdAt: order.createdAt,
-        estimatedTime: order.estimatedTime,
-        itemCount: order.items.length,
-        paymentMethod: order.paymentMethod
-      })),
-      total,
-      page: parseInt(page),
-      limit: parseInt(limit)
-    }
-  });
-}));
+    console.log('📦 Found order:', order ? `Yes (ID: ${order.id})` : 'No');
 
-// Get archived orders with filtering - MOVE THIS BEFORE THE :id ROUTE
-app.get('/api/admin/orders/archived', authenticateAdmin, asyncHandler(async (req, res) => {
-  console.log('📁 Loading archived orders...');
-  
-  const { period = 'today', page = 1, limit = 20 } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  
-  // Calculate date ranges based on period
-  let dateFilter = {};
-  const now = new Date();
-  
-  switch (period) {
-    case 'today':
-      const today = new Date(now);
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      dateFilter = {
-        createdAt: {
-          gte: today,
-          lt: tomorrow
-        }
-      };
-      break;
-      
-    case 'week':
-      const weekStart = new Date(now);
-      weekStart.setDate(now.getDate() - now.getDay()); // Start of week (Sunday)
-      weekStart.setHours(0, 0, 0, 0);
-      dateFilter = {
-        createdAt: {
-          gte: weekStart
-        }
-      };
-      break;
-      
-    case 'month':
-      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-      dateFilter = {
-        createdAt: {
-          gte: monthStart
-        }
-      };
-      break;
-      
-    case 'all':
-    default:
-      // No date filter for all time
-      break;
-  }
-  
-  try {
-    const whereClause = {
-      status: {
-        in: ['DELIVERED', 'CANCELLED']
-      },
-      ...dateFilter
-    };
-    
-    const [archivedOrders, total] = await Promise.all([
-      prisma.order.findMany({
-        where: whereClause,
+    if (!order) {
+      console.log('❌ Order not found for orderNumber:', orderNumber);
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // Get all unique sauce and fries option slugs from the order
+    const sauceSlugs = [...new Set(order.items.map(item => item.selectedSauce).filter(Boolean))];
+    const friesSlugs = [...new Set(order.items.map(item => item.friesUpgrade).filter(Boolean))];
+
+    // Fetch translations for sauces and fries
+    const [sauceTranslations, friesTranslations] = await Promise.all([
+      prisma.sauce.findMany({
+        where: { slug: { in: sauceSlugs } },
         include: {
-          items: {
-            include: {
-              menuItem: {
-                include: {
-                  translations: {
-                    where: { language: 'hu' }
-                  }
-                }
-              }
-            }
+          translations: {
+            where: { language: 'hu' }
           }
-        },
-        orderBy: { createdAt: 'desc' },
-        take: parseInt(limit),
-        skip
+        }
       }),
-      prisma.order.count({ where: whereClause })
+      prisma.friesOption.findMany({
+        where: { slug: { in: friesSlugs } },
+        include: {
+          translations: {
+            where: { language: 'hu' }
+          }
+        }
+      })
     ]);
 
-    console.log(`✅ Found ${archivedOrders.length} archived orders for period: ${period}`);
-    
-    const processedOrders = archivedOrders.map(order => ({
-      id: order.id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      orderType: order.orderType,
-      paymentMethod: order.paymentMethod,
-      customerName: order.customerName,
-      customerPhone: order.customerPhone,
-      customerEmail: order.customerEmail,
-      deliveryAddress: order.deliveryAddress,
-      deliveryNotes: order.deliveryNotes,
-      subtotal: order.subtotal,
-      deliveryFee: order.deliveryFee,
-      total: order.total,
-      createdAt: order.createdAt,
-      acceptedAt: order.acceptedAt,
-      readyAt: order.readyAt,
-      deliveredAt: order.deliveredAt,
-      estimatedTime: order.estimatedTime,
-      scheduledFor: order.scheduledFor,
-      items: order.items.map(item => ({
-        id: item.id,
-        name: item.menuItem.translations[0]?.name || 'Unknown',
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        totalPrice: item.totalPrice,
-        selectedSauce: item.selectedSauce,
-        friesUpgrade: item.friesUpgrade,
-        extras: item.extras,
-        removeItems: item.removeItems || [],
-        specialNotes: item.specialNotes || null
-      }))
-    }));
+    // Create lookup maps for translations
+    const sauceMap = {};
+    sauceTranslations.forEach(sauce => {
+      sauceMap[sauce.slug] = sauce.translations[0]?.name || sauce.slug;
+    });
+
+    const friesMap = {};
+    friesTranslations.forEach(fries => {
+      friesMap[fries.slug] = fries.translations[0]?.name || fries.slug;
+    });
+
+    console.log('✅ Returning order data for:', orderNumber);
 
     res.json({
       success: true,
       data: {
-        orders: processedOrders,
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        period
+        orderNumber: order.orderNumber,
+        status: order.status,
+        orderType: order.orderType,
+        customerName: order.customerName,
+        customerPhone: order.customerPhone,
+        customerEmail: order.customerEmail,
+        deliveryAddress: order.deliveryAddress,
+        deliveryNotes: order.deliveryNotes,
+        paymentMethod: order.paymentMethod,
+        subtotal: order.subtotal,
+        deliveryFee: order.deliveryFee,
+        total: order.total,
+        createdAt: order.createdAt,
+        estimatedTime: order.estimatedTime,
+        confirmedAt: order.confirmedAt,
+        readyAt: order.readyAt,
+        deliveredAt: order.deliveredAt,
+        scheduledFor: order.scheduledFor,
+        specialNotes: order.specialNotes,
+        items: order.items.map(item => {
+          // Build customization text with proper translations
+          const customizations = [];
+          
+          if (item.selectedSauce) {
+            const sauceName = sauceMap[item.selectedSauce] || item.selectedSauce;
+            customizations.push(`Szósz: ${sauceName}`);
+          }
+          
+          if (item.friesUpgrade) {
+            const friesName = friesMap[item.friesUpgrade] || item.friesUpgrade;
+            customizations.push(`Krumpli: ${friesName}`);
+          }
+          
+          if (item.extras && item.extras.length > 0) {
+            customizations.push(`Extrák: ${item.extras.join(', ')}`);
+          }
+          
+          if (item.removeItems && item.removeItems.length > 0) {
+            customizations.push(`Elhagyva: ${item.removeItems.join(', ')}`);
+          }
+
+          return {
+            id: item.id,
+            name: item.menuItem.translations[0]?.name || 'Unknown',
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            selectedSauce: item.selectedSauce,
+            friesUpgrade: item.friesUpgrade,
+            extras: item.extras || [],
+            removeItems: item.removeItems || [],
+            specialNotes: item.specialNotes,
+            imageUrl: item.menuItem?.imageUrl ? item.menuItem.imageUrl.replace(/\\/g, '/') : 'photos/default-food.jpg',
+            // Add the properly formatted customizations
+            displayCustomizations: customizations.join(' • ')
+          };
+        })
       }
     });
+  } catch (error) {
+    console.error('❌ Database error in order status endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Database error occurred'
+    });
+  }
+}));
+
+const httpServer = createServer(app);
+// Create HTTP server and Socket.io instance
+const io = new Server(httpServer, {
+  cors: {
+    origin: ['https://palacebar.sk', 'https://www.palacebar.sk', 'http://localhost:3000', 'http://127.0.0.1:5500'],
+    methods: ['GET', 'POST'],
+    credentials: true
+  }
+});
+
+// Nodemailer setup (stub for email notifications)
+//const transporter = nodemailer.createTransport({
+  //host: 'smtp.example.com', // Replace with your SMTP host (e.g., Gmail, SendGrid)
+  //port: 587,
+  //secure: false,
+  //auth: {
+    //user: 'your-email@example.com', // Replace with your email
+    //pass: 'your-email-password' // Replace with your email password or app-specific password
+  //}
+//});
+
+const transporter = {
+  sendMail: (options, callback) => {
+    console.log('Email would be sent to:', options.to, 'Subject:', options.subject);
+    if (callback) callback(null, { messageId: 'email-disabled-' + Date.now() });
+  }
+};
+
+// Staff dashboard namespace, only for signed-in admins
+const adminIo = io.of('/admin');
+
+adminIo.use(async (socket, next) => {
+  try {
+    const decoded = verifyAdminToken(socket.handshake.auth?.token);
+    const admin = await prisma.adminUser.findUnique({ where: { id: decoded.id } });
+
+    if (!admin || !admin.isActive || admin.role === DRIVER_ROLE) {
+      return next(new Error('Invalid or inactive admin account'));
+    }
+
+    socket.data.admin = {
+      id: admin.id,
+      email: admin.email,
+      firstName: admin.firstName,
+      lastName: admin.lastName,
+      role: admin.role
+    };
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token'));
+  }
+});
+
+// Tell every connected admin who is online and on which orders
+const emitStaffPresence = () => {
+  adminIo.emit('staffPresence', getConnectedStaff());
+};
+
+// Parse an order id sent by the dashboard, null when missing or invalid
+const toSocketOrderId = (payload) => {
+  const orderId = parseInt(payload?.orderId);
+  return Number.isInteger(orderId) && orderId > 0 ? orderId : null;
+};
+
+adminIo.on('connection', (socket) => {
+  const { admin, tokenExpiresAt } = socket.data;
+  console.log('Admin connected:', admin.email);
+
+  socket.join(getRoleRoom(admin.role));
+  addConnection(socket.id, admin);
+  emitStaffPresence();
+
+  // The socket lives no longer than the token it was opened with
+  const expiryTimer = setTimeout(() => {
+    socket.emit('sessionExpired');
+    socket.disconnect(true);
+  }, Math.max(0, tokenExpiresAt - Date.now()));
+
+  socket.on('viewOrder', (payload) => {
+    setViewingOrder(socket.id, toSocketOrderId(payload));
+    emitStaffPresence();
+  });
+
+  socket.on('handleOrder', (payload) => {
+    setHandlingOrder(socket.id, toSocketOrderId(payload));
+    emitStaffPresence();
+  });
+
+  socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
+    removeConnection(socket.id);
+    emitStaffPresence();
+    console.log('Admin disconnected:', admin.email);
+  });
+});
+
+// Customer namespace, a client only hears about orders it joined with their tracking token
+const customerIo = io.of('/orders');
+
+customerIo.on('connection', (socket) => {
+  // Start following an order, the acknowledgement carries its current state
+  // Payloads come from anonymous clients, a missing or malformed one must not throw
+  socket.on('trackOrder', async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { orderNumber, token } = payload || {};
+
+    try {
+      if (!verifyTrackingToken(orderNumber, token)) {
+        return reply({ success: false, error: 'Invalid tracking token' });
+      }
+
+      const order = await prisma.order.findUnique({ where: { orderNumber } });
+      if (!order) {
+        return reply({ success: false, error: 'Order not found' });
+      }
+
+      socket.join(getOrderRoom(orderNumber));
+      reply({ success: true, data: toTrackingUpdate(order) });
+    } catch (error) {
+      console.error(`❌ Could not start tracking order ${orderNumber}:`, error);
+      reply({ success: false, error: 'Could not load order' });
+    }
+  });
+
+  socket.on('untrackOrder', (payload) => {
+    try {
+      const { orderNumber } = payload || {};
+      socket.leave(getOrderRoom(orderNumber));
+    } catch (error) {
+      console.error('❌ Could not stop tracking order:', error);
+    }
+  });
+});
+
+// Send an event to the connected staff whose role receives it
+const emitToAdmins = (event, payload) => {
+  const roles = getEventRoles(event);
+  if (roles) {
+    adminIo.to(roles.map(getRoleRoom)).emit(event, payload);
+  } else {
+    adminIo.emit(event, payload);
+  }
+};
+
+// Send an order update to staff and to the customers tracking that order
+const broadcastOrderUpdate = (update) => {
+  emitToAdmins('orderStatusUpdate', update);
+  customerIo.to(getOrderRoom(update.orderNumber)).emit('orderStatusUpdate', toTrackingUpdate(update));
+};
+
+// A handed-over order: the dashboard hears orderCompleted, the tracking customer the final status
+const emitOrderCompleted = (update) => {
+  emitToAdmins('orderCompleted', update);
+  customerIo.to(getOrderRoom(update.orderNumber)).emit('orderStatusUpdate', toTrackingUpdate(update));
+};
+
+// Re-estimate orders waiting to be accepted once the kitchen queue changed, batched
+// so a burst of status changes triggers a single pass
+const ETA_REFRESH_DELAY_MS = 2000;
+let etaRefreshTimer = null;
+const scheduleEtaRefresh = () => {
+  if (etaRefreshTimer) return;
+
+  etaRefreshTimer = setTimeout(async () => {
+    etaRefreshTimer = null;
+    try {
+      const changed = await refreshPendingEtas(prisma);
+      changed.forEach(order => broadcastOrderUpdate({
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        estimatedTime: order.estimatedTime
+      }));
+    } catch (error) {
+      console.error('❌ ETA refresh failed:', error);
+    }
+  }, ETA_REFRESH_DELAY_MS);
+};
+
+// Send an order update, the kitchen queue may have changed so waiting orders are re-estimated
+const emitOrderStatusUpdate = (update) => {
+  broadcastOrderUpdate(update);
+  scheduleEtaRefresh();
+};
+
+// Opening state is public, every client hears about it
+const emitRestaurantStatus = (schedule) => {
+  emitToAdmins('restaurantStatusUpdate', schedule);
+  customerIo.emit('restaurantStatusUpdate', schedule);
+};
+
+// Announce an order that has reached the kitchen to the admin dashboard
+const emitNewOrder = (order) => {
+  emitToAdmins('newOrder', {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    customerName: order.customerName,
+    orderType: order.orderType,
+    total: order.total,
+    paymentMethod: order.paymentMethod,
+    createdAt: order.createdAt,
+    scheduledFor: order.scheduledFor,
+    items: order.items.map(item => ({
+      name: item.menuItem.translations[0]?.name || 'Unknown',
+      quantity: item.quantity
+    }))
+  });
+
+  autoPrintOrder(order, 'NEW_ORDER');
+  scheduleEtaRefresh();
+};
+
+// Move an order to READY, tell the dashboard and email pickup customers
+// Returns the transition result, { error, statusCode } when the change is not allowed.
+const markOrderReady = async (orderId, { adminId = null, reason = null } = {}) => {
+  const result = await transitionOrderStatus(prisma, orderId, 'READY', { adminId, reason });
+
+  if (result.error) {
+    return result;
+  }
+
+  const updatedOrder = result.order;
+
+  //Emit status update with consistent payload
+  emitOrderStatusUpdate({
+    id: updatedOrder.id,
+    orderNumber: updatedOrder.orderNumber,
+    status: updatedOrder.status,
+    readyAt: updatedOrder.readyAt
+  });
+
+  if (updatedOrder.orderType === 'PICKUP' && updatedOrder.customerEmail) {
+    try {
+      await sendOrderStatusEmail({
+        orderNumber: updatedOrder.orderNumber,
+        customerName: updatedOrder.customerName,
+        orderType: updatedOrder.orderType,
+        status: 'READY'
+      }, updatedOrder.customerEmail);
+      console.log(`📧 Order ready email sent to ${updatedOrder.customerEmail}`);
+    } catch (emailError) {
+      console.error('❌ Order ready email failed:', emailError);
+    }
+  }
+
+  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
+
+  return result;
+};
+
+// Print an order on the printers set to print it at this point (NEW_ORDER, ACCEPTED),
+// runs in the background and never blocks the order
+const autoPrintOrder = (order, trigger) => {
+  printOrder(prisma, order.id, { trigger })
+    .then(result => {
+      (result.jobs || []).forEach(job => {
+        if (job.error) {
+          console.error(`❌ Printing ${job.document} of order ${order.orderNumber} on ${job.printer} failed: ${job.error}`);
+        } else {
+          console.log(`🖨️ Printed ${job.document} of order ${order.orderNumber} on ${job.printer}`);
+        }
+      });
+    })
+    .catch(error => console.error(`❌ Printing order ${order.orderNumber} failed:`, error));
+};
+
+// History reason of an order made ready by the kitchen display
+const KITCHEN_DONE_REASON = 'All kitchen stations bumped';
+
+// Bring an order's station tickets in line with its items and refresh the kitchen screens,
+// never blocks the order change itself. Returns the order's tickets.
+const syncKitchenTickets = async (order) => {
+  try {
+    const tickets = await syncStationTickets(prisma, order.id);
+
+    emitToAdmins('stationTicketsUpdate', {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      stationIds: tickets.map(ticket => ticket.stationId)
+    });
+
+    return tickets;
+  } catch (error) {
+    console.error(`❌ Station tickets failed for order ${order.orderNumber}:`, error);
+    return [];
+  }
+};
+
+// Update loyalty points, credit notes and uncollected payments after a status change,
+// never blocks the status change itself
+const syncOrderStatusEffects = async (order) => {
+  try {
+    await applyLoyaltyForStatus(prisma, order);
+  } catch (error) {
+    console.error(`❌ Loyalty update failed for order ${order.orderNumber}:`, error);
+  }
+
+  try {
+    await voidPendingPayments(prisma, order);
+  } catch (error) {
+    console.error(`❌ Payment update failed for order ${order.orderNumber}:`, error);
+  }
+
+  try {
+    await settleAssignmentsForStatus(prisma, order);
+  } catch (error) {
+    console.error(`❌ Delivery assignment update failed for order ${order.orderNumber}:`, error);
+  }
+
+  try {
+    const creditNote = await issueCreditNoteForStatus(prisma, order);
+    if (creditNote) {
+      console.log(`🧾 Credit note ${creditNote.creditNoteNumber} issued for order ${order.orderNumber}`);
+    }
+  } catch (error) {
+    console.error(`❌ Credit note failed for order ${order.orderNumber}:`, error);
+  }
+};
+
+// Record a Stripe refund and, once the payment is fully refunded, refund the order
+const syncPaymentRefund = async (payment, refundData) => {
+  const result = await recordRefund(prisma, payment, refundData);
+
+  // A full refund credits the rest of the invoice when the order becomes REFUNDED
+  if (!result.fullyRefunded) {
+    try {
+      const creditNote = await issueCreditNoteForRefund(prisma, result.refund);
+      if (creditNote) {
+        console.log(`🧾 Credit note ${creditNote.creditNoteNumber} issued for refund ${result.refund.id}`);
+      }
+    } catch (error) {
+      console.error(`❌ Credit note failed for refund ${result.refund.id}:`, error);
+    }
+    return result;
+  }
+
+  const refunded = await markOrderRefunded(prisma, payment.orderId, {
+    adminId: refundData.adminId,
+    reason: refundData.reason
+  });
+
+  if (refunded.error) {
+    console.error(`❌ Could not mark order ${payment.orderId} refunded:`, refunded.error);
+    return { ...result, error: refunded.error };
+  }
+
+  if (refunded.changed) {
+    await syncOrderStatusEffects(refunded.order);
+
+    emitOrderStatusUpdate({
+      id: refunded.order.id,
+      orderNumber: refunded.order.orderNumber,
+      status: refunded.order.status
+    });
+  }
+
+  return { ...result, order: refunded.order };
+};
+
+// Store a Stripe dispute and alert staff, who have until the evidence deadline to respond
+const syncStripeDispute = async (stripeDispute, eventType) => {
+  const result = await syncDispute(prisma, stripeDispute);
+
+  if (!result) {
+    console.log(`⚠️ No payment found for disputed charge ${stripeDispute.charge}`);
+    return null;
+  }
+
+  const { dispute } = result;
+
+  emitToAdmins('disputeAlert', {
+    id: dispute.id,
+    event: eventType,
+    orderId: dispute.order.id,
+    orderNumber: dispute.order.orderNumber,
+    amount: dispute.amount,
+    reason: dispute.reason,
+    status: dispute.status,
+    evidenceDueBy: dispute.evidenceDueBy
+  });
+
+  console.log(`📡 WebSocket emitted: disputeAlert (${dispute.status}) for`, dispute.order.orderNumber);
+  return result;
+};
+
+// ============================================
+// STRIPE PAYMENT PROCESSING APIs
+// ============================================
+
+// Initialize Stripe with secret key
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// Create the order for a succeeded PaymentIntent from the cart stored at checkout.
+// Called by both the webhook and confirm-payment, only one order is ever created per intent.
+const fulfilStripeCheckout = async (paymentIntent) => {
+  const checkout = await prisma.stripeCheckout.findUnique({
+    where: { paymentIntentId: paymentIntent.id },
+    include: { order: true }
+  });
+
+  if (!checkout) {
+    return { error: 'No checkout found for this payment', statusCode: 404 };
+  }
+
+  if (checkout.order) {
+    return { order: checkout.order, created: false };
+  }
+
+  const { orderData, pricing } = checkout;
+  const { orderItems, invoiceItems, subtotal, deliveryFee, total, deliveryZone, promotion } = pricing;
+  const discount = pricing.discount || 0;
+  const loyaltyDiscount = pricing.loyaltyDiscount || 0;
+
+  // Verify the amount Stripe captured matches the server-side total plus tip (compared in cents)
+  const tip = pricing.tip || 0;
+  const amountDue = pricing.amountDue ?? total;
+  const expectedCents = Math.round(amountDue * 100);
+  if (paymentIntent.currency !== 'eur' || paymentIntent.amount_received !== expectedCents) {
+    console.error('❌ Payment amount mismatch:', paymentIntent.amount_received, 'vs', expectedCents, 'cents');
+    await prisma.stripeCheckout.update({
+      where: { id: checkout.id },
+      data: { status: 'FAILED' }
+    });
+    if (checkout.loyaltyReservationId) {
+      await releaseReservedPoints(prisma, checkout.loyaltyReservationId);
+    }
+    return { error: 'Payment amount does not match order total', statusCode: 400 };
+  }
+
+  const slotTime = orderData.scheduledFor ? new Date(orderData.scheduledFor) : null;
+  const releasedAt = await getInitialReleasedAt(prisma, slotTime);
+  const eta = slotTime ? null : await estimateOrderMinutes(prisma, {
+    menuItemIds: orderItems.map(item => item.menuItemId),
+    orderType: orderData.orderType,
+    deliveryZone
+  });
+  const payment = getStripePaymentData(paymentIntent, amountDue);
+
+  let order;
+  try {
+    order = await prisma.$transaction(async (tx) => {
+      // The customer has paid, a full kitchen can only delay the order
+      const capacity = slotTime ? null : await reserveSlotCapacity(tx, eta.estimatedTime, { allowReject: false });
+      await claimPromotionUse(tx, promotion, {}, { enforceLimits: false });
+
+      const createdOrder = await tx.order.create({
+        data: {
+          orderNumber: generateOrderNumber(),
+          status: 'PENDING',
+          orderType: orderData.orderType,
+          paymentMethod: 'CARD', // Use CARD for Stripe payments
+          paymentStatus: derivePaymentStatus([payment]), // Payment already processed
+          customerName: orderData.customerName,
+          customerPhone: orderData.customerPhone,
+          customerEmail: orderData.customerEmail,
+          customerId: orderData.customerId || null,
+          addressId: orderData.orderType === 'DELIVERY' ? orderData.addressId || null : null,
+          deliveryAddress: orderData.orderType === 'DELIVERY' ? orderData.deliveryAddress : null,
+          deliveryNotes: orderData.deliveryNotes || null,
+          deliveryZoneId: deliveryZone?.id || null,
+          specialNotes: orderData.specialNotes || null,
+          subtotal,
+          deliveryFee,
+          discount,
+          loyaltyDiscount,
+          loyaltyPointsRedeemed: pricing.loyaltyPointsRedeemed || 0,
+          total,
+          tip,
+          promotionId: promotion?.id || null,
+          // Recorded even if the code ran out meanwhile, the customer has already paid the discounted price
+          promotionRedemption: getRedemptionCreate(promotion, discount, {
+            phone: orderData.customerPhone,
+            email: orderData.customerEmail
+          }),
+          // Points reserved at checkout are linked below instead
+          loyaltyTransactions: checkout.loyaltyReservationId ? undefined : getRedeemCreate(orderData.customerId, {
+            points: pricing.loyaltyPointsRedeemed || 0,
+            amount: loyaltyDiscount
+          }),
+          scheduledFor: slotTime,
+          estimatedTime: slotTime || capacity.estimatedTime,
+          releasedAt,
+          confirmedAt: new Date(), // Already confirmed by payment
+          items: {
+            create: orderItems
+          },
+          payments: {
+            create: payment
+          },
+          statusHistory: {
+            create: { toStatus: 'PENDING', reason: 'Card payment received' }
+          }
+        },
+        include: {
+          items: {
+            include: {
+              menuItem: {
+                include: {
+                  translations: { where: { language: 'hu' } }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      if (checkout.loyaltyReservationId) {
+        await linkReservedPoints(tx, checkout.loyaltyReservationId, createdOrder.id, orderData.customerId, {
+          points: pricing.loyaltyPointsRedeemed || 0,
+          amount: loyaltyDiscount
+        });
+      }
+
+      // Claim the checkout, a concurrent fulfilment that got here first makes this a no-op
+      const claimed = await tx.stripeCheckout.updateMany({
+        where: { id: checkout.id, orderId: null },
+        data: { orderId: createdOrder.id, status: 'COMPLETED' }
+      });
+
+      if (claimed.count === 0) {
+        throw new Error('CHECKOUT_ALREADY_FULFILLED');
+      }
+
+      return createdOrder;
+    });
+  } catch (error) {
+    if (error.message !== 'CHECKOUT_ALREADY_FULFILLED') throw error;
+
+    const fulfilled = await prisma.stripeCheckout.findUnique({
+      where: { id: checkout.id },
+      include: { order: true }
+    });
+    return { order: fulfilled.order, created: false };
+  }
+
+  console.log(`✅ Order created: ${order.orderNumber}`);
+
+  // Generate invoice in background (same as cash orders)
+  setImmediate(async () => {
+    try {
+      console.log('📄 Generating invoice for card payment...');
+      
+      const invoice = await createOrderInvoice(prisma, order, invoiceItems);
+
+      console.log(`📋 Invoice created: ${invoice.invoiceNumber}`);
+
+      // Generate and send invoice (when email is re-enabled)
+      // const pdfBuffer = await generateInvoicePDF({ ...invoice, orderItems: invoiceItems });
+      // await sendInvoiceEmail(invoice, pdfBuffer, customerEmail);
+
+    } catch (invoiceError) {
+      console.error('❌ Invoice generation failed for card payment:', invoiceError);
+    }
+  });
+
+  // Emit WebSocket event for admin dashboard, scheduled orders are announced on release
+  if (order.releasedAt) {
+    emitNewOrder(order);
+  }
+
+  console.log(`🎉 Stripe order ${order.orderNumber} completed successfully`);
+
+  return { order, created: true };
+};
+
+// Close a checkout that will never be paid and give back the points it reserved
+const cancelStripeCheckout = async (paymentIntentId) => {
+  const checkout = await prisma.stripeCheckout.findUnique({ where: { paymentIntentId } });
+  if (!checkout) return false;
+
+  const cancelled = await prisma.stripeCheckout.updateMany({
+    where: { id: checkout.id, status: 'PENDING' },
+    data: { status: 'CANCELLED' }
+  });
+
+  if (cancelled.count > 0 && checkout.loyaltyReservationId) {
+    await releaseReservedPoints(prisma, checkout.loyaltyReservationId);
+    console.log(`🎁 Reserved loyalty points released for ${paymentIntentId}`);
+  }
+
+  return cancelled.count > 0;
+};
+
+// Checkouts holding loyalty points are cancelled when left unpaid this long
+const ABANDONED_CHECKOUT_MS = 60 * 60 * 1000;
+
+// Cancel unpaid checkouts that reserved points, so the points can be used again
+const cancelAbandonedCheckouts = async () => {
+  const abandoned = await prisma.stripeCheckout.findMany({
+    where: {
+      status: 'PENDING',
+      loyaltyReservationId: { not: null },
+      createdAt: { lt: new Date(Date.now() - ABANDONED_CHECKOUT_MS) }
+    }
+  });
+
+  for (const checkout of abandoned) {
+    try {
+      await stripe.paymentIntents.cancel(checkout.paymentIntentId);
+    } catch (error) {
+      // Paid or cancelled meanwhile, the webhook takes care of it
+      console.error(`❌ Could not cancel abandoned payment ${checkout.paymentIntentId}:`, error.message);
+      continue;
+    }
+    await cancelStripeCheckout(checkout.paymentIntentId);
+  }
+};
+
+// Create payment intent (Step 1: Setup payment)
+app.post('/api/stripe/create-payment-intent', orderLimiter, identifyCustomer, asyncHandler(async (req, res) => {
+  const {
+    amount, // Client-side estimate only, the charged amount is computed from the cart
+    orderData, // Customer info and order details
+    metadata = {}
+  } = req.body;
+
+  console.log('💳 Creating Stripe payment intent...');
+  console.log('- Customer:', orderData?.customerName);
+
+  // Validation
+  if (!orderData?.customerName || !orderData?.customerEmail) {
+    return res.status(400).json({
+      success: false,
+      error: 'Customer name and email are required for payment processing'
+    });
+  }
+
+  if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Order items are required for payment processing'
+    });
+  }
+
+  const delivery = await resolveDeliveryAddress(req.customer, {
+    addressId: orderData.orderType === 'DELIVERY' ? orderData.addressId : null,
+    deliveryAddress: orderData.deliveryAddress,
+    deliveryPostalCode: orderData.deliveryPostalCode,
+    deliveryCity: orderData.deliveryCity
+  });
+  if (delivery.error) {
+    return res.status(delivery.statusCode).json({
+      success: false,
+      error: delivery.error
+    });
+  }
+
+  if (orderData.orderType === 'DELIVERY' && !delivery.address.line) {
+    return res.status(400).json({
+      success: false,
+      error: 'Delivery address is required for delivery orders'
+    });
+  }
+
+  // Don't take payments for orders the kitchen can't accept
+  const timing = await checkOrderTiming(prisma, {
+    orderType: orderData.orderType,
+    scheduledFor: orderData.scheduledFor
+  });
+  if (timing.error) {
+    return res.status(timing.statusCode).json({
+      success: false,
+      error: timing.error,
+      data: timing.data
+    });
+  }
+
+  let loyaltyReservation = null;
+
+  try {
+    // Charge the server-side price of the cart, never the amount sent by the browser
+    const pricing = await priceOrder(orderData.items, {
+      orderType: orderData.orderType,
+      prisma,
+      address: delivery.address,
+      promoCode: orderData.promoCode,
+      redeemPoints: orderData.redeemPoints,
+      tip: orderData.tip,
+      customer: { id: req.customer?.id, phone: orderData.customerPhone, email: orderData.customerEmail }
+    });
+
+    if (pricing.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: pricing.errors[0].error,
+        errors: pricing.errors
+      });
+    }
+
+    if (pricing.total < 0.50) { // Minimum 50 cents
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid amount. Minimum payment is €0.50'
+      });
+    }
+
+    // Turn ASAP orders away before payment when the kitchen is full and set to reject
+    if (!timing.scheduledFor) {
+      const eta = await estimateOrderMinutes(prisma, {
+        menuItemIds: pricing.lineItems.map(line => line.menuItemId),
+        orderType: orderData.orderType,
+        deliveryZone: pricing.deliveryZone
+      });
+      const capacity = await applySlotCapacity(prisma, eta.estimatedTime);
+      if (capacity.error) {
+        return res.status(capacity.statusCode).json({
+          success: false,
+          error: capacity.error,
+          data: capacity.data
+        });
+      }
+    }
+
+    // Take redeemed points off the balance now, so they can't be spent again before paying
+    loyaltyReservation = await reservePoints(prisma, req.customer?.id, {
+      points: pricing.loyaltyPointsRedeemed,
+      amount: pricing.loyaltyDiscount
+    });
+    if (loyaltyReservation.error) {
+      return res.status(409).json({
+        success: false,
+        error: loyaltyReservation.error,
+        code: loyaltyReservation.code
+      });
+    }
+
+    if (amount !== undefined && Math.abs(amount - pricing.amountDue) > 0.01) {
+      console.log(`⚠️ Client amount ${amount} differs from server total ${pricing.amountDue}, using server total`);
+    }
+
+    console.log('- Amount:', pricing.amountDue, 'EUR', pricing.tip > 0 ? `(incl. €${pricing.tip.toFixed(2)} tip)` : '');
+
+    // Create or retrieve customer in Stripe
+    let customer;
+    const existingCustomers = await stripe.customers.list({
+      email: orderData.customerEmail,
+      limit: 1
+    });
+
+    if (existingCustomers.data.length > 0) {
+      customer = existingCustomers.data[0];
+      console.log('🔍 Found existing Stripe customer:', customer.id);
+    } else {
+      customer = await stripe.customers.create({
+        email: orderData.customerEmail,
+        name: orderData.customerName,
+        phone: orderData.customerPhone,
+        metadata: {
+          restaurant: 'Palace Cafe & Street Food',
+          source: 'website_order'
+        }
+      });
+      console.log('✅ Created new Stripe customer:', customer.id);
+    }
+
+    // Prepare payment intent parameters
+    const paymentIntentParams = {
+        amount: Math.round(pricing.amountDue * 100), // Convert euros to cents, tip included
+        currency: 'eur',
+        customer: customer.id,
+        capture_method: 'automatic', // Charge immediately on confirmation
+        automatic_payment_methods: {
+          enabled: true,
+          allow_redirects: 'never'
+        },
+        description: `Palace Cafe Order - ${orderData.customerName}`,
+        metadata: {
+            customer_name: orderData.customerName,
+            customer_email: orderData.customerEmail,
+            customer_phone: orderData.customerPhone || '',
+            order_type: orderData.orderType || 'PICKUP',
+            restaurant: 'Palace Cafe & Street Food',
+            ...metadata,
+            order_total: pricing.total.toFixed(2),
+            tip: pricing.tip.toFixed(2),
+            promo_code: pricing.promotion?.code || ''
+        },
+        receipt_email: orderData.customerEmail
+    };
+
+    // Only add shipping for delivery orders
+    if (orderData.orderType === 'DELIVERY' && pricing.deliveryAddress) {
+        const restaurant = await prisma.restaurant.findFirst();
+        paymentIntentParams.shipping = {
+            name: orderData.customerName,
+            phone: orderData.customerPhone,
+            address: {
+                line1: pricing.deliveryAddress.street || delivery.address.line,
+                postal_code: pricing.deliveryAddress.postalCode || undefined,
+                city: pricing.deliveryAddress.city || restaurant?.city,
+                country: 'SK'
+            }
+        };
+    }
+
+    // Create payment intent
+    const paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+
+    console.log('✅ Payment intent created:', paymentIntent.id);
+
+    // Store the cart and its server-side pricing so the webhook can create the order
+    // even if the browser never comes back to confirm-payment
+    await prisma.stripeCheckout.create({
+      data: {
+        paymentIntentId: paymentIntent.id,
+        orderData: {
+          customerName: orderData.customerName,
+          customerPhone: orderData.customerPhone,
+          customerEmail: orderData.customerEmail,
+          orderType: orderData.orderType || 'PICKUP',
+          customerId: req.customer?.id || null,
+          addressId: delivery.address.id,
+          deliveryAddress: delivery.address.line || null,
+          deliveryPostalCode: delivery.address.postalCode || null,
+          deliveryCity: delivery.address.city || null,
+          deliveryNotes: orderData.deliveryNotes || null,
+          specialNotes: orderData.specialNotes || null,
+          scheduledFor: timing.scheduledFor,
+          promoCode: pricing.promotion?.code || null,
+          items: orderData.items
+        },
+        pricing: {
+          orderItems: pricing.orderItems,
+          invoiceItems: pricing.invoiceItems,
+          subtotal: pricing.subtotal,
+          deliveryFee: pricing.deliveryFee,
+          discount: pricing.discount,
+          loyaltyDiscount: pricing.loyaltyDiscount,
+          loyaltyPointsRedeemed: pricing.loyaltyPointsRedeemed,
+          total: pricing.total,
+          tip: pricing.tip,
+          amountDue: pricing.amountDue,
+          deliveryZone: pricing.deliveryZone,
+          promotion: pricing.promotion
+        },
+        amount: pricing.amountDue,
+        loyaltyReservationId: loyaltyReservation.entry?.id || null
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        customerId: customer.id,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Stripe payment intent creation failed:', error);
+    if (loyaltyReservation?.entry) {
+      await releaseReservedPoints(prisma, loyaltyReservation.entry.id);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create payment intent'
+    });
+  }
+}));
+
+// Confirm payment and return its order (Step 2: After successful payment)
+// The order is created from the cart stored at checkout, so this never duplicates the webhook
+app.post('/api/stripe/confirm-payment', orderLimiter, asyncHandler(async (req, res) => {
+  const { paymentIntentId } = req.body;
+
+  console.log('🔄 Confirming Stripe payment...');
+  console.log('- Payment Intent:', paymentIntentId);
+
+  // Validation
+  if (!paymentIntentId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Payment Intent ID is required'
+    });
+  }
+
+  try {
+    // Retrieve payment intent to verify status
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment not completed. Status: ' + paymentIntent.status
+      });
+    }
+
+    console.log('✅ Payment confirmed, fulfilling checkout...');
+
+    const result = await fulfilStripeCheckout(paymentIntent);
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const { order, created } = result;
+
+    // Return success response
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        trackingToken: getTrackingToken(order.orderNumber), // Joins the live updates of this order
+        status: order.status,
+        estimatedTime: order.estimatedTime,
+        total: order.total,
+        paymentIntentId: paymentIntentId,
+        invoiceGenerated: true
+      },
+      message: 'Payment successful! Order confirmed.'
+    });
+
+  } catch (error) {
+    console.error('❌ Stripe order creation failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process payment and create order',
+      details: error.message
+    });
+  }
+}));
+
+// Stripe webhook handler (for payment confirmations and updates)
+app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
+
+  try {
+    // Verify webhook signature
+    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    console.log('📡 Stripe webhook received:', event.type);
+  } catch (err) {
+    console.error('❌ Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // Handle different event types
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      const paymentIntent = event.data.object;
+      console.log('✅ Payment succeeded:', paymentIntent.id);
+      
+      // Create the order from the stored checkout. Errors are not caught here so
+      // Stripe receives a 500 and retries the event instead of the order being lost.
+      const result = await fulfilStripeCheckout(paymentIntent);
+
+      if (result.error) {
+        console.error(`❌ Could not fulfil payment ${paymentIntent.id} from webhook:`, result.error);
+      } else if (result.created) {
+        console.log(`📋 Order ${result.order.orderNumber} created via webhook`);
+      } else {
+        console.log(`📋 Order ${result.order.orderNumber} already exists for ${paymentIntent.id}`);
+      }
+      break;
+
+    case 'payment_intent.payment_failed':
+      const failedPayment = event.data.object;
+      console.log('❌ Payment failed:', failedPayment.id);
+      
+      // Handle failed payment
+      try {
+        const payment = await prisma.payment.findFirst({
+          where: { transactionId: failedPayment.id },
+          include: { order: true }
+        });
+
+        if (payment) {
+          await prisma.payment.update({
+            where: { id: payment.id },
+            data: { status: 'FAILED' }
+          });
+          await syncOrderPaymentStatus(prisma, payment.orderId);
+          
+          // Optionally update order status to cancelled
+          const cancelled = await transitionOrderStatus(prisma, payment.orderId, 'CANCELLED', {
+            reason: 'Payment failed'
+          });
+          if (cancelled.order) {
+            await syncOrderStatusEffects(cancelled.order);
+          }
+          
+          console.log(`📋 Order ${payment.order.orderNumber} cancelled due to payment failure`);
+        }
+      } catch (error) {
+        console.error('❌ Failed to update failed payment:', error);
+      }
+      break;
+
+    case 'payment_intent.canceled':
+      const canceledPayment = event.data.object;
+      console.log('🚫 Payment cancelled:', canceledPayment.id);
+
+      await cancelStripeCheckout(canceledPayment.id);
+      break;
+
+    case 'checkout.session.completed':
+      const session = event.data.object;
+      console.log('🛒 Checkout session completed:', session.id);
+      // Handle checkout session completion if using Stripe Checkout
+      break;
+
+    case 'charge.refunded':
+      const refundedCharge = event.data.object;
+      console.log('💸 Charge refunded:', refundedCharge.id);
+
+      // Refunds made in the Stripe dashboard are synced the same way as our own.
+      // Errors are not caught so Stripe retries the event.
+      const refundedPayment = await prisma.payment.findFirst({
+        where: { transactionId: refundedCharge.payment_intent }
+      });
+
+      if (!refundedPayment) {
+        console.log(`⚠️ No payment found for refunded charge ${refundedCharge.id}`);
+        break;
+      }
+
+      // Newer API versions don't include the refunds list on the charge
+      const stripeRefunds = refundedCharge.refunds?.data
+        || (await stripe.refunds.list({ charge: refundedCharge.id, limit: 100 })).data;
+
+      for (const stripeRefund of stripeRefunds) {
+        if (stripeRefund.status === 'failed' || stripeRefund.status === 'canceled') continue;
+
+        const current = await prisma.payment.findUnique({ where: { id: refundedPayment.id } });
+        await syncPaymentRefund(current, {
+          stripeRefundId: stripeRefund.id,
+          amount: stripeRefund.amount / 100,
+          reason: stripeRefund.metadata?.reason || stripeRefund.reason || null,
+          totalRefunded: refundedCharge.amount_refunded / 100
+        });
+      }
+      break;
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+      const dispute = event.data.object;
+      console.log(`⚠️ Charge dispute ${event.type.split('.').pop()}:`, dispute.id, dispute.status);
+
+      // Errors are not caught so Stripe retries the event
+      await syncStripeDispute(dispute, event.type);
+      break;
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+
+  res.json({ received: true });
+}));
+
+// Get Stripe publishable key for frontend
+app.get('/api/stripe/config', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      currency: 'eur',
+      country: 'SK'
+    }
+  });
+}));
+
+
+
+// ============================================
+// ADMIN AUTHENTICATION APIs
+// ============================================
+
+// Decode an admin session token, throws when it is invalid or expired
+const verifyAdminToken = (token) => jwt.verify(token, getJwtSecret(), {
+  audience: ADMIN_JWT_AUDIENCE // Customer tokens share the secret but not the audience
+});
+
+// Middleware to validate JWT for protected admin routes
+const authenticateAdmin = asyncHandler(async (req, res, next) => {
+  console.log('🔍 Auth check - Headers:', req.headers.authorization);
+  
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    console.log('❌ No auth header or wrong format');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication token required'
+    });
+  }
+
+  const token = authHeader.split(' ')[1];
+  console.log('🔑 Token received:', token ? 'Yes' : 'No');
+  
+  try {
+    const decoded = verifyAdminToken(token);
+    console.log('✅ Token decoded:', decoded);
+    
+    const admin = await prisma.adminUser.findUnique({
+      where: { id: decoded.id }
+    });
+
+    if (!admin || !admin.isActive) {
+      console.log('❌ Admin not found or inactive');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or inactive admin account'
+      });
+    }
+
+    if (admin.role === DRIVER_ROLE) {
+      return res.status(403).json({
+        success: false,
+        error: 'Drivers can only use the driver API'
+      });
+    }
+
+    console.log('✅ Admin authenticated:', admin.email);
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.log('❌ Token verification failed:', error.message);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token'
+    });
+  }
+});
+
+// Middleware for the driver API, drivers sign in like admins but only get here
+const authenticateDriver = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication token required'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAdminToken(authHeader.split(' ')[1]);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token'
+    });
+  }
+
+  const driver = await prisma.adminUser.findUnique({ where: { id: decoded.id } });
+
+  if (!driver || !driver.isActive || driver.role !== DRIVER_ROLE) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or inactive driver account'
+    });
+  }
+
+  req.driver = driver;
+  next();
+});
+
+// Stricter rate limiting for login attempts
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 login attempts per window
+  message: {
+    error: 'Too many login attempts from this IP, please try again later.'
+  }
+});
+
+// Admin login with input validation, bcrypt, and JWT
+app.post('/api/admin/login', loginLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const { email, password } = req.body;
+
+  // Find admin user by email
+  const admin = await prisma.adminUser.findUnique({
+    where: { email }
+  });
+
+  // Check if user exists and password matches
+  if (!admin || !(await bcrypt.compare(password, admin.password))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid credentials'
+    });
+  }
+
+  if (!admin.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'Account is disabled'
+    });
+  }
+
+  // Generate JWT token
+  const token = jwt.sign(
+    { id: admin.id, email: admin.email, role: admin.role },
+    getJwtSecret(),
+    { audience: ADMIN_JWT_AUDIENCE, expiresIn: '1h' } // Token expires in 1 hour
+  );
+
+  // Update last login
+  await prisma.adminUser.update({
+    where: { id: admin.id },
+    data: { lastLoginAt: new Date() }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      id: admin.id,
+      email: admin.email,
+      firstName: admin.firstName,
+      lastName: admin.lastName,
+      role: admin.role,
+      token // Return JWT token for client to use in subsequent requests
+    },
+    message: 'Login successful'
+  });
+}));
+
+// Get current admin user info (protected)
+app.get('/api/admin/auth/user', authenticateAdmin, asyncHandler(async (req, res) => {
+  console.log('📋 Getting admin user info for:', req.admin.email);
+  
+  try {
+    // req.admin is already populated by the authenticateAdmin middleware
+    const admin = await prisma.adminUser.findUnique({
+      where: { id: req.admin.id },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        isActive: true,
+        lastLoginAt: true,
+        createdAt: true
+      }
+    });
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin account not found or inactive'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: admin.id,
+        email: admin.email,
+        name: admin.firstName && admin.lastName ? 
+          `${admin.firstName} ${admin.lastName}` : 
+          admin.email.split('@')[0], // Fallback to email username
+        firstName: admin.firstName,
+        lastName: admin.lastName,
+        role: admin.role,
+        lastLoginAt: admin.lastLoginAt,
+        createdAt: admin.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user information'
+    });
+  }
+}));
+
+// ============================================
+// ADMIN ORDER MANAGEMENT APIs
+// ============================================
+
+// Get all active orders
+app.get('/api/admin/orders/active', authenticateAdmin, asyncHandler(async (req, res) => {
+  console.log('📋 Loading active orders...');
+  
+  try {
+    const activeOrders = await prisma.order.findMany({
+      where: {
+        status: {
+          in: ['PENDING', 'CONFIRMED', 'PREPARING', 'READY', 'OUT_FOR_DELIVERY']
+        },
+        // Scheduled orders stay off the board until they are released to the kitchen
+        OR: [
+          { scheduledFor: null },
+          { releasedAt: { not: null } }
+        ]
+      },
+      include: {
+        items: {
+          include: {
+            menuItem: {
+              include: {
+                translations: {
+                  where: { language: 'hu' }
+                }
+              }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { status: 'asc' },
+        { estimatedTime: 'asc' },
+        { createdAt: 'desc' }
+      ]
+    });
+
+    console.log(`✅ Found ${activeOrders.length} active orders`);
+    
+    const processedOrders = activeOrders.map(order => ({
+      id: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      orderType: order.orderType,
+      paymentMethod: order.paymentMethod,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      customerEmail: order.customerEmail,
+      deliveryAddress: order.deliveryAddress,
+      deliveryNotes: order.deliveryNotes,
+      total: order.total,
+      createdAt: order.createdAt,
+      acceptedAt: order.acceptedAt,
+      estimatedTime: order.estimatedTime,
+      scheduledFor: order.scheduledFor,
+      items: order.items.map(item => ({
+        name: item.menuItem.translations[0]?.name || 'Unknown',
+        quantity: item.quantity,
+        totalPrice: item.totalPrice,
+        selectedSauce: item.selectedSauce,
+        friesUpgrade: item.friesUpgrade,
+        extras: item.extras,
+        removeItems: item.removeItems || [],
+        specialNotes: item.specialNotes || null
+      }))
+    }));
+
+    res.json({
+      success: true,
+      data: processedOrders
+    });
+
+  } catch (error) {
+    console.error('❌ Error loading active orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch orders'
+    });
+  }
+}));
+
+// Get all orders with filtering (protected)
+app.get('/api/admin/orders', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { status, date, limit = 50, page = 1 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  let whereClause = {};
+  
+  if (status && status !== 'ALL') {
+    whereClause.status = status;
+  }
+  
+  if (date) {
+    const startDate = new Date(date);
+    const endDate = new Date(date);
+    endDate.setDate(endDate.getDate() + 1);
+    
+    whereClause.createdAt = {
+      gte: startDate,
+      lt: endDate
+    };
+  }
+
+  const [orders, total] = await Promise.all([
+    prisma.order.findMany({
+      where: whereClause,
+      include: {
+        items: {
+          include: {
+            menuItem: {
+              include: {
+                translations: {
+                  where: { language: 'hu' }
+                }
+              }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: parseInt(limit),
+      skip
+    }),
+    prisma.order.count({ where: whereClause })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      orders: orders.map(order => ({
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        orderType: order.orderType,
+        customerName: order.customerName,
+        customerPhone: order.customerPhone,
+        total: order.total,
+        createdAt: order.createdAt,
+        estimatedTime: order.estimatedTime,
+        itemCount: order.items.length,
+        paymentMethod: order.paymentMethod
+      })),
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+// Get scheduled orders not yet released to the kitchen - BEFORE THE :id ROUTE
+app.get('/api/admin/orders/scheduled', authenticateAdmin, asyncHandler(async (req, res) => {
+  const scheduledOrders = await prisma.order.findMany({
+    where: {
+      releasedAt: null,
+      scheduledFor: { not: null },
+      status: { in: ['PENDING', 'CONFIRMED', 'PREPARING'] }
+    },
+    include: {
+      items: {
+        include: {
+          menuItem: {
+            include: {
+              translations: {
+                where: { language: 'hu' }
+              }
+            }
+          }
+        }
+      }
+    },
+    orderBy: { scheduledFor: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    data: scheduledOrders.map(order => ({
+      id: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      orderType: order.orderType,
+      paymentMethod: order.paymentMethod,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      deliveryAddress: order.deliveryAddress,
+      total: order.total,
+      createdAt: order.createdAt,
+      scheduledFor: order.scheduledFor,
+      items: order.items.map(item => ({
+        name: item.menuItem.translations[0]?.name || 'Unknown',
+        quantity: item.quantity
+      }))
+    }))
+  });
+}));
+
+// Get archived orders with filtering - MOVE THIS BEFORE THE :id ROUTE
+app.get('/api/admin/orders/archived', authenticateAdmin, asyncHandler(async (req, res) => {
+  console.log('📁 Loading archived orders...');
+  
+  const { period = 'today', page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  // Calculate date ranges based on period
+  let dateFilter = {};
+  const now = new Date();
+  
+  switch (period) {
+    case 'today':
+      const today = new Date(now);
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      dateFilter = {
+        createdAt: {
+          gte: today,
+          lt: tomorrow
+        }
+      };
+      break;
+      
+    case 'week':
+      const weekStart = new Date(now);
+      weekStart.setDate(now.getDate() - now.getDay()); // Start of week (Sunday)
+      weekStart.setHours(0, 0, 0, 0);
+      dateFilter = {
+        createdAt: {
+          gte: weekStart
+        }
+      };
+      break;
+      
+    case 'month':
+      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+      dateFilter = {
+        createdAt: {
+          gte: monthStart
+        }
+      };
+      break;
+      
+    case 'all':
+    default:
+      // No date filter for all time
+      break;
+  }
+  
+  try {
+    const whereClause = {
+      status: {
+        in: ['DELIVERED', 'CANCELLED']
+      },
+      ...dateFilter
+    };
+    
+    const [archivedOrders, total] = await Promise.all([
+      prisma.order.findMany({
+        where: whereClause,
+        include: {
+          items: {
+            include: {
+              menuItem: {
+                include: {
+                  translations: {
+                    where: { language: 'hu' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(limit),
+        skip
+      }),
+      prisma.order.count({ where: whereClause })
+    ]);
+
+    console.log(`✅ Found ${archivedOrders.length} archived orders for period: ${period}`);
+    
+    const processedOrders = archivedOrders.map(order => ({
+      id: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      orderType: order.orderType,
+      paymentMethod: order.paymentMethod,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      customerEmail: order.customerEmail,
+      deliveryAddress: order.deliveryAddress,
+      deliveryNotes: order.deliveryNotes,
+      subtotal: order.subtotal,
+      deliveryFee: order.deliveryFee,
+      total: order.total,
+      createdAt: order.createdAt,
+      acceptedAt: order.acceptedAt,
+      readyAt: order.readyAt,
+      deliveredAt: order.deliveredAt,
+      estimatedTime: order.estimatedTime,
+      scheduledFor: order.scheduledFor,
+      items: order.items.map(item => ({
+        id: item.id,
+        name: item.menuItem.translations[0]?.name || 'Unknown',
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+        selectedSauce: item.selectedSauce,
+        friesUpgrade: item.friesUpgrade,
+        extras: item.extras,
+        removeItems: item.removeItems || [],
+        specialNotes: item.specialNotes || null
+      }))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        orders: processedOrders,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        period
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error loading archived orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch archived orders'
+    });
+  }
+}));
+
+// Get single order details (protected)
+app.get('/api/admin/orders/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(id) },
+    include: {
+      items: {
+        include: {
+          menuItem: {
+            include: {
+              translations: {
+                where: { language: 'hu' }
+              }
+            }
+          }
+        }
+      },
+      statusHistory: {
+        include: {
+          admin: {
+            select: { id: true, firstName: true, lastName: true, email: true }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      error: 'Order not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: order
+  });
+}));
+
+// Update order status with email stub (protected)
+app.patch('/api/admin/orders/:id/status', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, estimatedTime, reason } = req.body;
+
+  const validStatuses = ['CONFIRMED', 'PREPARING', 'READY', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'];
+  
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status'
+    });
+  }
+
+  const updateData = {};
+  if (estimatedTime) {
+    updateData.estimatedTime = new Date(estimatedTime);
+  }
+
+  const result = await transitionOrderStatus(prisma, parseInt(id), status, {
+    adminId: req.admin.id,
+    reason: reason || null,
+    data: updateData
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const { order } = result;
+  await syncOrderStatusEffects(order);
+
+  // Email notification stub (to be implemented later)
+  const mailOptions = {
+    from: 'your-email@example.com',
+    to: order.customerEmail || 'admin@example.com',
+    subject: `Order ${order.orderNumber} Status Updated to ${status}`,
+    text: `Your order ${order.orderNumber} is now ${status}.`
+  };
+
+  //Emit status update with consistent payload INCLUDING orderNumber
+  if (status === 'DELIVERED') {
+    emitOrderCompleted({
+      id: order.id,
+      orderNumber: order.orderNumber,  
+      status: order.status,
+      deliveredAt: order.deliveredAt
+    });
+  } else {
+    emitOrderStatusUpdate({
+      id: order.id,
+      orderNumber: order.orderNumber, 
+      status: order.status,
+      estimatedTime: order.estimatedTime,
+      confirmedAt: order.confirmedAt,
+      readyAt: order.readyAt
+    });
+  }
+
+  // Same kitchen hand-off as accepting the order
+  if (KITCHEN_STATUSES.includes(order.status)) {
+    await syncKitchenTickets(order);
+  }
+  if (order.status === 'CONFIRMED') {
+    autoPrintOrder(order, 'ACCEPTED');
+  }
+
+  console.log('📡 WebSocket emitted: orderStatusUpdate for', order.orderNumber);
+
+  res.json({
+    success: true,
+    data: order,
+    message: `Order status updated to ${status}`
+  });
+}));
+
+// Get dashboard statistics (protected)
+app.get('/api/admin/dashboard/stats', authenticateAdmin, asyncHandler(async (req, res) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const [
+    todayOrders,
+    pendingOrders,
+    todayRevenue,
+    totalOrders
+  ] = await Promise.all([
+    prisma.order.count({
+      where: {
+        createdAt: {
+          gte: today,
+          lt: tomorrow
+        }
+      }
+    }),
+    prisma.order.count({
+      where: { status: 'PENDING' }
+    }),
+    prisma.order.aggregate({
+      where: {
+        createdAt: {
+          gte: today,
+          lt: tomorrow
+        },
+        status: { notIn: ['CANCELLED', 'REFUNDED'] }
+      },
+      _sum: { total: true }
+    }),
+    prisma.order.count()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      todayOrders,
+      pendingOrders,
+      todayRevenue: todayRevenue._sum.total || 0,
+      totalOrders
+    }
+  });
+}));
+
+// Cancel order
+app.put('/api/admin/orders/:id/cancel', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const result = await transitionOrderStatus(prisma, parseInt(id), 'CANCELLED', {
+    adminId: req.admin.id,
+    reason: reason || null
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const updatedOrder = result.order;
+  await syncOrderStatusEffects(updatedOrder);
+
+  //mit status update with consistent payload
+  emitOrderStatusUpdate({
+    id: updatedOrder.id,
+    orderNumber: updatedOrder.orderNumber,
+    status: updatedOrder.status
+  });
+
+  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
+
+  res.json({
+    success: true,
+    data: updatedOrder
+  });
+}));
+
+// Refund a card order through Stripe, in full or in part
+// Without an amount the whole remaining amount is refunded.
+app.post('/api/admin/orders/:id/refund', authenticateAdmin, [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason is too long')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(req.params.id) },
+    include: { payments: { orderBy: { createdAt: 'asc' } } }
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      error: 'Order not found'
+    });
+  }
+
+  const payment = getRefundablePayment(order.payments);
+
+  if (!payment) {
+    return res.status(400).json({
+      success: false,
+      error: 'This order has no card payment that can be refunded'
+    });
+  }
+
+  const refundable = getRefundableAmount(payment);
+  const amount = req.body.amount !== undefined ? Math.round(parseFloat(req.body.amount) * 100) / 100 : refundable;
+
+  if (refundable <= 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'This order has already been fully refunded'
+    });
+  }
+
+  if (amount > refundable) {
+    return res.status(400).json({
+      success: false,
+      error: `At most €${refundable.toFixed(2)} can still be refunded`
+    });
+  }
+
+  const reason = req.body.reason || null;
+  let stripeRefund;
+
+  try {
+    stripeRefund = await stripe.refunds.create({
+      payment_intent: payment.transactionId,
+      amount: Math.round(amount * 100),
+      metadata: {
+        order_number: order.orderNumber,
+        admin_id: String(req.admin.id),
+        reason: reason || ''
+      }
+    }, {
+      // A repeated click refunds once, not twice
+      idempotencyKey: `refund-${payment.id}-${Math.round(payment.refundedAmount * 100)}-${Math.round(amount * 100)}`
+    });
+  } catch (error) {
+    console.error(`❌ Stripe refund failed for order ${order.orderNumber}:`, error);
+    return res.status(502).json({
+      success: false,
+      error: error.message || 'Refund failed'
+    });
+  }
+
+  const result = await syncPaymentRefund(payment, {
+    stripeRefundId: stripeRefund.id,
+    amount,
+    reason,
+    adminId: req.admin.id
+  });
+
+  console.log(`💸 Refunded €${amount.toFixed(2)} for order ${order.orderNumber}`);
+
+  res.json({
+    success: true,
+    data: {
+      refund: result.refund,
+      payment: result.payment,
+      order: result.order || order,
+      fullyRefunded: result.fullyRefunded
+    },
+    message: result.error
+      ? `Refund issued, but the order status could not be updated: ${result.error}`
+      : (result.fullyRefunded ? 'Order refunded' : `€${amount.toFixed(2)} refunded`)
+  });
+}));
+
+// Edit an open order: add, change or remove items and adjust the delivery fee or discount
+// The order is repriced with the checkout rules and its invoice is voided and reissued.
+// `remove` lists order item ids, `update` holds { id, ...changed fields }, `add` holds cart lines.
+app.patch('/api/admin/orders/:id/items', authenticateAdmin, [
+  body('add').optional().isArray().withMessage('add must be a list of items'),
+  body('add.*.menuItemId').optional().isInt({ min: 1 }).withMessage('Invalid menu item'),
+  body('add.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('update').optional().isArray().withMessage('update must be a list of changes'),
+  body('update.*.id').optional().isInt({ min: 1 }).withMessage('Invalid order item'),
+  body('update.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('remove').optional().isArray().withMessage('remove must be a list of order item ids'),
+  body('remove.*').optional().isInt({ min: 1 }).withMessage('Invalid order item'),
+  body('deliveryFee').optional().isFloat({ min: 0 }).withMessage('Delivery fee cannot be negative'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const orderId = parseInt(req.params.id);
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: true, promotion: true, promotionRedemption: true, deliveryZone: true }
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      error: 'Order not found'
+    });
+  }
+
+  const edits = {
+    add: (req.body.add || []).map(item => ({ ...item, menuItemId: parseInt(item.menuItemId), quantity: parseInt(item.quantity) })),
+    update: (req.body.update || []).map(change => ({
+      ...change,
+      id: parseInt(change.id),
+      quantity: change.quantity !== undefined ? parseInt(change.quantity) : undefined
+    })),
+    remove: (req.body.remove || []).map(id => parseInt(id)),
+    deliveryFee: req.body.deliveryFee !== undefined ? parseFloat(req.body.deliveryFee) : undefined,
+    discount: req.body.discount !== undefined ? parseFloat(req.body.discount) : undefined
+  };
+
+  const repriced = await repriceOrder(prisma, order, edits);
+
+  if (repriced.error) {
+    return res.status(EDITABLE_STATUSES.includes(order.status) ? 400 : 409).json({
+      success: false,
+      error: repriced.error,
+      errors: repriced.errors
+    });
+  }
+
+  const { pricing, totals, promotionDropped } = repriced;
+  const amountDue = Math.round((totals.total + order.tip) * 100) / 100;
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Only apply if the order did not change since we read it
+    const claimed = await tx.order.updateMany({
+      where: { id: orderId, status: order.status, updatedAt: order.updatedAt },
+      data: totals
+    });
+    if (claimed.count === 0) return null;
+
+    await tx.orderItem.deleteMany({ where: { orderId } });
+    await tx.orderItem.createMany({
+      data: pricing.orderItems.map(item => ({ ...item, orderId }))
+    });
+
+    if (promotionDropped) {
+      // The code no longer applies, give its use back
+      await tx.order.update({ where: { id: orderId }, data: { promotionId: null } });
+      if (order.promotionRedemption) {
+        await tx.promotionRedemption.delete({ where: { orderId } });
+        await tx.promotion.updateMany({
+          where: { id: order.promotionId, usesCount: { gt: 0 } },
+          data: { usesCount: { decrement: 1 } }
+        });
+      }
+    } else if (order.promotionRedemption) {
+      await tx.promotionRedemption.update({
+        where: { orderId },
+        data: { discount: totals.discount }
+      });
+    }
+
+    await tx.orderStatusHistory.create({
+      data: {
+        orderId,
+        fromStatus: order.status,
+        toStatus: order.status,
+        adminId: req.admin.id,
+        reason: describeEdits(order, edits, totals, promotionDropped)
+      }
+    });
+
+    const balance = await adjustPaymentsForEdit(tx, orderId, amountDue);
+
+    const updatedOrder = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: {
+          include: {
+            menuItem: {
+              include: { translations: { where: { language: 'hu' } } }
+            }
+          }
+        }
+      }
+    });
+
+    return { updatedOrder, balance };
+  });
+
+  if (!result) {
+    return res.status(409).json({
+      success: false,
+      error: 'The order was changed meanwhile, reload it and try again'
+    });
+  }
+
+  const { updatedOrder, balance } = result;
+  let reissued = null;
+
+  try {
+    reissued = await reissueOrderInvoice(prisma, updatedOrder, pricing.invoiceItems);
+  } catch (error) {
+    console.error(`❌ Invoice reissue failed for order ${updatedOrder.orderNumber}:`, error);
+  }
+
+  emitOrderStatusUpdate({
+    id: updatedOrder.id,
+    orderNumber: updatedOrder.orderNumber,
+    status: updatedOrder.status,
+    subtotal: updatedOrder.subtotal,
+    deliveryFee: updatedOrder.deliveryFee,
+    discount: updatedOrder.discount,
+    total: updatedOrder.total,
+    items: updatedOrder.items.map(item => ({
+      name: item.menuItem.translations[0]?.name || 'Unknown',
+      quantity: item.quantity
+    }))
+  });
+
+  console.log(`✏️ Order ${updatedOrder.orderNumber} edited, total €${updatedOrder.total.toFixed(2)}`);
+
+  // Removing the last items a station still had to make finishes the order
+  const tickets = await syncKitchenTickets(updatedOrder);
+  if (allStationsBumped(tickets)) {
+    const readied = await markOrderReady(orderId, { adminId: req.admin.id, reason: KITCHEN_DONE_REASON });
+    if (!readied.error) {
+      updatedOrder.status = readied.order.status;
+      updatedOrder.readyAt = readied.order.readyAt;
+    }
+  }
+
+  let message = 'Order updated';
+  if (!reissued) message = 'Order updated, but the invoice could not be reissued';
+  else if (balance.overpaid > 0) message = `Order updated, €${balance.overpaid.toFixed(2)} was overpaid and can be refunded`;
+  else if (balance.outstanding > 0) message = `Order updated, €${balance.outstanding.toFixed(2)} is still to be collected`;
+
+  res.json({
+    success: true,
+    data: {
+      order: updatedOrder,
+      invoice: reissued?.invoice || null,
+      creditNote: reissued?.creditNote || null,
+      outstanding: balance.outstanding,
+      overpaid: balance.overpaid
+    },
+    message
+  });
+}));
+
+// Get disputes, open ones (still accepting evidence) first by deadline
+app.get('/api/admin/disputes', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { status, open } = req.query;
+
+  const whereClause = {};
+  if (status) whereClause.status = status;
+  if (open === 'true') whereClause.closedAt = null;
+
+  const disputes = await prisma.dispute.findMany({
+    where: whereClause,
+    orderBy: [{ evidenceDueBy: 'asc' }, { createdAt: 'desc' }],
+    include: {
+      order: {
+        select: { id: true, orderNumber: true, customerName: true, total: true, createdAt: true }
+      }
+    }
+  });
+
+  res.json({
+    success: true,
+    data: disputes
+  });
+}));
+
+// Assemble the evidence for contesting a dispute on an order
+// Includes order details, delivery timestamps, status history, payments and the invoice PDF (base64)
+app.get('/api/admin/orders/:id/dispute-evidence', authenticateAdmin, asyncHandler(async (req, res) => {
+  const bundle = await buildEvidenceBundle(prisma, parseInt(req.params.id));
+
+  if (!bundle) {
+    return res.status(404).json({
+      success: false,
+      error: 'Order not found'
+    });
+  }
+
+  const { order, ...evidence } = bundle;
+  let invoice = null;
+
+  const currentInvoice = order.invoices[0];
+  if (currentInvoice) {
+    const pdfBuffer = await generateInvoicePDF({ ...currentInvoice, order });
+    invoice = {
+      invoiceNumber: currentInvoice.invoiceNumber,
+      totalGross: currentInvoice.totalGross,
+      createdAt: currentInvoice.createdAt,
+      fileName: `faktura-${currentInvoice.invoiceNumber}.pdf`,
+      pdf: pdfBuffer.toString('base64')
+    };
+  }
+
+  res.json({
+    success: true,
+    data: {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      orderType: order.orderType,
+      total: order.total,
+      ...evidence,
+      invoice
+    }
+  });
+}));
+
+
+// ============================================
+// WEBSOCKET ADMIN ORDER MANAGEMENT
+// ============================================
+
+// Get staff connected to the dashboard and the orders they are viewing or handling
+// The same list is pushed to admin sockets as `staffPresence` whenever it changes.
+app.get('/api/admin/staff/online', authenticateAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: getConnectedStaff()
+  });
+}));
+
+// Get the suggested preparation time for accepting an order
+app.get('/api/admin/orders/:id/prep-estimate', authenticateAdmin, asyncHandler(async (req, res) => {
+  const estimate = await estimateForOrder(prisma, parseInt(req.params.id));
+
+  if (!estimate) {
+    return res.status(404).json({
+      success: false,
+      error: 'Order not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      suggestedMinutes: estimate.minutes,
+      estimatedTime: estimate.estimatedTime,
+      ...estimate.breakdown
+    }
+  });
+}));
+
+// Accept order with time estimate, the suggested estimate is used when none is given
+app.put('/api/admin/orders/:id/accept', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  let { estimatedMinutes } = req.body;
+
+  // Without a time from staff, take the estimator's suggestion
+  if (estimatedMinutes === undefined || estimatedMinutes === null || estimatedMinutes === '') {
+    const estimate = await estimateForOrder(prisma, parseInt(id));
+    estimatedMinutes = estimate?.minutes;
+  }
+
+  if (!estimatedMinutes || estimatedMinutes < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid estimated time is required'
+    });
+  }
+
+  const now = new Date();
+  const estimatedTime = new Date(now.getTime() + estimatedMinutes * 60000);
+
+  const result = await transitionOrderStatus(prisma, parseInt(id), 'CONFIRMED', {
+    adminId: req.admin.id,
+    reason: `Accepted with ${estimatedMinutes} min estimate`,
+    data: { estimatedTime }
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const updatedOrder = result.order;
+
+  //Emit status update to all connected clients with consistent payload
+  emitOrderStatusUpdate({
+    id: updatedOrder.id,
+    orderNumber: updatedOrder.orderNumber, 
+    status: updatedOrder.status,
+    estimatedTime: updatedOrder.estimatedTime,
+    confirmedAt: updatedOrder.acceptedAt
+  });
+
+  await syncKitchenTickets(updatedOrder);
+  autoPrintOrder(updatedOrder, 'ACCEPTED');
+
+  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
+
+  res.json({
+    success: true,
+    data: updatedOrder
+  });
+}));
+
+// Mark order as ready
+app.put('/api/admin/orders/:id/ready', authenticateAdmin, asyncHandler(async (req, res) => {
+  const result = await markOrderReady(parseInt(req.params.id), {
+    adminId: req.admin.id
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result.order
+  });
+}));
+
+// Tell the dashboard and the customer an order left with the driver
+const notifyOutForDelivery = async (order) => {
+  //Emit status update with consistent payload
+  emitOrderStatusUpdate({
+    id: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status
+  });
+
+  if (order.customerEmail) {
+    try {
+      await sendOrderStatusEmail({
+        orderNumber: order.orderNumber,
+        customerName: order.customerName,
+        orderType: order.orderType,
+        status: 'OUT_FOR_DELIVERY'
+      }, order.customerEmail);
+      console.log(`📧 Order delivery email sent to ${order.customerEmail}`);
+    } catch (emailError) {
+      console.error('❌ Order delivery email failed:', emailError);
+    }
+  }
+
+  console.log('📡 WebSocket emitted: orderStatusUpdate for', order.orderNumber);
+};
+
+// Send an order out for delivery, with `driverId` it is assigned to that driver
+app.put('/api/admin/orders/:id/delivery', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const driverId = req.body?.driverId ? parseInt(req.body.driverId) : null;
+
+  const result = driverId
+    ? await assignOrders(prisma, driverId, [parseInt(id)], { adminId: req.admin.id })
+    : await transitionOrderStatus(prisma, parseInt(id), 'OUT_FOR_DELIVERY', { adminId: req.admin.id });
+
+  if (!result.error && driverId && result.failed.length > 0) {
+    result.error = result.failed[0].error;
+    result.statusCode = 409;
+  }
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const updatedOrder = driverId ? result.orders[0] : result.order;
+  await notifyOutForDelivery(updatedOrder);
+
+  res.json({
+    success: true,
+    data: updatedOrder
+  });
+}));
+
+// Complete order
+app.put('/api/admin/orders/:id/complete', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await transitionOrderStatus(prisma, parseInt(id), 'DELIVERED', {
+    adminId: req.admin.id
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const updatedOrder = result.order;
+  await syncOrderStatusEffects(updatedOrder);
+
+  //Emit completion event with consistent payload
+  emitOrderCompleted({
+    id: updatedOrder.id,
+    orderNumber: updatedOrder.orderNumber,
+    status: updatedOrder.status,
+    deliveredAt: updatedOrder.deliveredAt
+  });
+
+  console.log('📡 WebSocket emitted: orderCompleted for', updatedOrder.orderNumber);
+
+  res.json({
+    success: true,
+    data: updatedOrder
+  });
+}));
+
+
+// Mark the cash (or pay-on-collection card) payment of an order as collected
+app.put('/api/admin/orders/:id/collect-payment', authenticateAdmin, asyncHandler(async (req, res) => {
+  const result = await markPaymentCollected(prisma, parseInt(req.params.id), {
+    adminId: req.admin.id
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const { order, payment } = result;
+
+  emitOrderStatusUpdate({
+    id: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus
+  });
+
+  console.log(`💶 Payment of €${payment.amount.toFixed(2)} collected for order ${order.orderNumber}`);
+
+  res.json({
+    success: true,
+    data: { order, payment },
+    message: 'Payment marked as collected'
+  });
+}));
+
+
+// ============================================
+// DRIVER & DELIVERY APIs
+// ============================================
+
+// Get drivers with the number of orders they are out with
+app.get('/api/admin/drivers', authenticateAdmin, asyncHandler(async (req, res) => {
+  const drivers = await prisma.adminUser.findMany({
+    where: { role: DRIVER_ROLE },
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+      isActive: true,
+      lastLoginAt: true,
+      _count: {
+        select: {
+          deliveries: { where: { completedAt: null, order: { status: 'OUT_FOR_DELIVERY' } } }
+        }
+      }
+    },
+    orderBy: { firstName: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    data: drivers
+  });
+}));
+
+// Driver fields returned to staff, never the password hash
+const DRIVER_PROFILE_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  isActive: true,
+  lastLoginAt: true
+};
+
+// Create a driver account, drivers sign in to the driver API with it
+app.post('/api/admin/drivers', authenticateAdmin, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('firstName').trim().notEmpty().withMessage('First name is required'),
+  body('lastName').trim().notEmpty().withMessage('Last name is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const { email, password, firstName, lastName } = req.body;
+
+  const existing = await prisma.adminUser.findUnique({ where: { email } });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'An account with this email already exists'
+    });
+  }
+
+  const driver = await prisma.adminUser.create({
+    data: {
+      email,
+      password: await bcrypt.hash(password, 10),
+      firstName,
+      lastName,
+      role: DRIVER_ROLE
+    },
+    select: DRIVER_PROFILE_SELECT
+  });
+
+  console.log(`🛵 Driver created: ${driver.email} by ${req.admin.email}`);
+
+  res.status(201).json({
+    success: true,
+    data: driver,
+    message: 'Driver created'
+  });
+}));
+
+// Update a driver's details, password or whether the account may sign in
+app.put('/api/admin/drivers/:id', authenticateAdmin, [
+  body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const driverId = parseInt(req.params.id);
+  const existing = await prisma.adminUser.findUnique({ where: { id: driverId } });
+
+  if (!existing || existing.role !== DRIVER_ROLE) {
+    return res.status(404).json({
+      success: false,
+      error: 'Driver not found'
+    });
+  }
+
+  const { email, password, firstName, lastName, isActive } = req.body;
+
+  if (email && email !== existing.email) {
+    const taken = await prisma.adminUser.findUnique({ where: { email } });
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+  }
+
+  const active = isActive === undefined ? existing.isActive : isActive === true || isActive === 'true';
+
+  // A disabled driver can no longer close the deliveries they are out with
+  if (!active && existing.isActive) {
+    const openDeliveries = await prisma.deliveryAssignment.count({
+      where: { driverId, completedAt: null, order: { status: 'OUT_FOR_DELIVERY' } }
+    });
+
+    if (openDeliveries > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This driver is still out with ${openDeliveries} order(s)`
+      });
+    }
+  }
+
+  const driver = await prisma.adminUser.update({
+    where: { id: driverId },
+    data: {
+      ...(email && { email }),
+      ...(password && { password: await bcrypt.hash(password, 10) }),
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      isActive: active
+    },
+    select: DRIVER_PROFILE_SELECT
+  });
+
+  console.log(`🛵 Driver updated: ${driver.email} by ${req.admin.email}`);
+
+  res.json({
+    success: true,
+    data: driver,
+    message: 'Driver updated'
+  });
+}));
+
+// Assign ready delivery orders to a driver, they go out for delivery
+app.post('/api/admin/deliveries/assign', authenticateAdmin, [
+  body('driverId').isInt({ min: 1 }).withMessage('Driver is required'),
+  body('orderIds').isArray({ min: 1 }).withMessage('At least one order is required'),
+  body('orderIds.*').isInt({ min: 1 }).withMessage('Invalid order id')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const result = await assignOrders(
+    prisma,
+    parseInt(req.body.driverId),
+    req.body.orderIds.map(id => parseInt(id)),
+    { adminId: req.admin.id }
+  );
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const { driver, orders, failed } = result;
+
+  for (const order of orders) {
+    await notifyOutForDelivery(order);
+  }
+
+  emitToAdmins('deliveryAssigned', {
+    driverId: driver.id,
+    driverName: `${driver.firstName} ${driver.lastName}`,
+    orderIds: orders.map(order => order.id)
+  });
+
+  console.log(`🛵 ${orders.length} order(s) assigned to ${driver.firstName} ${driver.lastName}`);
+
+  res.json({
+    success: true,
+    data: { orders, failed },
+    message: `${orders.length} order(s) assigned`
+  });
+}));
+
+// Get delivery counts and cash per driver, today unless a date range is given
+app.get('/api/admin/drivers/stats', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const from = startDate ? new Date(startDate) : new Date(new Date().setHours(0, 0, 0, 0));
+  const to = endDate ? new Date(endDate) : new Date(from.getTime() + 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date range'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      drivers: await getDriverStats(prisma, { from, to }),
+      dateRange: { gte: from, lt: to }
+    }
+  });
+}));
+
+// Get the cash drivers collected and still have to hand in
+app.get('/api/admin/drivers/cash', authenticateAdmin, asyncHandler(async (req, res) => {
+  const driverId = req.query.driverId ? parseInt(req.query.driverId) : null;
+
+  res.json({
+    success: true,
+    data: await getCashToRemit(prisma, { driverId })
+  });
+}));
+
+// Record that a driver handed in their collected cash
+app.post('/api/admin/drivers/:id/remit', authenticateAdmin, asyncHandler(async (req, res) => {
+  const result = await remitDriverCash(prisma, parseInt(req.params.id), {
+    adminId: req.admin.id
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  console.log(`💶 Driver ${req.params.id} handed in €${result.amount.toFixed(2)} for ${result.count} order(s)`);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Cash handed in'
+  });
+}));
+
+// Get the orders the signed-in driver is out with
+app.get('/api/driver/orders', authenticateDriver, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getDriverOrders(prisma, req.driver.id)
+  });
+}));
+
+// Driver handed an order over and collected what was left to pay
+app.put('/api/driver/orders/:id/delivered', authenticateDriver, asyncHandler(async (req, res) => {
+  const result = await completeDelivery(prisma, req.driver.id, parseInt(req.params.id));
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const { order, assignment, payment } = result;
+  await syncOrderStatusEffects(order);
+
+  emitOrderCompleted({
+    id: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    deliveredAt: order.deliveredAt,
+    paymentStatus: order.paymentStatus,
+    driverId: req.driver.id
+  });
+
+  console.log(`🛵 Order ${order.orderNumber} delivered by ${req.driver.email}`);
+
+  res.json({
+    success: true,
+    data: { order, assignment, payment },
+    message: 'Order marked as delivered'
+  });
+}));
+
+// Driver could not hand an order over, it goes back to the restaurant
+app.put('/api/driver/orders/:id/failed', authenticateDriver, [
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const result = await failDelivery(prisma, req.driver.id, parseInt(req.params.id), req.body.reason);
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const { order, assignment } = result;
+
+  emitOrderStatusUpdate({
+    id: order.id,
+    orderNumber: order.orderNumber,
+    status: order.status
+  });
+  emitToAdmins('deliveryFailed', {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    driverId: req.driver.id,
+    driverName: `${req.driver.firstName} ${req.driver.lastName}`,
+    reason: assignment.failureReason
+  });
+
+  console.log(`⚠️ Delivery of order ${order.orderNumber} failed: ${assignment.failureReason}`);
+
+  res.json({
+    success: true,
+    data: { order, assignment },
+    message: 'Delivery marked as failed'
+  });
+}));
+
+
+// ============================================
+// KITCHEN DISPLAY APIs
+// ============================================
+
+// Get kitchen stations with what is routed to them and their open ticket count
+app.get('/api/admin/kitchen/stations', authenticateAdmin, asyncHandler(async (req, res) => {
+  const stations = await prisma.kitchenStation.findMany({
+    orderBy: { displayOrder: 'asc' },
+    include: {
+      categories: { select: { id: true, slug: true } },
+      menuItems: { select: { id: true, slug: true } },
+      _count: {
+        select: {
+          tickets: { where: { bumpedAt: null, order: { status: { in: KITCHEN_STATUSES } } } }
+        }
+      }
+    }
+  });
+
+  res.json({
+    success: true,
+    data: stations
+  });
+}));
+
+// Create kitchen station
+app.post('/api/admin/kitchen/stations', authenticateAdmin, [
+  body('slug').trim().matches(/^[a-z0-9-]+$/).withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('displayOrder').optional().isInt({ min: 0 }).withMessage('Display order must be zero or more')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const station = await prisma.kitchenStation.create({
+    data: {
+      slug: req.body.slug,
+      name: req.body.name,
+      displayOrder: parseInt(req.body.displayOrder) || 0
+    }
+  });
+
+  console.log(`🍳 Kitchen station created: ${station.name} by ${req.admin.email}`);
+
+  res.status(201).json({
+    success: true,
+    data: station,
+    message: 'Kitchen station created'
+  });
+}));
+
+// Update kitchen station
+// `categoryIds` and `menuItemIds` replace what is routed to the station; a menu item's
+// own station takes precedence over its category's.
+app.put('/api/admin/kitchen/stations/:id', authenticateAdmin, [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('displayOrder').optional().isInt({ min: 0 }).withMessage('Display order must be zero or more'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  body('categoryIds').optional().isArray().withMessage('categoryIds must be a list'),
+  body('categoryIds.*').optional().isInt({ min: 1 }).withMessage('Invalid category'),
+  body('menuItemIds').optional().isArray().withMessage('menuItemIds must be a list'),
+  body('menuItemIds.*').optional().isInt({ min: 1 }).withMessage('Invalid menu item')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const stationId = parseInt(req.params.id);
+  const existing = await prisma.kitchenStation.findUnique({ where: { id: stationId } });
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Kitchen station not found'
+    });
+  }
+
+  const { name, displayOrder, isActive, categoryIds, menuItemIds } = req.body;
+
+  const station = await prisma.$transaction(async (tx) => {
+    if (categoryIds) {
+      await tx.category.updateMany({
+        where: { stationId, id: { notIn: categoryIds.map(Number) } },
+        data: { stationId: null }
+      });
+      await tx.category.updateMany({
+        where: { id: { in: categoryIds.map(Number) } },
+        data: { stationId }
+      });
+    }
+
+    if (menuItemIds) {
+      await tx.menuItem.updateMany({
+        where: { stationId, id: { notIn: menuItemIds.map(Number) } },
+        data: { stationId: null }
+      });
+      await tx.menuItem.updateMany({
+        where: { id: { in: menuItemIds.map(Number) } },
+        data: { stationId }
+      });
+    }
+
+    return tx.kitchenStation.update({
+      where: { id: stationId },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(displayOrder !== undefined && { displayOrder: parseInt(displayOrder) }),
+        ...(isActive !== undefined && { isActive: isActive === true || isActive === 'true' })
+      },
+      include: {
+        categories: { select: { id: true, slug: true } },
+        menuItems: { select: { id: true, slug: true } }
+      }
+    });
+  });
+
+  console.log(`🍳 Kitchen station updated: ${station.name} by ${req.admin.email}`);
+
+  res.json({
+    success: true,
+    data: station,
+    message: 'Kitchen station updated'
+  });
+}));
+
+// Get the open tickets of a station, oldest order first
+app.get('/api/admin/kitchen/stations/:id/tickets', authenticateAdmin, asyncHandler(async (req, res) => {
+  const stationId = parseInt(req.params.id);
+  const station = await prisma.kitchenStation.findUnique({ where: { id: stationId } });
+
+  if (!station) {
+    return res.status(404).json({
+      success: false,
+      error: 'Kitchen station not found'
+    });
+  }
+
+  const tickets = await getStationQueue(prisma, stationId);
+
+  res.json({
+    success: true,
+    data: { station, tickets }
+  });
+}));
+
+// Bump a station ticket, the order becomes READY once every station has bumped
+app.put('/api/admin/kitchen/tickets/:id/bump', authenticateAdmin, asyncHandler(async (req, res) => {
+  const result = await bumpStationTicket(prisma, parseInt(req.params.id), {
+    adminId: req.admin.id
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const { ticket, tickets } = result;
+
+  emitToAdmins('stationTicketBumped', {
+    ticketId: ticket.id,
+    orderId: ticket.orderId,
+    stationId: ticket.stationId,
+    bumpedAt: ticket.bumpedAt
+  });
+
+  let order = null;
+  if (allStationsBumped(tickets)) {
+    const readied = await markOrderReady(ticket.orderId, {
+      adminId: req.admin.id,
+      reason: KITCHEN_DONE_REASON
+    });
+    // Someone may have marked it ready by hand meanwhile
+    if (readied.error) {
+      console.log(`⚠️ Order ${ticket.orderId} not moved to READY after last bump: ${readied.error}`);
+    } else {
+      order = readied.order;
+    }
+  }
+
+  res.json({
+    success: true,
+    data: { ticket, tickets, order },
+    message: order ? 'All stations done, order is ready' : 'Ticket bumped'
+  });
+}));
+
+
+// ============================================
+// PRINTER APIs
+// ============================================
+
+// Validation shared by creating and updating printers
+const printerValidation = (isUpdate) => {
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('host').trim().isIP().withMessage('Host must be an IP address'),
+    body('port').optional().isInt({ min: 1, max: 65535 }).withMessage('Port must be between 1 and 65535'),
+    body('codePage').optional().isIn(Object.keys(CODE_PAGES)).withMessage(`Code page must be one of ${Object.keys(CODE_PAGES).join(', ')}`),
+    body('paperWidth').optional().isInt({ min: 24, max: 64 }).withMessage('Paper width must be between 24 and 64 characters'),
+    body('printTickets').optional().isBoolean().withMessage('printTickets must be true or false'),
+    body('printReceipts').optional().isBoolean().withMessage('printReceipts must be true or false'),
+    body('autoPrint').optional().isIn(['NEW_ORDER', 'ACCEPTED', 'MANUAL']).withMessage('autoPrint must be NEW_ORDER, ACCEPTED or MANUAL'),
+    body('stationId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid kitchen station'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Printer fields from a request body, only those present
+const getPrinterData = (data) => {
+  const printer = {};
+  if (data.name !== undefined) printer.name = data.name;
+  if (data.host !== undefined) printer.host = data.host;
+  if (data.port !== undefined) printer.port = parseInt(data.port);
+  if (data.codePage !== undefined) printer.codePage = data.codePage;
+  if (data.paperWidth !== undefined) printer.paperWidth = parseInt(data.paperWidth);
+  if (data.printTickets !== undefined) printer.printTickets = data.printTickets === true || data.printTickets === 'true';
+  if (data.printReceipts !== undefined) printer.printReceipts = data.printReceipts === true || data.printReceipts === 'true';
+  if (data.autoPrint !== undefined) printer.autoPrint = data.autoPrint;
+  if (data.stationId !== undefined) printer.stationId = data.stationId === null ? null : parseInt(data.stationId);
+  if (data.isActive !== undefined) printer.isActive = data.isActive === true || data.isActive === 'true';
+  return printer;
+};
+
+// Get printers
+app.get('/api/admin/printers', authenticateAdmin, asyncHandler(async (req, res) => {
+  const printers = await prisma.printer.findMany({
+    orderBy: { name: 'asc' },
+    include: { station: { select: { id: true, name: true } } }
+  });
+
+  res.json({
+    success: true,
+    data: printers
+  });
+}));
+
+// Create printer
+app.post('/api/admin/printers', authenticateAdmin, printerValidation(false), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const printer = await prisma.printer.create({
+    data: getPrinterData(req.body)
+  });
+
+  console.log(`🖨️ Printer created: ${printer.name} (${printer.host}:${printer.port}) by ${req.admin.email}`);
+
+  res.status(201).json({
+    success: true,
+    data: printer,
+    message: 'Printer created'
+  });
+}));
+
+// Update printer
+app.put('/api/admin/printers/:id', authenticateAdmin, printerValidation(true), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const printerId = parseInt(req.params.id);
+  const existing = await prisma.printer.findUnique({ where: { id: printerId } });
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Printer not found'
+    });
+  }
+
+  const printer = await prisma.printer.update({
+    where: { id: printerId },
+    data: getPrinterData(req.body)
+  });
+
+  console.log(`🖨️ Printer updated: ${printer.name} by ${req.admin.email}`);
+
+  res.json({
+    success: true,
+    data: printer,
+    message: 'Printer updated'
+  });
+}));
+
+// Print a test page
+app.post('/api/admin/printers/:id/test', authenticateAdmin, asyncHandler(async (req, res) => {
+  const printer = await prisma.printer.findUnique({ where: { id: parseInt(req.params.id) } });
+
+  if (!printer) {
+    return res.status(404).json({
+      success: false,
+      error: 'Printer not found'
+    });
+  }
+
+  const result = await printTestPage(printer);
+
+  if (result.error) {
+    return res.status(502).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Test page printed'
+  });
+}));
+
+// Print or reprint an order's kitchen ticket and/or receipt
+// Without a printer every active printer prints what it is set up for.
+app.post('/api/admin/orders/:id/print', authenticateAdmin, [
+  body('printerId').optional().isInt({ min: 1 }).withMessage('Invalid printer'),
+  body('document').optional().isIn(PRINT_DOCUMENTS).withMessage(`Document must be one of ${PRINT_DOCUMENTS.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: errors.array()[0].msg
+    });
+  }
+
+  const result = await printOrder(prisma, parseInt(req.params.id), {
+    printerId: req.body.printerId ? parseInt(req.body.printerId) : null,
+    document: req.body.document || null
+  });
+
+  if (result.error) {
+    return res.status(result.statusCode).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  if (result.jobs.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No printer is set up to print this'
+    });
+  }
+
+  const failed = result.jobs.filter(job => job.error);
+
+  res.status(failed.length === result.jobs.length ? 502 : 200).json({
+    success: failed.length < result.jobs.length,
+    data: result.jobs,
+    message: failed.length > 0
+      ? `${failed.length} of ${result.jobs.length} print jobs failed`
+      : `${result.jobs.length} print job(s) sent`
+  });
+}));
+
+
+// ============================================
+// RESTAURANT INFO API
+// ============================================
+
+app.get('/api/restaurant', asyncHandler(async (req, res) => {
+  const [restaurant, schedule] = await Promise.all([
+    prisma.restaurant.findFirst(),
+    getScheduleStatus(prisma)
+  ]);
+  
+  if (!restaurant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Restaurant information not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      name: restaurant.name,
+      description: restaurant.description,
+      phone: restaurant.phone,
+      email: restaurant.email,
+      address: restaurant.address,
+      city: restaurant.city,
+      deliveryFee: restaurant.deliveryFee,
+      minimumOrder: restaurant.minimumOrder,
+      deliveryTime: restaurant.deliveryTime,
+      openingHours: restaurant.openingHours,
+      isOpen: schedule.isOpen,
+      closedReason: schedule.reason,
+      closesAt: schedule.closesAt,
+      nextOpeningAt: schedule.nextOpeningAt
+    }
+  });
+}));
+
+// Get current ordering status including pause state (protected)
+app.get('/api/admin/restaurant/schedule', authenticateAdmin, asyncHandler(async (req, res) => {
+  const schedule = await getScheduleStatus(prisma);
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+}));
+
+// Pause incoming orders for N minutes (protected)
+app.post('/api/admin/restaurant/pause', authenticateAdmin, asyncHandler(async (req, res) => {
+  const minutes = parseInt(req.body.minutes);
+
+  if (!minutes || minutes < 1 || minutes > 24 * 60) {
+    return res.status(400).json({
+      success: false,
+      error: 'minutes must be between 1 and 1440'
+    });
+  }
+
+  const pausedUntil = await pauseOrders(prisma, minutes);
+  const schedule = await getScheduleStatus(prisma);
+
+  emitRestaurantStatus(schedule);
+
+  console.log(`⏸️ Orders paused until ${pausedUntil.toISOString()} by ${req.admin.email}`);
+
+  res.json({
+    success: true,
+    data: schedule,
+    message: `Orders paused for ${minutes} minutes`
+  });
+}));
+
+// Resume orders before the pause runs out (protected)
+app.delete('/api/admin/restaurant/pause', authenticateAdmin, asyncHandler(async (req, res) => {
+  await resumeOrders(prisma);
+  const schedule = await getScheduleStatus(prisma);
+
+  emitRestaurantStatus(schedule);
+
+  console.log(`▶️ Orders resumed by ${req.admin.email}`);
+
+  res.json({
+    success: true,
+    data: schedule,
+    message: 'Orders resumed'
+  });
+}));
+
+// Update opening hours and holiday closures (protected)
+app.put('/api/admin/restaurant/opening-hours', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { openingHours } = req.body;
+
+  const errors = validateOpeningHours(openingHours);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors[0]
+    });
+  }
 
-  } catch (error) {
-    console.error('❌ Error loading archived orders:', error);
-    res.status(500).json({
+  const restaurant = await prisma.restaurant.findFirst();
+  if (!restaurant) {
+    return res.status(404).json({
       success: false,
-      error: 'Failed to fetch archived orders'
+      error: 'Restaurant information not found'
     });
   }
-}));
 
-// Get single order details (protected)
-app.get('/api/admin/orders/:id', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  
-  const order = await prisma.order.findUnique({
-    where: { id: parseInt(id) },
-    include: {
-      items: {
-        include: {
-          menuItem: {
-            include: {
-              translations: {
-                where: { language: 'hu' }
-              }
-            }
-          }
-        }
-      }
+  await prisma.restaurant.update({
+    where: { id: restaurant.id },
+    data: { openingHours }
+  });
+
+  const schedule = await getScheduleStatus(prisma);
+  emitRestaurantStatus(schedule);
+
+  res.json({
+    success: true,
+    data: {
+      openingHours,
+      ...schedule
     }
   });
+}));
 
-  if (!order) {
-    return res.status(404).json({
+// ============================================
+// SETTINGS APIs
+// ============================================
+
+// Settings staff may change from the admin panel, with their defaults
+const ADMIN_SETTING_DEFAULTS = {
+  ...CAPACITY_DEFAULTS,
+  ...INVOICE_DEFAULTS
+};
+
+// Get kitchen capacity and invoice settings (protected)
+app.get('/api/admin/settings', authenticateAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getSettings(prisma, ADMIN_SETTING_DEFAULTS)
+  });
+}));
+
+// Update kitchen capacity and invoice settings (protected)
+// Only the settings in the body are changed.
+app.put('/api/admin/settings', authenticateAdmin, [
+  body('capacity_mode').optional().isIn(CAPACITY_MODES).withMessage(`capacity_mode must be one of ${CAPACITY_MODES.join(', ')}`),
+  body('capacity_per_slot').optional().isInt({ min: 1 }).withMessage('capacity_per_slot must be a whole number of at least 1'),
+  body('capacity_full_action').optional().isIn(CAPACITY_FULL_ACTIONS).withMessage(`capacity_full_action must be one of ${CAPACITY_FULL_ACTIONS.join(', ')}`),
+  body('capacity_search_slots').optional().isInt({ min: 1, max: 96 }).withMessage('capacity_search_slots must be between 1 and 96'),
+  body('invoice_tip_vat_rule').optional().isIn(TIP_VAT_RULES).withMessage(`invoice_tip_vat_rule must be one of ${TIP_VAT_RULES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'Order not found'
+      error: errors.array()[0].msg
+    });
+  }
+
+  const keys = Object.keys(ADMIN_SETTING_DEFAULTS).filter(key => req.body[key] !== undefined);
+  if (keys.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No settings to update'
     });
   }
 
+  await prisma.$transaction(async (tx) => {
+    for (const key of keys) {
+      const type = typeof ADMIN_SETTING_DEFAULTS[key] === 'number' ? 'number' : 'string';
+      await setSetting(tx, key, type === 'number' ? parseInt(req.body[key]) : req.body[key], type);
+    }
+  });
+
+  console.log(`⚙️ Settings updated by ${req.admin.email}: ${keys.join(', ')}`);
+
   res.json({
     success: true,
-    data: order
+    data: await getSettings(prisma, ADMIN_SETTING_DEFAULTS),
+    message: 'Settings updated'
   });
 }));
 
-// Update order status with email stub (protected)
-app.patch('/api/admin/orders/:id/status', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { status, estimatedTime } = req.body;
+// ============================================
+// DELIVERY ZONE APIs
+// ============================================
 
-  const validStatuses = ['PENDING', 'CONFIRMED', 'PREPARING', 'READY', 'DELIVERED', 'CANCELLED'];
-  
-  if (!validStatuses.includes(status)) {
+// Pick the zone fields an admin may set
+const getDeliveryZoneData = (body) => ({
+  name: body.name,
+  postalCodes: (body.postalCodes || []).map(normalizePostalCode).filter(Boolean),
+  polygon: body.polygon || null,
+  deliveryFee: body.deliveryFee,
+  minimumOrder: body.minimumOrder ?? 0,
+  freeDeliveryThreshold: body.freeDeliveryThreshold ?? null,
+  estimatedMinutes: body.estimatedMinutes ?? 45,
+  priority: body.priority ?? 0,
+  isActive: body.isActive ?? true
+});
+
+// Get all delivery zones
+app.get('/api/admin/delivery-zones', authenticateAdmin, asyncHandler(async (req, res) => {
+  const zones = await prisma.deliveryZone.findMany({
+    orderBy: [{ priority: 'asc' }, { id: 'asc' }],
+    include: {
+      _count: { select: { orders: true } }
+    }
+  });
+
+  res.json({
+    success: true,
+    data: zones
+  });
+}));
+
+// Create delivery zone
+app.post('/api/admin/delivery-zones', authenticateAdmin, asyncHandler(async (req, res) => {
+  const data = getDeliveryZoneData(req.body);
+
+  const errors = validateDeliveryZone(data);
+  if (errors.length > 0) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid status'
+      error: errors[0]
     });
   }
 
-  const updateData = { status };
-  if (estimatedTime) {
-    updateData.estimatedTime = new Date(estimatedTime);
-  }
-  
-  if (status === 'CONFIRMED') {
-    updateData.confirmedAt = new Date();
-  } else if (status === 'PREPARING') {
-    updateData.preparingAt = new Date();
-  } else if (status === 'READY') {
-    updateData.readyAt = new Date();
-  } else if (status === 'DELIVERED') {
-    updateData.deliveredAt = new Date();
-  }
+  const zone = await prisma.deliveryZone.create({
+    data: { ...data, polygon: data.polygon || Prisma.DbNull }
+  });
 
-  const order = await prisma.order.update({
-    where: { id: parseInt(id) },
-    data: updateData
+  console.log(`📍 Delivery zone created: ${zone.name} by ${req.admin.email}`);
+
+  res.status(201).json({
+    success: true,
+    data: zone,
+    message: 'Delivery zone created'
   });
+}));
 
-  // Email notification stub (to be implemented later)
-  const mailOptions = {
-    from: 'your-email@example.com',
-    to: order.customerEmail || 'admin@example.com',
-    subject: `Order ${order.orderNumber} Status Updated to ${status}`,
-    text: `Your order ${order.orderNumber} is now ${status}.`
-  };
+// Update delivery zone
+app.put('/api/admin/delivery-zones/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+  const zoneId = parseInt(req.params.id);
 
-  //Emit status update with consistent payload INCLUDING orderNumber
-  if (status === 'DELIVERED') {
-    io.emit('orderCompleted', {
-      id: order.id,
-      orderNumber: order.orderNumber,  
-      status: order.status,
-      deliveredAt: order.deliveredAt
+  const existing = await prisma.deliveryZone.findUnique({ where: { id: zoneId } });
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery zone not found'
     });
-  } else {
-    io.emit('orderStatusUpdate', {
-      id: order.id,
-      orderNumber: order.orderNumber, 
-      status: order.status,
-      estimatedTime: order.estimatedTime,
-      confirmedAt: order.confirmedAt,
-      readyAt: order.readyAt
+  }
+
+  const data = getDeliveryZoneData({ ...existing, ...req.body });
+
+  const errors = validateDeliveryZone(data);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors[0]
     });
   }
 
-  console.log('📡 WebSocket emitted: orderStatusUpdate for', order.orderNumber);
+  const zone = await prisma.deliveryZone.update({
+    where: { id: zoneId },
+    data: { ...data, polygon: data.polygon || Prisma.DbNull }
+  });
+
+  console.log(`📍 Delivery zone updated: ${zone.name} by ${req.admin.email}`);
 
   res.json({
     success: true,
-    data: order,
-    message: `Order status updated to ${status}`
+    data: zone,
+    message: 'Delivery zone updated'
   });
 }));
 
-// Get dashboard statistics (protected)
-app.get('/api/admin/dashboard/stats', authenticateAdmin, asyncHandler(async (req, res) => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+// Delete delivery zone (deactivated instead when orders reference it)
+app.delete('/api/admin/delivery-zones/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+  const zoneId = parseInt(req.params.id);
 
-  const [
-    todayOrders,
-    pendingOrders,
-    todayRevenue,
-    totalOrders
-  ] = await Promise.all([
-    prisma.order.count({
-      where: {
-        createdAt: {
-          gte: today,
-          lt: tomorrow
-        }
-      }
-    }),
-    prisma.order.count({
-      where: { status: 'PENDING' }
-    }),
-    prisma.order.aggregate({
-      where: {
-        createdAt: {
-          gte: today,
-          lt: tomorrow
-        },
-        status: { not: 'CANCELLED' }
-      },
-      _sum: { total: true }
-    }),
-    prisma.order.count()
-  ]);
+  const zone = await prisma.deliveryZone.findUnique({
+    where: { id: zoneId },
+    include: { _count: { select: { orders: true } } }
+  });
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery zone not found'
+    });
+  }
+
+  if (zone._count.orders > 0) {
+    await prisma.deliveryZone.update({
+      where: { id: zoneId },
+      data: { isActive: false }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Delivery zone has orders and was deactivated instead of deleted'
+    });
+  }
+
+  await prisma.deliveryZone.delete({ where: { id: zoneId } });
 
   res.json({
     success: true,
-    data: {
-      todayOrders,
-      pendingOrders,
-      todayRevenue: todayRevenue._sum.total || 0,
-      totalOrders
-    }
+    message: 'Delivery zone deleted'
   });
 }));
 
-// Cancel order
-app.put('/api/admin/orders/:id/cancel', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(id) },
-    data: {
-      status: 'CANCELLED'
-    }
-  });
+// Get geocoded addresses used for polygon zones
+app.get('/api/admin/address-locations', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { search } = req.query;
 
-  //mit status update with consistent payload
-  io.emit('orderStatusUpdate', {
-    id: updatedOrder.id,
-    orderNumber: updatedOrder.orderNumber,
-    status: updatedOrder.status
+  const locations = await prisma.addressLocation.findMany({
+    where: search ? { street: { contains: normalizeText(search) } } : {},
+    orderBy: [{ city: 'asc' }, { street: 'asc' }]
   });
 
-  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
-
   res.json({
     success: true,
-    data: updatedOrder
+    data: locations
   });
 }));
 
+// Add or update a geocoded street
+app.post('/api/admin/address-locations', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { street, city, postalCode, latitude, longitude } = req.body;
 
-// ============================================
-// WEBSOCKET ADMIN ORDER MANAGEMENT
-// ============================================
-
-// Accept order with time estimate
-app.put('/api/admin/orders/:id/accept', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { estimatedMinutes } = req.body;
+  const normalizedStreet = normalizeStreet(street);
+  const normalizedCity = normalizeText(city);
 
-  if (!estimatedMinutes || estimatedMinutes < 1) {
+  if (!normalizedStreet || !normalizedCity || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
     return res.status(400).json({
       success: false,
-      error: 'Valid estimated time is required'
+      error: 'street, city, latitude and longitude are required'
     });
   }
 
-  const now = new Date();
-  const estimatedTime = new Date(now.getTime() + estimatedMinutes * 60000);
+  const data = {
+    postalCode: normalizePostalCode(postalCode) || null,
+    latitude,
+    longitude
+  };
 
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(id) },
-    data: {
-      status: 'CONFIRMED',
-      acceptedAt: now,
-      estimatedTime: estimatedTime
-    }
+  const location = await prisma.addressLocation.upsert({
+    where: { street_city: { street: normalizedStreet, city: normalizedCity } },
+    update: data,
+    create: { street: normalizedStreet, city: normalizedCity, ...data }
   });
 
-  //Emit status update to all connected clients with consistent payload
-  io.emit('orderStatusUpdate', {
-    id: updatedOrder.id,
-    orderNumber: updatedOrder.orderNumber, 
-    status: updatedOrder.status,
-    estimatedTime: updatedOrder.estimatedTime,
-    confirmedAt: updatedOrder.acceptedAt
+  res.json({
+    success: true,
+    data: location
+  });
+}));
+
+// Delete a geocoded street
+app.delete('/api/admin/address-locations/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+  const deleted = await prisma.addressLocation.deleteMany({
+    where: { id: parseInt(req.params.id) }
   });
 
-  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
+  if (deleted.count === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Address location not found'
+    });
+  }
 
   res.json({
     success: true,
-    data: updatedOrder
+    message: 'Address location deleted'
   });
 }));
 
-// Mark order as ready
-app.put('/api/admin/orders/:id/ready', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const now = new Date();
+// ============================================
+// PROMOTION APIs
+// ============================================
 
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(id) },
-    data: {
-      status: 'READY',
-      readyAt: now
+// Pick the promotion fields an admin may set
+const getPromotionData = (body) => ({
+  code: normalizePromoCode(body.code),
+  name: body.name,
+  description: body.description || null,
+  type: body.type,
+  value: body.value ?? 0,
+  buyQuantity: body.buyQuantity ?? null,
+  getQuantity: body.getQuantity ?? null,
+  menuItemIds: body.menuItemIds || [],
+  categoryIds: body.categoryIds || [],
+  minimumOrder: body.minimumOrder ?? 0,
+  validFrom: body.validFrom ? new Date(body.validFrom) : null,
+  validUntil: body.validUntil ? new Date(body.validUntil) : null,
+  maxUses: body.maxUses ?? null,
+  maxUsesPerCustomer: body.maxUsesPerCustomer ?? null,
+  isActive: body.isActive ?? true
+});
+
+// Get all promotions with usage
+app.get('/api/admin/promotions', authenticateAdmin, asyncHandler(async (req, res) => {
+  const promotions = await prisma.promotion.findMany({
+    orderBy: { createdAt: 'desc' },
+    include: {
+      _count: { select: { redemptions: true } }
     }
   });
 
-  //Emit status update with consistent payload
-  io.emit('orderStatusUpdate', {
-    id: updatedOrder.id,
-    orderNumber: updatedOrder.orderNumber,
-    status: updatedOrder.status,
-    readyAt: updatedOrder.readyAt
+  const redemptionTotals = await prisma.promotionRedemption.groupBy({
+    by: ['promotionId'],
+    _sum: { discount: true }
   });
 
-  if (updatedOrder.orderType === 'PICKUP' && updatedOrder.customerEmail) {
-    try {
-      await sendOrderStatusEmail({
-        orderNumber: updatedOrder.orderNumber,
-        customerName: updatedOrder.customerName,
-        orderType: updatedOrder.orderType,
-        status: 'READY'
-      }, updatedOrder.customerEmail);
-      console.log(`📧 Order ready email sent to ${updatedOrder.customerEmail}`);
-    } catch (emailError) {
-      console.error('❌ Order ready email failed:', emailError);
-    }
-  }
-
-  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
-
   res.json({
     success: true,
-    data: updatedOrder
+    data: promotions.map(promotion => ({
+      ...promotion,
+      usageCount: promotion._count.redemptions,
+      totalDiscount: redemptionTotals.find(r => r.promotionId === promotion.id)?._sum.discount || 0
+    }))
   });
 }));
 
-app.put('/api/admin/orders/:id/delivery', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(id) },
-    data: {
-      status: 'OUT_FOR_DELIVERY'
-    }
-  });
+// Create promotion
+app.post('/api/admin/promotions', authenticateAdmin, asyncHandler(async (req, res) => {
+  const data = getPromotionData(req.body);
 
-  //Emit status update with consistent payload
-  io.emit('orderStatusUpdate', {
-    id: updatedOrder.id,
-    orderNumber: updatedOrder.orderNumber, 
-    status: updatedOrder.status
-  });
+  const errors = validatePromotion(data);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors[0]
+    });
+  }
 
-  if (updatedOrder.customerEmail) {
-    try {
-      await sendOrderStatusEmail({
-        orderNumber: updatedOrder.orderNumber,
-        customerName: updatedOrder.customerName,
-        orderType: updatedOrder.orderType,
-        status: 'OUT_FOR_DELIVERY'
-      }, updatedOrder.customerEmail);
-      console.log(`📧 Order delivery email sent to ${updatedOrder.customerEmail}`);
-    } catch (emailError) {
-      console.error('❌ Order delivery email failed:', emailError);
-    }
+  const existing = await prisma.promotion.findUnique({ where: { code: data.code } });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'A promotion with this code already exists'
+    });
   }
 
-  console.log('📡 WebSocket emitted: orderStatusUpdate for', updatedOrder.orderNumber);
+  const promotion = await prisma.promotion.create({ data });
 
-  res.json({
+  console.log(`🏷️ Promotion created: ${promotion.code} by ${req.admin.email}`);
+
+  res.status(201).json({
     success: true,
-    data: updatedOrder
+    data: promotion,
+    message: 'Promotion created'
   });
 }));
 
-// Complete order
-app.put('/api/admin/orders/:id/complete', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const now = new Date();
+// Update promotion
+app.put('/api/admin/promotions/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+  const promotionId = parseInt(req.params.id);
 
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(id) },
-    data: {
-      status: 'DELIVERED',
-      deliveredAt: now
-    }
+  const existing = await prisma.promotion.findUnique({ where: { id: promotionId } });
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Promotion not found'
+    });
+  }
+
+  const data = getPromotionData({ ...existing, ...req.body });
+
+  const errors = validatePromotion(data);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors[0]
+    });
+  }
+
+  const duplicate = await prisma.promotion.findFirst({
+    where: { code: data.code, id: { not: promotionId } }
   });
+  if (duplicate) {
+    return res.status(409).json({
+      success: false,
+      error: 'A promotion with this code already exists'
+    });
+  }
 
-  //Emit completion event with consistent payload
-  io.emit('orderCompleted', {
-    id: updatedOrder.id,
-    orderNumber: updatedOrder.orderNumber,
-    status: updatedOrder.status,
-    deliveredAt: updatedOrder.deliveredAt
+  const promotion = await prisma.promotion.update({
+    where: { id: promotionId },
+    data
   });
 
-  console.log('📡 WebSocket emitted: orderCompleted for', updatedOrder.orderNumber);
+  console.log(`🏷️ Promotion updated: ${promotion.code} by ${req.admin.email}`);
 
   res.json({
     success: true,
-    data: updatedOrder
+    data: promotion,
+    message: 'Promotion updated'
   });
 }));
 
+// Delete promotion (deactivated instead once it has been used)
+app.delete('/api/admin/promotions/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+  const promotionId = parseInt(req.params.id);
 
-// ============================================
-// RESTAURANT INFO API
-// ============================================
+  const promotion = await prisma.promotion.findUnique({
+    where: { id: promotionId },
+    include: { _count: { select: { redemptions: true } } }
+  });
 
-app.get('/api/restaurant', asyncHandler(async (req, res) => {
-  const restaurant = await prisma.restaurant.findFirst();
-  
-  if (!restaurant) {
+  if (!promotion) {
     return res.status(404).json({
       success: false,
-      error: 'Restaurant information not found'
+      error: 'Promotion not found'
+    });
+  }
+
+  if (promotion._count.redemptions > 0) {
+    await prisma.promotion.update({
+      where: { id: promotionId },
+      data: { isActive: false }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Promotion has been used and was deactivated instead of deleted'
     });
   }
 
+  await prisma.promotion.delete({ where: { id: promotionId } });
+
   res.json({
     success: true,
-    data: {
-      name: restaurant.name,
-      description: restaurant.description,
-      phone: restaurant.phone,
-      email: restaurant.email,
-      address: restaurant.address,
-      city: restaurant.city,
-      deliveryFee: restaurant.deliveryFee,
-      minimumOrder: restaurant.minimumOrder,
-      deliveryTime: restaurant.deliveryTime,
-      openingHours: restaurant.openingHours
-    }
+    message: 'Promotion deleted'
   });
 }));
 
@@ -2213,13 +5439,14 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
       totalOrders,
       avgOrderValue,
       revenueByType,
-      ordersByStatus
+      ordersByStatus,
+      capacity
     ] = await Promise.all([
       // Total revenue
       prisma.order.aggregate({
         where: {
           ...dateFilter,
-          status: { not: 'CANCELLED' }
+          status: { notIn: ['CANCELLED', 'REFUNDED'] }
         },
         _sum: { total: true }
       }),
@@ -2228,7 +5455,7 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
       prisma.order.count({
         where: {
           ...dateFilter,
-          status: { not: 'CANCELLED' }
+          status: { notIn: ['CANCELLED', 'REFUNDED'] }
         }
       }),
       
@@ -2236,7 +5463,7 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
       prisma.order.aggregate({
         where: {
           ...dateFilter,
-          status: { not: 'CANCELLED' }
+          status: { notIn: ['CANCELLED', 'REFUNDED'] }
         },
         _avg: { total: true }
       }),
@@ -2246,7 +5473,7 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
         by: ['orderType'],
         where: {
           ...dateFilter,
-          status: { not: 'CANCELLED' }
+          status: { notIn: ['CANCELLED', 'REFUNDED'] }
         },
         _sum: { total: true },
         _count: true
@@ -2257,7 +5484,10 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
         by: ['status'],
         where: dateFilter,
         _count: true
-      })
+      }),
+
+      // Kitchen capacity of the coming hour
+      getCapacityOverview(prisma, { slots: 4 })
     ]);
 
     res.json({
@@ -2268,6 +5498,7 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
         avgOrderValue: avgOrderValue._avg.total || 0,
         revenueByType,
         ordersByStatus,
+        capacity,
         period,
         dateRange: dateFilter.createdAt
       }
@@ -2282,6 +5513,16 @@ app.get('/api/admin/stats/overview', authenticateAdmin, asyncHandler(async (req,
   }
 }));
 
+// Get kitchen capacity use of the current 15-minute slot and the ones after it
+app.get('/api/admin/stats/capacity', authenticateAdmin, asyncHandler(async (req, res) => {
+  const slots = Math.min(Math.max(parseInt(req.query.slots) || 8, 1), 96);
+
+  res.json({
+    success: true,
+    data: await getCapacityOverview(prisma, { slots })
+  });
+}));
+
 // Get revenue trends (for line charts)
 app.get('/api/admin/stats/revenue-trends', authenticateAdmin, asyncHandler(async (req, res) => {
   const { period = 'week', groupBy = 'day' } = req.query;
@@ -2327,7 +5568,7 @@ app.get('/api/admin/stats/revenue-trends', authenticateAdmin, asyncHandler(async
     const orders = await prisma.order.findMany({
       where: {
         ...dateFilter,
-        status: { not: 'CANCELLED' }
+        status: { notIn: ['CANCELLED', 'REFUNDED'] }
       },
       select: {
         createdAt: true,
@@ -2456,7 +5697,7 @@ app.get('/api/admin/stats/top-items', authenticateAdmin, asyncHandler(async (req
       where: {
         order: {
           ...dateFilter,
-          status: { not: 'CANCELLED' }
+          status: { notIn: ['CANCELLED', 'REFUNDED'] }
         }
       },
       _sum: {
@@ -2557,12 +5798,13 @@ app.get('/api/admin/stats/order-timing', authenticateAdmin, asyncHandler(async (
     const orders = await prisma.order.findMany({
       where: {
         ...dateFilter,
-        status: { not: 'CANCELLED' }
+        status: { notIn: ['CANCELLED', 'REFUNDED'] }
       },
       select: {
         createdAt: true,
         acceptedAt: true,
         readyAt: true,
+        scheduledFor: true,
         total: true
       }
     });
@@ -2591,9 +5833,11 @@ app.get('/api/admin/stats/order-timing', authenticateAdmin, asyncHandler(async (
       hourlyData[key].orderCount++;
       hourlyData[key].totalRevenue += order.total;
       
-      // Calculate prep time if available
-      if (order.preparingAt && order.readyAt) {
-        const prepTime = (new Date(order.readyAt) - new Date(order.preparingAt)) / (1000 * 60); // minutes
+      // Prep time is accepted-to-ready, as the ETA estimator counts it; scheduled orders wait for their slot
+      const prepTime = order.acceptedAt && order.readyAt && !order.scheduledFor
+        ? (new Date(order.readyAt) - new Date(order.acceptedAt)) / (1000 * 60) // minutes
+        : null;
+      if (prepTime > 0) {
         avgPrepTimes.push({
           hour,
           prepTime,
@@ -2680,9 +5924,9 @@ app.get('/api/admin/stats/payment-methods', authenticateAdmin, asyncHandler(asyn
       by: ['paymentMethod'],
       where: {
         ...dateFilter,
-        status: { not: 'CANCELLED' }
+        status: { notIn: ['CANCELLED', 'REFUNDED'] }
       },
-      _sum: { total: true },
+      _sum: { total: true, tip: true },
       _count: true
     });
 
@@ -2703,6 +5947,83 @@ app.get('/api/admin/stats/payment-methods', authenticateAdmin, asyncHandler(asyn
   }
 }));
 
+// Tips per day and payment method, for sharing out among staff
+app.get('/api/admin/stats/tips', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { startDate, endDate, period = 'month' } = req.query;
+
+  // Calculate date filter
+  let dateFilter = {};
+  const now = new Date();
+
+  if (startDate && endDate) {
+    dateFilter = {
+      createdAt: {
+        gte: new Date(startDate),
+        lte: new Date(new Date(endDate).setHours(23, 59, 59, 999))
+      }
+    };
+  } else {
+    switch (period) {
+      case 'today':
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        dateFilter = { createdAt: { gte: today } };
+        break;
+      case 'week':
+        const weekStart = new Date(now);
+        weekStart.setDate(now.getDate() - 7);
+        dateFilter = { createdAt: { gte: weekStart } };
+        break;
+      case 'month':
+        dateFilter = { createdAt: { gte: new Date(now.getFullYear(), now.getMonth(), 1) } };
+        break;
+    }
+  }
+
+  // Tips of cancelled or refunded orders went back to the customer
+  const orders = await prisma.order.findMany({
+    where: {
+      ...dateFilter,
+      tip: { gt: 0 },
+      status: { notIn: ['CANCELLED', 'REFUNDED'] }
+    },
+    select: {
+      createdAt: true,
+      paymentMethod: true,
+      tip: true
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const days = {};
+  const paymentMethods = {};
+
+  orders.forEach(order => {
+    const date = new Date(order.createdAt);
+    const key = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+    if (!days[key]) {
+      days[key] = { date: key, total: 0, orderCount: 0, paymentMethods: {} };
+    }
+
+    days[key].total += order.tip;
+    days[key].orderCount += 1;
+    days[key].paymentMethods[order.paymentMethod] = (days[key].paymentMethods[order.paymentMethod] || 0) + order.tip;
+    paymentMethods[order.paymentMethod] = (paymentMethods[order.paymentMethod] || 0) + order.tip;
+  });
+
+  res.json({
+    success: true,
+    data: {
+      days: Object.values(days),
+      paymentMethods,
+      total: orders.reduce((sum, order) => sum + order.tip, 0),
+      orderCount: orders.length,
+      period
+    }
+  });
+}));
+
 // ============================================
 // MENU MANAGEMENT API ENDPOINTS
 // Add these endpoints to your server.js file before the ERROR HANDLING section
@@ -3514,9 +6835,10 @@ app.get('/api/admin/invoices/overview', authenticateAdmin, asyncHandler(async (r
     const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
-    // Today's statistics
+    // Today's statistics, invoices replaced after an order edit are left out
     const todayStats = await prisma.invoice.aggregate({
       where: {
+        voidedAt: null,
         createdAt: {
           gte: startOfDay
         }
@@ -3530,6 +6852,7 @@ app.get('/api/admin/invoices/overview', authenticateAdmin, asyncHandler(async (r
     // Monthly statistics
     const monthlyStats = await prisma.invoice.aggregate({
       where: {
+        voidedAt: null,
         createdAt: {
           gte: startOfMonth
         }
@@ -3544,6 +6867,7 @@ app.get('/api/admin/invoices/overview', authenticateAdmin, asyncHandler(async (r
     const paymentBreakdown = await prisma.invoice.groupBy({
       by: ['paymentMethod'],
       where: {
+        voidedAt: null,
         createdAt: {
           gte: startOfMonth
         }
@@ -3720,6 +7044,7 @@ app.get('/api/admin/invoices', authenticateAdmin, asyncHandler(async (req, res)
       vatRate: invoice.vatRate || 27,
       createdAt: invoice.createdAt,
       dueDate: invoice.dueDate,
+      voidedAt: invoice.voidedAt,
       orderId: invoice.order?.id,
       orderNumber: invoice.order?.orderNumber
     }));
@@ -3747,7 +7072,8 @@ app.get('/api/admin/invoices', authenticateAdmin, asyncHandler(async (req, res)
 }));
 
 // Get single invoice details
-app.get('/api/admin/invoices/:id', authenticateAdmin, asyncHandler(async (req, res) => {
+// Numeric ids only, so /api/admin/invoices/vat-report below is not taken for an invoice id
+app.get('/api/admin/invoices/:id(\\d+)', authenticateAdmin, asyncHandler(async (req, res) => {
   const { id } = req.params;
   console.log(`📄 Loading invoice details for ID: ${id}`);
   
@@ -3769,6 +7095,9 @@ app.get('/api/admin/invoices/:id', authenticateAdmin, asyncHandler(async (req, r
               }
             }
           }
+        },
+        creditNotes: {
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -3823,9 +7152,17 @@ app.get('/api/admin/invoices/:id', authenticateAdmin, asyncHandler(async (req, r
       vatRate: invoice.vatRate || 27,
       createdAt: invoice.createdAt,
       dueDate: invoice.dueDate,
+      voidedAt: invoice.voidedAt,
       orderId: invoice.order?.id,
       orderNumber: invoice.order?.orderNumber,
-      items: invoiceItems
+      items: invoiceItems,
+      creditNotes: invoice.creditNotes.map(creditNote => ({
+        id: creditNote.id,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        reason: creditNote.reason,
+        totalGross: creditNote.totalGross,
+        createdAt: creditNote.createdAt
+      }))
     };
 
     console.log('✅ Invoice details loaded successfully');
@@ -4122,6 +7459,142 @@ app.post('/api/admin/invoices/bulk-email', authenticateAdmin, asyncHandler(async
   }
 }));
 
+// Get credit notes with pagination
+app.get('/api/admin/credit-notes', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, invoiceId } = req.query;
+
+  const whereClause = invoiceId ? { invoiceId: parseInt(invoiceId) } : {};
+
+  const [total, creditNotes] = await Promise.all([
+    prisma.creditNote.count({ where: whereClause }),
+    prisma.creditNote.findMany({
+      where: whereClause,
+      orderBy: { createdAt: 'desc' },
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+      include: {
+        invoice: { select: { id: true, invoiceNumber: true } },
+        order: { select: { id: true, orderNumber: true } }
+      }
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      creditNotes: creditNotes.map(creditNote => ({
+        id: creditNote.id,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        invoiceId: creditNote.invoice.id,
+        invoiceNumber: creditNote.invoice.invoiceNumber,
+        orderId: creditNote.order.id,
+        orderNumber: creditNote.order.orderNumber,
+        reason: creditNote.reason,
+        customerName: creditNote.customerName,
+        paymentMethod: creditNote.paymentMethod,
+        totalNet: creditNote.totalNet,
+        totalVat: creditNote.vatAmount,
+        totalGross: creditNote.totalGross,
+        createdAt: creditNote.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    }
+  });
+}));
+
+// Download credit note PDF
+app.get('/api/admin/credit-notes/:id/pdf', authenticateAdmin, asyncHandler(async (req, res) => {
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { id: parseInt(req.params.id) },
+    include: {
+      invoice: { select: { invoiceNumber: true } },
+      order: { select: { orderNumber: true } }
+    }
+  });
+
+  if (!creditNote) {
+    return res.status(404).json({
+      success: false,
+      error: 'Credit note not found'
+    });
+  }
+
+  const pdfBuffer = await generateInvoicePDF(creditNote);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="dobropis-${creditNote.creditNoteNumber}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+
+  console.log(`✅ PDF generated and sent for credit note ${creditNote.creditNoteNumber}`);
+  res.send(pdfBuffer);
+}));
+
+// Invoices and credit notes issued in a period, oldest first
+// Credit note amounts are negative, so summing both nets out cancellations and refunds
+const getInvoiceDocuments = async (startDate, endDate) => {
+  const where = {
+    createdAt: {
+      gte: startDate,
+      lte: endDate
+    }
+  };
+  const include = {
+    order: {
+      select: {
+        orderNumber: true,
+        orderType: true
+      }
+    }
+  };
+
+  const [invoices, creditNotes] = await Promise.all([
+    prisma.invoice.findMany({ where, include }),
+    prisma.creditNote.findMany({
+      where,
+      include: { ...include, invoice: { select: { invoiceNumber: true } } }
+    })
+  ]);
+
+  return [
+    ...invoices.map(invoice => ({ ...invoice, documentType: 'INVOICE', documentNumber: invoice.invoiceNumber })),
+    ...creditNotes.map(creditNote => ({ ...creditNote, documentType: 'CREDIT_NOTE', documentNumber: creditNote.creditNoteNumber }))
+  ].sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Export row for an invoice or credit note
+const toInvoiceExportRow = (document) => [
+  document.documentNumber,
+  document.createdAt.toISOString().split('T')[0],
+  document.customerName,
+  document.order?.orderNumber || '',
+  document.paymentMethod,
+  document.orderType || document.order?.orderType || '',
+  document.totalNet,
+  document.vatAmount,
+  document.totalGross,
+  document.documentType,
+  document.invoice?.invoiceNumber || ''
+];
+
+const INVOICE_EXPORT_HEADERS = [
+  'Invoice Number',
+  'Date',
+  'Customer Name',
+  'Order Number',
+  'Payment Method',
+  'Order Type',
+  'Net Amount',
+  'VAT Amount',
+  'Gross Amount',
+  'Document Type',
+  'Original Invoice'
+];
+
 // Export monthly report
 app.get('/api/admin/invoices/export/monthly', authenticateAdmin, asyncHandler(async (req, res) => {
   const { month, year = new Date().getFullYear() } = req.query;
@@ -4140,56 +7613,22 @@ app.get('/api/admin/invoices/export/monthly', authenticateAdmin, asyncHandler(as
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0, 23, 59, 59);
 
-    // Get invoices for the period
-    const invoices = await prisma.invoice.findMany({
-      where: {
-        createdAt: {
-          gte: startDate,
-          lte: endDate
-        }
-      },
-      include: {
-        order: {
-          select: {
-            orderNumber: true,
-            orderType: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'asc' }
-    });
+    // Get invoices and credit notes for the period
+    const documents = await getInvoiceDocuments(startDate, endDate);
+    const invoices = documents.filter(document => document.documentType === 'INVOICE');
 
-    // Create Excel-like data structure
+    // Create Excel-like data structure, totals are net of credit notes
     const excelData = {
-      headers: [
-        'Invoice Number',
-        'Date',
-        'Customer Name',
-        'Order Number',
-        'Payment Method',
-        'Order Type',
-        'Net Amount',
-        'VAT Amount',
-        'Gross Amount'
-      ],
-      rows: invoices.map(invoice => [
-        invoice.invoiceNumber,
-        invoice.createdAt.toISOString().split('T')[0],
-        invoice.customerName,
-        invoice.order?.orderNumber || '',
-        invoice.paymentMethod,
-        invoice.orderType || invoice.order?.orderType || '',
-        invoice.totalNet,
-        invoice.vatAmount,
-        invoice.totalGross
-      ]),
+      headers: INVOICE_EXPORT_HEADERS,
+      rows: documents.map(toInvoiceExportRow),
       summary: {
         totalInvoices: invoices.length,
-        totalNet: invoices.reduce((sum, inv) => sum + inv.totalNet, 0),
-        totalVAT: invoices.reduce((sum, inv) => sum + inv.vatAmount, 0),
-        totalGross: invoices.reduce((sum, inv) => sum + inv.totalGross, 0),
-        paymentMethodBreakdown: invoices.reduce((acc, inv) => {
-          acc[inv.paymentMethod] = (acc[inv.paymentMethod] || 0) + inv.totalGross;
+        totalCreditNotes: documents.length - invoices.length,
+        totalNet: documents.reduce((sum, doc) => sum + doc.totalNet, 0),
+        totalVAT: documents.reduce((sum, doc) => sum + doc.vatAmount, 0),
+        totalGross: documents.reduce((sum, doc) => sum + doc.totalGross, 0),
+        paymentMethodBreakdown: documents.reduce((acc, doc) => {
+          acc[doc.paymentMethod] = (acc[doc.paymentMethod] || 0) + doc.totalGross;
           return acc;
         }, {})
       }
@@ -4200,7 +7639,7 @@ app.get('/api/admin/invoices/export/monthly', authenticateAdmin, asyncHandler(as
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="monthly-report-${year}-${month.toString().padStart(2, '0')}.json"`);
 
-    console.log(`✅ Monthly export generated - ${invoices.length} invoices`);
+    console.log(`✅ Monthly export generated - ${invoices.length} invoices, ${documents.length - invoices.length} credit notes`);
 
     res.json({
       success: true,
@@ -4234,8 +7673,7 @@ app.get('/api/admin/invoices/vat-report', authenticateAdmin, asyncHandler(async
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0, 23, 59, 59);
 
-    // Get VAT statistics
-    const vatStats = await prisma.invoice.aggregate({
+    const periodFilter = {
       where: {
         createdAt: {
           gte: startDate,
@@ -4248,40 +7686,41 @@ app.get('/api/admin/invoices/vat-report', authenticateAdmin, asyncHandler(async
         totalGross: true
       },
       _count: true
-    });
+    };
 
-    // Group by VAT rate
-    const vatByRate = await prisma.invoice.groupBy({
-      by: ['vatRate'],
-      where: {
-        createdAt: {
-          gte: startDate,
-          lte: endDate
-        }
-      },
-      _sum: {
-        totalNet: true,
-        vatAmount: true,
-        totalGross: true
-      },
-      _count: true
-    });
+    // Get VAT statistics, credit notes carry negative amounts and reduce the totals
+    const [vatStats, creditNoteStats] = await Promise.all([
+      prisma.invoice.aggregate(periodFilter),
+      prisma.creditNote.aggregate(periodFilter)
+    ]);
+
+    const totalNet = (vatStats._sum.totalNet || 0) + (creditNoteStats._sum.totalNet || 0);
+    const totalVAT = (vatStats._sum.vatAmount || 0) + (creditNoteStats._sum.vatAmount || 0);
+    const totalGross = (vatStats._sum.totalGross || 0) + (creditNoteStats._sum.totalGross || 0);
 
     const vatReport = {
       period: `${month}/${year}`,
       summary: {
         totalInvoices: vatStats._count,
-        totalNet: vatStats._sum.totalNet || 0,
-        totalVAT: vatStats._sum.vatAmount || 0,
-        totalGross: vatStats._sum.totalGross || 0
+        totalCreditNotes: creditNoteStats._count,
+        totalNet,
+        totalVAT,
+        totalGross,
+        creditNotes: {
+          netAmount: creditNoteStats._sum.totalNet || 0,
+          vatAmount: creditNoteStats._sum.vatAmount || 0,
+          grossAmount: creditNoteStats._sum.totalGross || 0
+        }
       },
-      vatBreakdown: vatByRate.map(rate => ({
-        vatRate: rate.vatRate || 27,
-        invoiceCount: rate._count,
-        netAmount: rate._sum.totalNet || 0,
-        vatAmount: rate._sum.vatAmount || 0,
-        grossAmount: rate._sum.totalGross || 0
-      }))
+      // All sales are invoiced at the single rate used by the invoice generator
+      vatBreakdown: [{
+        vatRate: 19,
+        invoiceCount: vatStats._count,
+        creditNoteCount: creditNoteStats._count,
+        netAmount: totalNet,
+        vatAmount: totalVAT,
+        grossAmount: totalGross
+      }]
     };
 
     // In a real implementation, you'd generate a PDF report
@@ -4323,58 +7762,24 @@ app.get('/api/admin/invoices/export/custom', authenticateAdmin, asyncHandler(asy
     const start = new Date(startDate);
     const end = new Date(new Date(endDate).setHours(23, 59, 59, 999));
 
-    // Get invoices for the period
-    const invoices = await prisma.invoice.findMany({
-      where: {
-        createdAt: {
-          gte: start,
-          lte: end
-        }
-      },
-      include: {
-        order: {
-          select: {
-            orderNumber: true,
-            orderType: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'asc' }
-    });
+    // Get invoices and credit notes for the period
+    const documents = await getInvoiceDocuments(start, end);
+    const invoices = documents.filter(document => document.documentType === 'INVOICE');
 
-    // Create export data
+    // Create export data, totals are net of credit notes
     const exportData = {
       dateRange: {
         start: startDate,
         end: endDate
       },
-      headers: [
-        'Invoice Number',
-        'Date',
-        'Customer Name',
-        'Order Number',
-        'Payment Method',
-        'Order Type',
-        'Net Amount',
-        'VAT Amount',
-        'Gross Amount'
-      ],
-      rows: invoices.map(invoice => [
-        invoice.invoiceNumber,
-        invoice.createdAt.toISOString().split('T')[0],
-        invoice.customerName,
-        invoice.order?.orderNumber || '',
-        invoice.paymentMethod,
-        invoice.orderType || invoice.order?.orderType || '',
-        invoice.totalNet,
-        invoice.vatAmount,
-        invoice.totalGross
-      ]),
+      headers: INVOICE_EXPORT_HEADERS,
+      rows: documents.map(toInvoiceExportRow),
       summary: {
         totalInvoices: invoices.length,
-        totalNet: invoices.reduce((sum, inv) => sum + inv.totalNet, 0),
-        totalVAT: invoices.reduce((sum, inv) => sum + inv.vatAmount, 0),
-        totalGross: invoices.reduce((sum, inv) => sum + inv.totalGross, 0)
+        totalCreditNotes: documents.length - invoices.length,
+        totalNet: documents.reduce((sum, doc) => sum + doc.totalNet, 0),
+        totalVAT: documents.reduce((sum, doc) => sum + doc.vatAmount, 0),
+        totalGross: documents.reduce((sum, doc) => sum + doc.totalGross, 0)
       }
     };
 
@@ -4550,6 +7955,41 @@ process.on('SIGINT', async () => {
 //  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
 //});
 
+// Release scheduled orders to the kitchen a configurable lead time before they are due
+const SCHEDULED_RELEASE_INTERVAL = 60 * 1000; // 1 minute
+setInterval(async () => {
+  try {
+    const releasedOrders = await releaseDueScheduledOrders(prisma);
+    releasedOrders.forEach(order => {
+      emitNewOrder(order);
+      console.log(`⏰ Scheduled order ${order.orderNumber} released to the kitchen`);
+    });
+  } catch (error) {
+    console.error('❌ Scheduled order release failed:', error);
+  }
+}, SCHEDULED_RELEASE_INTERVAL);
+
+// Expire old loyalty points once an hour
+setInterval(async () => {
+  try {
+    const expired = await expirePoints(prisma);
+    if (expired > 0) {
+      console.log(`⏳ ${expired} loyalty points expired`);
+    }
+  } catch (error) {
+    console.error('❌ Loyalty points expiry failed:', error);
+  }
+}, 60 * 60 * 1000);
+
+// Give back points held by card checkouts nobody paid for
+setInterval(async () => {
+  try {
+    await cancelAbandonedCheckouts();
+  } catch (error) {
+    console.error('❌ Abandoned checkout cleanup failed:', error);
+  }
+}, 15 * 60 * 1000);
+
 module.exports = app;
 
 httpServer.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,155 @@
+/**
+ * Palace Cafe & Street Food - Credit Notes
+ * Corrective tax documents (dobropis) reversing an invoice in full or in part
+ *
+ * Credit notes store negative amounts, so summing invoices and credit notes over a
+ * period gives the net sales. The credit notes of an invoice never exceed its total.
+ */
+
+const { generateCreditNoteNumber, getNextInvoiceCounter, calculateVATBreakdown } = require('./invoice-generator');
+
+// Reasons printed on credit notes issued automatically
+const CREDIT_NOTE_REASONS = {
+  CANCELLED: 'Zrusenie objednavky',
+  REFUNDED: 'Vratenie platby',
+  PARTIAL_REFUND: 'Ciastocne vratenie platby'
+};
+
+/**
+ * Round a money amount to cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Amount of an invoice not credited yet
+ */
+async function getRemainingAmount(prisma, invoice) {
+  const credited = await prisma.creditNote.aggregate({
+    where: { invoiceId: invoice.id },
+    _sum: { totalGross: true }
+  });
+
+  return {
+    hasCreditNotes: credited._sum.totalGross !== null,
+    remaining: roundMoney(invoice.totalGross + (credited._sum.totalGross || 0))
+  };
+}
+
+/**
+ * Amounts and lines reversing a whole invoice
+ */
+function getFullReversal(invoice) {
+  return {
+    subtotal: -invoice.subtotal,
+    deliveryFee: -invoice.deliveryFee,
+    discount: -invoice.discount,
+    loyaltyDiscount: -invoice.loyaltyDiscount,
+    totalNet: -invoice.totalNet,
+    vatAmount: -invoice.vatAmount,
+    totalGross: -invoice.totalGross,
+    tip: -invoice.tip,
+    tipTaxable: invoice.tipTaxable,
+    orderItems: (invoice.orderItems || []).map(item => ({
+      ...item,
+      unitPrice: -(item.unitPrice || 0),
+      totalPrice: -(item.totalPrice || 0)
+    }))
+  };
+}
+
+/**
+ * Amounts and a single line crediting part of an invoice
+ */
+function getPartialReversal(invoice, amount) {
+  const vatBreakdown = calculateVATBreakdown(-amount);
+
+  return {
+    subtotal: -amount,
+    deliveryFee: 0,
+    discount: 0,
+    loyaltyDiscount: 0,
+    totalNet: vatBreakdown.netAmount,
+    vatAmount: vatBreakdown.vatAmount,
+    totalGross: -amount,
+    orderItems: [{
+      name: `Dobropis k fakture ${invoice.invoiceNumber}`,
+      quantity: 1,
+      unitPrice: -amount,
+      totalPrice: -amount
+    }]
+  };
+}
+
+/**
+ * Issue a credit note for an invoice
+ * Without an amount the whole remaining amount is credited. A credit note for a
+ * refund is only issued once. Returns the credit note, or null when nothing is left.
+ */
+async function issueCreditNote(prisma, invoice, { amount = null, reason = null, refundId = null } = {}) {
+  if (refundId) {
+    const existing = await prisma.creditNote.findUnique({ where: { refundId } });
+    if (existing) return null;
+  }
+
+  const { hasCreditNotes, remaining } = await getRemainingAmount(prisma, invoice);
+  const creditAmount = roundMoney(Math.min(amount ?? remaining, remaining));
+
+  if (creditAmount <= 0) return null;
+
+  // Mirror the invoice lines when reversing all of it, otherwise credit a single line
+  const reversal = !hasCreditNotes && creditAmount === roundMoney(invoice.totalGross)
+    ? getFullReversal(invoice)
+    : getPartialReversal(invoice, creditAmount);
+
+  const year = new Date().getFullYear();
+  const counter = await getNextInvoiceCounter('CREDIT_NOTE', year, prisma);
+
+  return prisma.creditNote.create({
+    data: {
+      creditNoteNumber: generateCreditNoteNumber(year, counter),
+      invoiceId: invoice.id,
+      orderId: invoice.orderId,
+      refundId,
+      reason,
+      customerName: invoice.customerName,
+      customerEmail: invoice.customerEmail,
+      customerPhone: invoice.customerPhone,
+      paymentMethod: invoice.paymentMethod,
+      ...reversal
+    }
+  });
+}
+
+/**
+ * Credit the rest of an order's current invoice after it was cancelled or refunded
+ */
+async function issueCreditNoteForStatus(prisma, order) {
+  if (!['CANCELLED', 'REFUNDED'].includes(order.status)) return null;
+
+  const invoice = await prisma.invoice.findFirst({ where: { orderId: order.id, voidedAt: null } });
+  if (!invoice) return null;
+
+  return issueCreditNote(prisma, invoice, { reason: CREDIT_NOTE_REASONS[order.status] });
+}
+
+/**
+ * Credit a partial refund on the order's invoice
+ */
+async function issueCreditNoteForRefund(prisma, refund) {
+  const invoice = await prisma.invoice.findFirst({ where: { orderId: refund.orderId, voidedAt: null } });
+  if (!invoice) return null;
+
+  return issueCreditNote(prisma, invoice, {
+    amount: refund.amount,
+    reason: refund.reason || CREDIT_NOTE_REASONS.PARTIAL_REFUND,
+    refundId: refund.id
+  });
+}
+
+module.exports = {
+  issueCreditNote,
+  issueCreditNoteForStatus,
+  issueCreditNoteForRefund
+};
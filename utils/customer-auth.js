@@ -0,0 +1,133 @@
+/**
+ * Palace Cafe & Street Food - Customer Authentication
+ * JWTs for customer accounts (separate audience from admin tokens) and
+ * single-use tokens for email verification and password reset
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ADMIN_JWT_AUDIENCE = 'admin';
+const CUSTOMER_JWT_AUDIENCE = 'customer';
+const CUSTOMER_SESSION_EXPIRY = '7d';
+
+// How long emailed links stay valid
+const TOKEN_LIFETIME_MINUTES = {
+  EMAIL_VERIFICATION: 48 * 60,
+  PASSWORD_RESET: 60
+};
+
+/**
+ * Secret for every token this app signs (admin, customer, guest history and
+ * tracking), with the development fallback used when JWT_SECRET is not set
+ */
+function getJwtSecret() {
+  return process.env.JWT_SECRET || 'F#zGcwr+zM*1D/9#w#66*}Qb_[jYNv';
+}
+
+/**
+ * Sign a session token for a customer
+ */
+function signCustomerToken(customer) {
+  return jwt.sign(
+    { id: customer.id, email: customer.email },
+    getJwtSecret(),
+    { audience: CUSTOMER_JWT_AUDIENCE, expiresIn: CUSTOMER_SESSION_EXPIRY }
+  );
+}
+
+/**
+ * Verify a customer session token, throws like jwt.verify when invalid
+ * Admin tokens are rejected because of their different audience.
+ */
+function verifyCustomerToken(token) {
+  return jwt.verify(token, getJwtSecret(), { audience: CUSTOMER_JWT_AUDIENCE });
+}
+
+/**
+ * Only a hash of emailed tokens is stored
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a single-use token for a customer, returns the raw token for the email link
+ * Earlier unused tokens of the same type are invalidated.
+ */
+async function createCustomerToken(prisma, customerId, type) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.customerToken.updateMany({
+      where: { customerId, type, usedAt: null },
+      data: { usedAt: now }
+    }),
+    prisma.customerToken.create({
+      data: {
+        customerId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_LIFETIME_MINUTES[type] * 60000)
+      }
+    })
+  ]);
+
+  return token;
+}
+
+/**
+ * Use up a token from an email link
+ * Returns the token row (with customerId) or null when it is unknown, expired or already used.
+ */
+async function consumeCustomerToken(prisma, token, type) {
+  const tokenHash = hashToken(token || '');
+  const now = new Date();
+
+  // Claim the token atomically so a link can't be used twice
+  const claimed = await prisma.customerToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  return prisma.customerToken.findUnique({ where: { tokenHash } });
+}
+
+/**
+ * Customer fields safe to return from the API
+ */
+function toCustomerProfile(customer) {
+  return {
+    id: customer.id,
+    email: customer.email,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    phone: customer.phone,
+    emailVerified: customer.emailVerified,
+    createdAt: customer.createdAt
+  };
+}
+
+/**
+ * One-line delivery address from a saved address
+ */
+function formatCustomerAddress(address) {
+  return `${address.street}, ${address.postalCode} ${address.city}`;
+}
+
+module.exports = {
+  ADMIN_JWT_AUDIENCE,
+  CUSTOMER_JWT_AUDIENCE,
+  getJwtSecret,
+  signCustomerToken,
+  verifyCustomerToken,
+  createCustomerToken,
+  consumeCustomerToken,
+  toCustomerProfile,
+  formatCustomerAddress
+};
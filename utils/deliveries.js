@@ -0,0 +1,377 @@
+/**
+ * Palace Cafe & Street Food - Deliveries
+ * Hands ready delivery orders to drivers and keeps track of how each delivery
+ * ended and of the cash drivers still have to hand in
+ *
+ * Drivers are admin users with the DRIVER role. Assigning an order sends it out
+ * for delivery; every attempt is a DeliveryAssignment, so a failed delivery goes
+ * back to READY and can be given to another driver.
+ */
+
+const { STATUS_CONFLICT_ERROR, writeStatusChange, transitionOrderStatus } = require('./order-status');
+const { markPaymentCollected, roundMoney } = require('./payments');
+
+const DRIVER_ROLE = 'DRIVER';
+
+// Order fields a driver needs on the road
+const DRIVER_ORDER_SELECT = {
+  id: true,
+  orderNumber: true,
+  status: true,
+  customerName: true,
+  customerPhone: true,
+  deliveryAddress: true,
+  deliveryNotes: true,
+  specialNotes: true,
+  estimatedTime: true,
+  paymentMethod: true,
+  total: true,
+  tip: true,
+  payments: { select: { paymentMethod: true, status: true, amount: true, transactionId: true } }
+};
+
+/**
+ * Amount the driver has to collect on delivery
+ * Pending payments without a gateway transaction are paid at the door; an order
+ * without any payment rows owes its total unless it was paid online.
+ */
+function getAmountToCollect(order) {
+  if (order.payments.length === 0) {
+    return order.paymentMethod === 'ONLINE' ? 0 : order.total;
+  }
+
+  return roundMoney(order.payments
+    .filter(payment => payment.status === 'PENDING' && !payment.transactionId)
+    .reduce((sum, payment) => sum + payment.amount, 0));
+}
+
+/**
+ * Driver's view of an assigned order
+ */
+function toDriverOrder(assignment) {
+  const { payments, ...order } = assignment.order;
+
+  return {
+    assignmentId: assignment.id,
+    assignedAt: assignment.assignedAt,
+    ...order,
+    amountToCollect: getAmountToCollect(assignment.order)
+  };
+}
+
+/**
+ * Active driver by id, or { error, statusCode }
+ */
+async function getDriver(prisma, driverId) {
+  const driver = await prisma.adminUser.findUnique({ where: { id: driverId } });
+
+  if (!driver || driver.role !== DRIVER_ROLE) {
+    return { error: 'Driver not found', statusCode: 404 };
+  }
+
+  if (!driver.isActive) {
+    return { error: 'Driver account is disabled', statusCode: 400 };
+  }
+
+  return { driver };
+}
+
+/**
+ * Give ready delivery orders to a driver and send them out for delivery
+ * All orders are checked first, so nothing is assigned when one of them cannot go.
+ * Returns { driver, orders, failed } where `failed` lists orders another change got
+ * to first, or { error, statusCode }.
+ */
+async function assignOrders(prisma, driverId, orderIds, { adminId = null } = {}) {
+  const { driver, error, statusCode } = await getDriver(prisma, driverId);
+  if (error) {
+    return { error, statusCode };
+  }
+
+  const ids = [...new Set(orderIds)];
+  const orders = await prisma.order.findMany({ where: { id: { in: ids } } });
+
+  if (orders.length !== ids.length) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  const notReady = orders.filter(order => order.orderType !== 'DELIVERY' || order.status !== 'READY');
+  if (notReady.length > 0) {
+    return {
+      error: `Only ready delivery orders can be assigned: ${notReady.map(order => order.orderNumber).join(', ')}`,
+      statusCode: 409
+    };
+  }
+
+  const driverName = `${driver.firstName} ${driver.lastName}`;
+  const assigned = [];
+  const failed = [];
+
+  for (const order of orders) {
+    // An order never goes out without its assignment, nor the other way round
+    const assignedOrder = await prisma.$transaction(async (tx) => {
+      const updated = await writeStatusChange(tx, order, 'OUT_FOR_DELIVERY', {
+        adminId,
+        reason: `Assigned to ${driverName}`
+      });
+      if (!updated) return null;
+
+      await tx.deliveryAssignment.create({
+        data: { orderId: order.id, driverId, assignedById: adminId }
+      });
+      return updated;
+    });
+
+    if (!assignedOrder) {
+      failed.push({ orderId: order.id, orderNumber: order.orderNumber, error: STATUS_CONFLICT_ERROR });
+      continue;
+    }
+
+    assigned.push(assignedOrder);
+  }
+
+  return { driver, orders: assigned, failed };
+}
+
+/**
+ * Orders a driver is currently out with, oldest assignment first
+ */
+async function getDriverOrders(prisma, driverId) {
+  const assignments = await prisma.deliveryAssignment.findMany({
+    where: {
+      driverId,
+      completedAt: null,
+      order: { status: 'OUT_FOR_DELIVERY' }
+    },
+    include: { order: { select: DRIVER_ORDER_SELECT } },
+    orderBy: { assignedAt: 'asc' }
+  });
+
+  return assignments.map(toDriverOrder);
+}
+
+/**
+ * A driver's open assignment for an order, or { error, statusCode }
+ */
+async function getOpenAssignment(prisma, driverId, orderId) {
+  const assignment = await prisma.deliveryAssignment.findFirst({
+    where: { orderId, driverId, completedAt: null },
+    include: { order: { select: DRIVER_ORDER_SELECT } }
+  });
+
+  if (!assignment || assignment.order.status !== 'OUT_FOR_DELIVERY') {
+    return { error: 'This order is not assigned to you', statusCode: 404 };
+  }
+
+  return { assignment };
+}
+
+/**
+ * Driver handed the order over, collecting what was still to pay
+ * The status change, the collected payment and the closed assignment are written
+ * together, so collected cash is never missing from what the driver has to hand in.
+ * Returns { order, assignment, payment } or { error, statusCode }.
+ */
+async function completeDelivery(prisma, driverId, orderId) {
+  const { assignment, error, statusCode } = await getOpenAssignment(prisma, driverId, orderId);
+  if (error) {
+    return { error, statusCode };
+  }
+
+  const completed = await prisma.$transaction(async (tx) => {
+    let order = await writeStatusChange(tx, assignment.order, 'DELIVERED', { adminId: driverId });
+    if (!order) return null;
+
+    let payment = null;
+
+    if (getAmountToCollect(assignment.order) > 0) {
+      const collected = await markPaymentCollected(tx, orderId, { adminId: driverId });
+      // Staff may have collected it at the counter already
+      if (!collected.error) {
+        ({ order, payment } = collected);
+      }
+    }
+
+    const updatedAssignment = await tx.deliveryAssignment.update({
+      where: { id: assignment.id },
+      data: {
+        completedAt: new Date(),
+        outcome: 'DELIVERED',
+        cashCollected: payment && payment.paymentMethod === 'CASH' ? payment.amount : 0
+      }
+    });
+
+    return { order, assignment: updatedAssignment, payment };
+  });
+
+  if (!completed) {
+    return { error: STATUS_CONFLICT_ERROR, statusCode: 409 };
+  }
+
+  return completed;
+}
+
+/**
+ * Driver could not hand the order over, it goes back to READY for staff to reassign
+ * or cancel. Returns { order, assignment } or { error, statusCode }.
+ */
+async function failDelivery(prisma, driverId, orderId, reason) {
+  const { assignment, error, statusCode } = await getOpenAssignment(prisma, driverId, orderId);
+  if (error) {
+    return { error, statusCode };
+  }
+
+  const result = await transitionOrderStatus(prisma, orderId, 'READY', {
+    adminId: driverId,
+    reason: `Delivery failed: ${reason}`
+  });
+  if (result.error) {
+    return result;
+  }
+
+  const updatedAssignment = await prisma.deliveryAssignment.update({
+    where: { id: assignment.id },
+    data: { completedAt: new Date(), outcome: 'FAILED', failureReason: reason }
+  });
+
+  return { order: result.order, assignment: updatedAssignment };
+}
+
+// How an open assignment ends when staff change the order's status themselves
+const STAFF_STATUS_OUTCOMES = {
+  DELIVERED: { outcome: 'DELIVERED' },
+  READY: { outcome: 'FAILED', failureReason: 'Taken back by staff' },
+  CANCELLED: { outcome: 'FAILED', failureReason: 'Order cancelled' },
+  REFUNDED: { outcome: 'FAILED', failureReason: 'Order refunded' }
+};
+
+/**
+ * Close the open assignment of an order staff completed, took back, cancelled or refunded
+ * Returns the number of assignments closed.
+ */
+async function settleAssignmentsForStatus(prisma, order) {
+  const settlement = STAFF_STATUS_OUTCOMES[order.status];
+  if (order.orderType !== 'DELIVERY' || !settlement) return 0;
+
+  const settled = await prisma.deliveryAssignment.updateMany({
+    where: { orderId: order.id, completedAt: null },
+    data: { completedAt: new Date(), ...settlement }
+  });
+
+  return settled.count;
+}
+
+/**
+ * Delivery counts and cash per driver for assignments made in a period
+ * Cash to remit covers everything not handed in yet, whatever the period.
+ */
+async function getDriverStats(prisma, { from, to }) {
+  const [drivers, outcomes, unremitted] = await Promise.all([
+    prisma.adminUser.findMany({
+      where: { role: DRIVER_ROLE },
+      select: { id: true, firstName: true, lastName: true, isActive: true },
+      orderBy: { firstName: 'asc' }
+    }),
+    prisma.deliveryAssignment.groupBy({
+      by: ['driverId', 'outcome'],
+      where: { assignedAt: { gte: from, lt: to } },
+      _count: true,
+      _sum: { cashCollected: true }
+    }),
+    prisma.deliveryAssignment.groupBy({
+      by: ['driverId'],
+      where: { remittedAt: null, cashCollected: { gt: 0 } },
+      _sum: { cashCollected: true }
+    })
+  ]);
+
+  return drivers.map(driver => {
+    const rows = outcomes.filter(row => row.driverId === driver.id);
+    const count = outcome => rows.find(row => row.outcome === outcome)?._count || 0;
+
+    return {
+      ...driver,
+      assigned: rows.reduce((sum, row) => sum + row._count, 0),
+      delivered: count('DELIVERED'),
+      failed: count('FAILED'),
+      open: count(null),
+      cashCollected: roundMoney(rows.reduce((sum, row) => sum + (row._sum.cashCollected || 0), 0)),
+      cashToRemit: roundMoney(unremitted.find(row => row.driverId === driver.id)?._sum.cashCollected || 0)
+    };
+  });
+}
+
+/**
+ * Cash drivers collected and have not handed in yet, per driver with its orders
+ */
+async function getCashToRemit(prisma, { driverId = null } = {}) {
+  const assignments = await prisma.deliveryAssignment.findMany({
+    where: {
+      remittedAt: null,
+      cashCollected: { gt: 0 },
+      ...(driverId && { driverId })
+    },
+    include: {
+      driver: { select: { id: true, firstName: true, lastName: true } },
+      order: { select: { id: true, orderNumber: true, deliveredAt: true } }
+    },
+    orderBy: { completedAt: 'asc' }
+  });
+
+  const byDriver = new Map();
+  assignments.forEach(assignment => {
+    const entry = byDriver.get(assignment.driverId) || { driver: assignment.driver, total: 0, orders: [] };
+    entry.total = roundMoney(entry.total + assignment.cashCollected);
+    entry.orders.push({
+      assignmentId: assignment.id,
+      ...assignment.order,
+      cashCollected: assignment.cashCollected
+    });
+    byDriver.set(assignment.driverId, entry);
+  });
+
+  return [...byDriver.values()];
+}
+
+/**
+ * Record that a driver handed in all the cash they collected
+ * Returns { count, amount } or { error, statusCode }.
+ */
+async function remitDriverCash(prisma, driverId, { adminId }) {
+  const pending = await prisma.deliveryAssignment.findMany({
+    where: { driverId, remittedAt: null, cashCollected: { gt: 0 } },
+    select: { id: true, cashCollected: true }
+  });
+
+  if (pending.length === 0) {
+    return { error: 'This driver has no cash to hand in', statusCode: 409 };
+  }
+
+  // Only what was read above, cash collected meanwhile stays with the driver
+  const remitted = await prisma.deliveryAssignment.updateMany({
+    where: { id: { in: pending.map(entry => entry.id) }, remittedAt: null },
+    data: { remittedAt: new Date(), remittedToId: adminId }
+  });
+
+  if (remitted.count === 0) {
+    return { error: 'Cash was already handed in', statusCode: 409 };
+  }
+
+  return {
+    count: remitted.count,
+    amount: roundMoney(pending.reduce((sum, entry) => sum + entry.cashCollected, 0))
+  };
+}
+
+module.exports = {
+  DRIVER_ROLE,
+  getAmountToCollect,
+  assignOrders,
+  getDriverOrders,
+  completeDelivery,
+  failDelivery,
+  settleAssignmentsForStatus,
+  getDriverStats,
+  getCashToRemit,
+  remitDriverCash
+};
@@ -0,0 +1,175 @@
+/**
+ * Palace Cafe & Street Food - Delivery Zones
+ * Resolves a delivery address to a DeliveryZone by postal code, or by
+ * polygon using coordinates from the local AddressLocation geocoding table
+ */
+
+const POSTAL_CODE_PATTERN = /\b(\d{3})\s?(\d{2})\b/;
+
+/**
+ * Lowercase, strip diacritics and collapse whitespace for lookups
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a postal code to digits only ("945 01" -> "94501")
+ */
+function normalizePostalCode(postalCode) {
+  return (postalCode || '').replace(/\s/g, '');
+}
+
+/**
+ * Street name without house number ("Hradná 168/2" -> "hradna")
+ */
+function normalizeStreet(street) {
+  return normalizeText(street)
+    .split(' ')
+    .filter(token => !/\d/.test(token))
+    .join(' ');
+}
+
+/**
+ * Split a free-text address into street, postal code and city
+ * Explicit postal code and city (e.g. from separate form fields) take precedence.
+ */
+function parseAddress(line, { postalCode, city } = {}) {
+  const parts = (line || '').split(',').map(part => part.trim()).filter(Boolean);
+  const street = parts[0] || '';
+  let parsedPostalCode = null;
+  let parsedCity = null;
+
+  parts.slice(1).forEach(part => {
+    const match = part.match(POSTAL_CODE_PATTERN);
+    if (match) {
+      parsedPostalCode = `${match[1]}${match[2]}`;
+      parsedCity = part.replace(match[0], '').trim() || parsedCity;
+    } else if (!parsedCity) {
+      parsedCity = part;
+    }
+  });
+
+  return {
+    street,
+    postalCode: normalizePostalCode(postalCode) || parsedPostalCode,
+    city: city || parsedCity
+  };
+}
+
+/**
+ * Ray casting point-in-polygon test, polygon is [[lat, lng], ...]
+ */
+function isPointInPolygon(latitude, longitude, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (lngI > longitude) !== (lngJ > longitude) &&
+      latitude < (latJ - latI) * (longitude - lngI) / (lngJ - lngI) + latI;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Look up coordinates for an address in the local geocoding table
+ */
+async function geocodeAddress(prisma, address) {
+  const street = normalizeStreet(address.street);
+  if (!street) return null;
+
+  const where = { street };
+  if (address.city) {
+    where.city = normalizeText(address.city);
+  } else if (address.postalCode) {
+    where.postalCode = address.postalCode;
+  }
+
+  return prisma.addressLocation.findFirst({ where });
+}
+
+/**
+ * Find the delivery zone for an address
+ * Returns { zone, address, configured } where `configured` is false when no
+ * active zones exist yet (callers then fall back to the flat restaurant fee).
+ */
+async function resolveDeliveryZone(prisma, addressLine, fields = {}) {
+  const address = parseAddress(addressLine, fields);
+  const zones = await prisma.deliveryZone.findMany({
+    where: { isActive: true },
+    orderBy: [{ priority: 'asc' }, { id: 'asc' }]
+  });
+
+  if (zones.length === 0) {
+    return { zone: null, address, configured: false };
+  }
+
+  const postalZone = address.postalCode &&
+    zones.find(zone => zone.postalCodes.map(normalizePostalCode).includes(address.postalCode));
+
+  const polygonZones = zones.filter(zone => Array.isArray(zone.polygon) && zone.polygon.length >= 3);
+  let location = null;
+  if (polygonZones.length > 0) {
+    location = await geocodeAddress(prisma, address);
+  }
+
+  // Respect zone priority across both matching methods
+  const zone = zones.find(z =>
+    z === postalZone ||
+    (location && polygonZones.includes(z) && isPointInPolygon(location.latitude, location.longitude, z.polygon))
+  ) || null;
+
+  return {
+    zone,
+    address: {
+      ...address,
+      postalCode: address.postalCode || location?.postalCode || null
+    },
+    configured: true
+  };
+}
+
+/**
+ * Validate zone input from the admin API, returns a list of error messages
+ */
+function validateDeliveryZone(data) {
+  const errors = [];
+
+  if (!data.name) errors.push('Zone name is required');
+  if (typeof data.deliveryFee !== 'number' || data.deliveryFee < 0) {
+    errors.push('deliveryFee must be a non-negative number');
+  }
+
+  const hasPostalCodes = Array.isArray(data.postalCodes) && data.postalCodes.length > 0;
+  const hasPolygon = Array.isArray(data.polygon) && data.polygon.length >= 3;
+
+  if (!hasPostalCodes && !hasPolygon) {
+    errors.push('A zone needs postal codes or a polygon with at least 3 points');
+  }
+
+  if (data.polygon && (!Array.isArray(data.polygon) ||
+      !data.polygon.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)))) {
+    errors.push('polygon must be a list of [latitude, longitude] pairs');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  resolveDeliveryZone,
+  validateDeliveryZone,
+  parseAddress,
+  isPointInPolygon,
+  normalizeText,
+  normalizeStreet,
+  normalizePostalCode
+};
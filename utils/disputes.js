@@ -0,0 +1,147 @@
+/**
+ * Palace Cafe & Street Food - Disputes
+ * Chargebacks reported by Stripe, stored against the order, and the evidence
+ * bundle staff submit to contest them
+ */
+
+// Stripe dispute statuses after which no more evidence can be submitted
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed', 'charge_refunded'];
+
+/**
+ * Store or update a dispute from a Stripe dispute object
+ * Returns { dispute, created } or null when the disputed payment is not ours.
+ */
+async function syncDispute(prisma, stripeDispute) {
+  const payment = await prisma.payment.findFirst({
+    where: { transactionId: stripeDispute.payment_intent }
+  });
+
+  if (!payment) return null;
+
+  const existing = await prisma.dispute.findUnique({
+    where: { stripeDisputeId: stripeDispute.id }
+  });
+
+  const isClosed = CLOSED_DISPUTE_STATUSES.includes(stripeDispute.status);
+  const dueBy = stripeDispute.evidence_details?.due_by;
+
+  const data = {
+    amount: stripeDispute.amount / 100,
+    currency: stripeDispute.currency.toUpperCase(),
+    reason: stripeDispute.reason,
+    status: stripeDispute.status,
+    evidenceDueBy: dueBy ? new Date(dueBy * 1000) : null,
+    closedAt: isClosed ? (existing?.closedAt || new Date()) : null
+  };
+
+  const dispute = await prisma.dispute.upsert({
+    where: { stripeDisputeId: stripeDispute.id },
+    create: {
+      ...data,
+      stripeDisputeId: stripeDispute.id,
+      orderId: payment.orderId,
+      paymentId: payment.id
+    },
+    update: data,
+    include: { order: { select: { id: true, orderNumber: true } } }
+  });
+
+  return { dispute, created: !existing };
+}
+
+/**
+ * Short plain-text summary of an order for the dispute response
+ */
+function getEvidenceSummary(order) {
+  const lines = [
+    `Order ${order.orderNumber} placed ${order.createdAt.toISOString()} by ${order.customerName} (${order.customerPhone}).`,
+    `${order.orderType === 'DELIVERY' ? `Delivery to ${order.deliveryAddress}` : 'Pickup at the restaurant'}, total EUR ${order.total.toFixed(2)}.`
+  ];
+
+  if (order.deliveredAt) {
+    lines.push(`${order.orderType === 'DELIVERY' ? 'Delivered' : 'Picked up'} ${order.deliveredAt.toISOString()}.`);
+  }
+
+  return lines.join(' ');
+}
+
+/**
+ * Collect what we know about an order for contesting a dispute
+ * The current invoice's PDF is added by the caller, which owns PDF generation.
+ */
+async function buildEvidenceBundle(prisma, orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: {
+        include: {
+          menuItem: {
+            include: { translations: { where: { language: 'hu' } } }
+          }
+        }
+      },
+      payments: { include: { refunds: true } },
+      invoices: { where: { voidedAt: null }, orderBy: { createdAt: 'desc' }, take: 1 },
+      disputes: { orderBy: { createdAt: 'asc' } },
+      statusHistory: {
+        include: {
+          admin: { select: { firstName: true, lastName: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!order) return null;
+
+  return {
+    order,
+    summary: getEvidenceSummary(order),
+    customer: {
+      name: order.customerName,
+      email: order.customerEmail,
+      phone: order.customerPhone,
+      deliveryAddress: order.deliveryAddress
+    },
+    items: order.items.map(item => ({
+      name: item.menuItem.translations[0]?.name || 'Unknown Item',
+      quantity: item.quantity,
+      totalPrice: item.totalPrice
+    })),
+    timestamps: {
+      createdAt: order.createdAt,
+      confirmedAt: order.confirmedAt,
+      acceptedAt: order.acceptedAt,
+      readyAt: order.readyAt,
+      deliveredAt: order.deliveredAt,
+      estimatedTime: order.estimatedTime
+    },
+    statusHistory: order.statusHistory.map(entry => ({
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      reason: entry.reason,
+      changedBy: entry.admin ? `${entry.admin.firstName} ${entry.admin.lastName}` : null,
+      createdAt: entry.createdAt
+    })),
+    payments: order.payments.map(payment => ({
+      paymentMethod: payment.paymentMethod,
+      status: payment.status,
+      amount: payment.amount,
+      refundedAmount: payment.refundedAmount,
+      transactionId: payment.transactionId,
+      createdAt: payment.createdAt,
+      refunds: payment.refunds.map(refund => ({
+        amount: refund.amount,
+        reason: refund.reason,
+        createdAt: refund.createdAt
+      }))
+    })),
+    disputes: order.disputes
+  };
+}
+
+module.exports = {
+  CLOSED_DISPUTE_STATUSES,
+  syncDispute,
+  buildEvidenceBundle
+};
@@ -342,6 +342,104 @@ Hradná 168/2, 945 01 Komárno
   }
 }
 
+/**
+ * Send a customer account email (email verification or password reset) via SendGrid
+ */
+async function sendCustomerAccountEmail(type, { firstName, link }, customerEmail) {
+  try {
+    console.log(`📧 Preparing ${type} email for ${customerEmail}`);
+    
+    if (!customerEmail) {
+      return { success: false, error: 'No email address provided' };
+    }
+
+    // Initialize SendGrid if not already done
+    if (!isInitialized) {
+      const initialized = initializeSendGrid();
+      if (!initialized) {
+        return { success: false, error: 'SendGrid not configured' };
+      }
+    }
+
+    const content = type === 'PASSWORD_RESET' ? {
+      subject: 'Obnovenie hesla - Palace Cafe',
+      mainMessage: 'Pre nastavenie nového hesla kliknite na tlačidlo nižšie. Odkaz je platný 1 hodinu.',
+      subMessage: 'Új jelszó beállításához kattintson az alábbi gombra. A link 1 óráig érvényes.',
+      button: 'Nastaviť heslo / Jelszó beállítása'
+    } : {
+      subject: 'Potvrďte svoj email - Palace Cafe',
+      mainMessage: 'Ďakujeme za registráciu! Potvrďte prosím svoju emailovú adresu.',
+      subMessage: 'Köszönjük a regisztrációt! Kérjük, erősítse meg email címét.',
+      button: 'Potvrdiť email / Email megerősítése'
+    };
+    
+    const msg = {
+      to: customerEmail,
+      from: {
+        email: SENDGRID_CONFIG.from.email,
+        name: SENDGRID_CONFIG.from.name
+      },
+      replyTo: SENDGRID_CONFIG.replyTo,
+      subject: content.subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #38141A, #1D665D); color: white; text-align: center; padding: 30px; border-radius: 10px;">
+            <h1>Palace Cafe & Street Food</h1>
+          </div>
+          
+          <div style="padding: 30px; background: #f9f9f9; border-radius: 10px; margin-top: 20px;">
+            <h2>Dobrý deň ${firstName},</h2>
+            <p><strong>Jó napot ${firstName},</strong></p>
+            
+            <p>${content.mainMessage}</p>
+            <p><em>${content.subMessage}</em></p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="background: #38141A; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">${content.button}</a>
+            </div>
+            
+            <p style="color: #666; font-size: 13px;">Ak ste o tento email nežiadali, môžete ho ignorovať.<br>
+            <em>Ha nem Ön kérte ezt az emailt, nyugodtan hagyja figyelmen kívül.</em></p>
+          </div>
+        </div>
+      `,
+      text: `
+Palace Cafe & Street Food
+
+Dobrý deň ${firstName},
+
+${content.mainMessage}
+${content.subMessage}
+
+${link}
+`,
+      customArgs: {
+        'email_type': type
+      }
+    };
+
+    const result = await sgMail.send(msg);
+    console.log(`✅ ${type} email sent to ${customerEmail}`);
+    
+    return { 
+      success: true, 
+      messageId: result[0].headers['x-message-id'] 
+    };
+    
+  } catch (error) {
+    console.error(`❌ Failed to send ${type} email:`, error);
+    
+    if (error.response) {
+      console.error('SendGrid API Error:', {
+        statusCode: error.response.statusCode,
+        body: error.response.body
+      });
+    }
+    
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Generate email content for invoice (same as WebSupport version)
  */
@@ -642,6 +740,7 @@ module.exports = {
   sendInvoiceEmail,
   sendOrderConfirmationEmail, 
   sendOrderStatusEmail,
+  sendCustomerAccountEmail,
   testEmailConfig,
   EMAIL_CONFIG: SENDGRID_CONFIG // For compatibility
 };
\ No newline at end of file
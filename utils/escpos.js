@@ -0,0 +1,190 @@
+/**
+ * Palace Cafe & Street Food - ESC/POS
+ * Builds byte streams for ESC/POS thermal printers
+ *
+ * Text is encoded in the printer's code page so Hungarian and Slovak letters
+ * (ő, ű, č, ľ, ž...) print correctly. Characters the code page lacks fall back to
+ * their unaccented letter, and € is printed as EUR where it is missing.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Code pages with the ESC t number Epson-compatible printers know them by and the
+// characters of bytes 0x80-0xFF (\u0000 marks unused bytes)
+const CODE_PAGES = {
+  CP852: {
+    escPosNumber: 18,
+    high: 'ÇüéâäůćçłëŐőîŹÄĆÉĹĺôöĽľŚśÖÜŤťŁ×čáíóúĄąŽžĘę¬źČş«»░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐└┴┬├─┼Ăă╚╔╩╦╠═╬¤đĐĎËďŇÍÎě┘┌█▄ŢŮ▀ÓßÔŃńňŠšŔÚŕŰýÝţ´\u00ad˝˛ˇ˘§÷¸°¨˙űŘř■\u00a0'
+  },
+  CP1250: {
+    escPosNumber: 45,
+    high: '€\u0000‚\u0000„…†‡\u0000‰Š‹ŚŤŽŹ\u0000‘’“”•–—\u0000™š›śťžź\u00a0ˇ˘Ł¤Ą¦§¨©Ş«¬\u00ad®Ż°±˛ł´µ¶·¸ąş»Ľ˝ľżŔÁÂĂÄĹĆÇČÉĘËĚÍÎĎĐŃŇÓÔŐÖ×ŘŮÚŰÜÝŢßŕáâăäĺćçčéęëěíîďđńňóôőö÷řůúűüýţ˙'
+  }
+};
+
+const DEFAULT_CODE_PAGE = 'CP852';
+
+const charTables = {};
+
+/**
+ * Character to byte lookup of a code page
+ */
+function getCharTable(codePage) {
+  if (!charTables[codePage]) {
+    const table = new Map();
+    [...CODE_PAGES[codePage].high].forEach((char, index) => {
+      if (char !== '\u0000') table.set(char, 0x80 + index);
+    });
+    charTables[codePage] = table;
+  }
+  return charTables[codePage];
+}
+
+/**
+ * Encode text in a printer code page
+ */
+function encodeText(text, codePage = DEFAULT_CODE_PAGE) {
+  const table = getCharTable(CODE_PAGES[codePage] ? codePage : DEFAULT_CODE_PAGE);
+  const bytes = [];
+
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (table.has(char)) {
+      bytes.push(table.get(char));
+    } else if (char === '€') {
+      bytes.push(0x45, 0x55, 0x52);
+    } else {
+      // Drop the accent, e.g. ŕ -> r on a code page without it
+      const plain = char.normalize('NFD').charCodeAt(0);
+      bytes.push(plain < 0x80 ? plain : 0x3f);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Split text into lines of at most `width` characters, breaking at spaces
+ */
+function wrapText(text, width) {
+  const lines = [];
+  let current = '';
+
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) lines.push(current);
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+      current = '';
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current = `${current} ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Start a printer document
+ * Returns a chainable builder; `width` is the line length in normal-size characters
+ * (42 for 80 mm paper, 32 for 58 mm).
+ */
+function createDocument({ codePage = DEFAULT_CODE_PAGE, width = 42 } = {}) {
+  const page = CODE_PAGES[codePage] ? codePage : DEFAULT_CODE_PAGE;
+  const chunks = [
+    Buffer.from([ESC, 0x40]), // Reset
+    Buffer.from([ESC, 0x74, CODE_PAGES[page].escPosNumber])
+  ];
+  let scale = 1;
+
+  // Characters the text takes on paper, € is three where it prints as EUR
+  const printedLength = value => encodeText(value, page).length;
+
+  const doc = {
+    get width() {
+      return Math.floor(width / scale);
+    },
+
+    text(value) {
+      chunks.push(encodeText(value, page));
+      return doc;
+    },
+
+    line(value = '') {
+      return doc.text(`${value}\n`);
+    },
+
+    // Print text wrapped to the line width, `indent` spaces before every line
+    wrapped(value, indent = 0) {
+      wrapText(value, doc.width - indent).forEach(line => doc.line(' '.repeat(indent) + line));
+      return doc;
+    },
+
+    // Left text and right-aligned text on one line, the left text wraps if both do not fit
+    columns(left, right) {
+      const rightLength = printedLength(right);
+      const lines = wrapText(left, doc.width - rightLength - 1);
+      const last = lines.pop() || '';
+      lines.forEach(line => doc.line(line));
+      return doc.line(last + ' '.repeat(Math.max(doc.width - printedLength(last) - rightLength, 1)) + right);
+    },
+
+    rule(char = '-') {
+      return doc.line(char.repeat(doc.width));
+    },
+
+    align(position) {
+      const values = { left: 0, center: 1, right: 2 };
+      chunks.push(Buffer.from([ESC, 0x61, values[position] ?? 0]));
+      return doc;
+    },
+
+    bold(on = true) {
+      chunks.push(Buffer.from([ESC, 0x45, on ? 1 : 0]));
+      return doc;
+    },
+
+    // Character size multiplier, 1 to 8
+    size(multiplier = 1) {
+      scale = Math.min(Math.max(multiplier, 1), 8);
+      chunks.push(Buffer.from([GS, 0x21, ((scale - 1) << 4) | (scale - 1)]));
+      return doc;
+    },
+
+    feed(lines = 1) {
+      chunks.push(Buffer.from([ESC, 0x64, lines]));
+      return doc;
+    },
+
+    // Feed past the cutter and cut, leaving a small hinge
+    cut() {
+      chunks.push(Buffer.from([GS, 0x56, 0x42, 0x03]));
+      return doc;
+    },
+
+    toBuffer() {
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return doc;
+}
+
+module.exports = {
+  CODE_PAGES,
+  DEFAULT_CODE_PAGE,
+  encodeText,
+  wrapText,
+  createDocument
+};
@@ -41,6 +41,24 @@ function calculateVATBreakdown(grossAmount) {
   };
 }
 
+/**
+ * Invoice totals for an order total and tip
+ * Tips are a non-VAT line unless the configured rule is STANDARD, in which case
+ * they are taxed with the rest of the sale and included in totalGross.
+ */
+function calculateInvoiceTotals(total, tip = 0, tipVatRule = 'EXEMPT') {
+  const tipTaxable = tip > 0 && tipVatRule === 'STANDARD';
+  const vatBreakdown = calculateVATBreakdown(tipTaxable ? total + tip : total);
+
+  return {
+    totalNet: vatBreakdown.netAmount,
+    vatAmount: vatBreakdown.vatAmount,
+    totalGross: vatBreakdown.grossAmount,
+    tip,
+    tipTaxable
+  };
+}
+
 /**
  * Generate invoice number
  */
@@ -50,6 +68,16 @@ function generateInvoiceNumber(paymentMethod, year, counter) {
   return `${prefix}${paddedCounter}`;
 }
 
+/**
+ * Generate credit note number
+ * Credit notes have their own series per year: 3 + two-digit year + 0 + counter
+ */
+function generateCreditNoteNumber(year, counter) {
+  const prefix = `3${year.toString().slice(-2)}0`;
+  const paddedCounter = counter.toString().padStart(4, '0');
+  return `${prefix}${paddedCounter}`;
+}
+
 /**
  * Get next invoice counter
  */
@@ -134,6 +162,8 @@ function formatDate(date) {
 
 /**
  * Generate invoice PDF
+ * Credit notes (data with a creditNoteNumber) use the same layout with their
+ * negative amounts and a reference to the original invoice.
  */
 function generateInvoicePDF(invoiceData) {
   return new Promise((resolve, reject) => {
@@ -155,6 +185,7 @@ function generateInvoicePDF(invoiceData) {
       
       // Calculate VAT
       const vatBreakdown = calculateVATBreakdown(invoiceData.totalGross);
+      const isCreditNote = Boolean(invoiceData.creditNoteNumber);
       
       // Header
       doc.fontSize(22)
@@ -163,11 +194,13 @@ function generateInvoicePDF(invoiceData) {
       
       doc.fontSize(18)
          .fillColor(COLORS.secondary)
-         .text('FAKTÚRA', 400, 50, { align: 'right' });
+         .text(isCreditNote ? 'DOBROPIS' : 'FAKTÚRA', 400, 50, { align: 'right' });
       
       doc.fontSize(10)
          .fillColor(COLORS.light)
-         .text('Danovy doklad', 400, 75, { align: 'right' })
+         .text(isCreditNote
+           ? `Opravny danovy doklad k fakture ${invoiceData.invoice?.invoiceNumber || ''}`
+           : 'Danovy doklad', 300, 75, { width: 245, align: 'right' })
       
       // Line
       doc.strokeColor(COLORS.secondary)
@@ -180,10 +213,10 @@ function generateInvoicePDF(invoiceData) {
       let y = 120;
       doc.fontSize(11)
          .fillColor(COLORS.dark)
-         .text('Faktura c.:', 400, y)
+         .text(isCreditNote ? 'Dobropis c.:' : 'Faktura c.:', 400, y)
          .font('Helvetica-Bold')
          .fillColor(COLORS.primary)
-         .text(invoiceData.invoiceNumber, 400, y + 15);
+         .text(isCreditNote ? invoiceData.creditNoteNumber : invoiceData.invoiceNumber, 400, y + 15);
       
       y += 40;
       doc.font('Helvetica')
@@ -309,7 +342,15 @@ function generateInvoicePDF(invoiceData) {
       // Totals
       y = Math.max(y, 500);
       
-      doc.rect(300, y, 245, 100)
+      // Credit notes carry negative amounts, so check for any non-zero value
+      const hasDiscount = Boolean(invoiceData.discount);
+      const hasLoyaltyDiscount = Boolean(invoiceData.loyaltyDiscount);
+      const hasTip = Boolean(invoiceData.tip);
+      // A non-VAT tip is added to the amount paid but not to the VAT base
+      const untaxedTip = hasTip && !invoiceData.tipTaxable ? invoiceData.tip : 0;
+      const extraLines = (hasDiscount ? 1 : 0) + (hasLoyaltyDiscount ? 1 : 0) + (hasTip ? 1 : 0);
+      
+      doc.rect(300, y, 245, 100 + extraLines * 15)
          .stroke(COLORS.light);
       
       y += 15;
@@ -319,12 +360,31 @@ function generateInvoicePDF(invoiceData) {
          .text('Medzisucet', 310, y)
          .text(formatCurrency(invoiceData.subtotal || vatBreakdown.netAmount), 480, y, { align: 'right' });
       
-      if (invoiceData.deliveryFee && invoiceData.deliveryFee > 0) {
+      if (invoiceData.deliveryFee) {
         y += 15;
         doc.text('Poplatok za dorucenie:', 310, y)
            .text(formatCurrency(invoiceData.deliveryFee), 480, y, { align: 'right' });
       }
       
+      // VAT below is calculated from the discounted total
+      if (hasDiscount) {
+        y += 15;
+        doc.text('Zlava:', 310, y)
+           .text(formatCurrency(-invoiceData.discount), 480, y, { align: 'right' });
+      }
+      
+      if (hasLoyaltyDiscount) {
+        y += 15;
+        doc.text('Vernostne body:', 310, y)
+           .text(formatCurrency(-invoiceData.loyaltyDiscount), 480, y, { align: 'right' });
+      }
+      
+      if (hasTip && invoiceData.tipTaxable) {
+        y += 15;
+        doc.text('Prepitne:', 310, y)
+           .text(formatCurrency(invoiceData.tip), 480, y, { align: 'right' });
+      }
+      
       y += 15;
       doc.text('Základ DPH 19%:', 310, y)
          .text(formatCurrency(vatBreakdown.netAmount), 480, y, { align: 'right' });
@@ -333,6 +393,12 @@ function generateInvoicePDF(invoiceData) {
       doc.text('DPH 19%:', 310, y)
          .text(formatCurrency(vatBreakdown.vatAmount), 480, y, { align: 'right' });
       
+      if (untaxedTip) {
+        y += 15;
+        doc.text('Prepitne (mimo DPH):', 310, y)
+           .text(formatCurrency(untaxedTip), 480, y, { align: 'right' });
+      }
+      
       y += 20;
       doc.strokeColor(COLORS.secondary)
          .lineWidth(1)
@@ -345,7 +411,7 @@ function generateInvoicePDF(invoiceData) {
          .font('Helvetica-Bold')
          .fillColor(COLORS.primary)
          .text('CELKOM:', 310, y)
-         .text(formatCurrency(invoiceData.totalGross), 480, y, { align: 'right' });
+         .text(formatCurrency(invoiceData.totalGross + untaxedTip), 480, y, { align: 'right' });
       
       // Footer
       y = 650;
@@ -365,13 +431,24 @@ function generateInvoicePDF(invoiceData) {
          .fillColor(COLORS.dark)
          .text(paymentMethods[invoiceData.paymentMethod] || invoiceData.paymentMethod, 150, y);
       
-      if (invoiceData.paymentMethod === 'CARD') {
+      if (invoiceData.paymentMethod === 'CARD' && !isCreditNote) {
         y += 15;
         doc.font('Helvetica-Bold')
            .fillColor(COLORS.primary)
            .text('UHRADENÉ', 50, y);
       }
       
+      if (isCreditNote && invoiceData.reason) {
+        y += 15;
+        doc.font('Helvetica-Bold')
+           .fillColor(COLORS.secondary)
+           .text('Dovod:', 50, y);
+        
+        doc.font('Helvetica')
+           .fillColor(COLORS.dark)
+           .text(cleanTextForPDF(invoiceData.reason), 150, y, { width: 395 });
+      }
+      
       y += 30;
       doc.fontSize(8)
          .fillColor(COLORS.light)
@@ -389,8 +466,10 @@ function generateInvoicePDF(invoiceData) {
 module.exports = {
   generateInvoicePDF,
   generateInvoiceNumber,
+  generateCreditNoteNumber,
   getNextInvoiceCounter,
   calculateVATBreakdown,
+  calculateInvoiceTotals,
   formatCurrency,
   COMPANY_INFO
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Palace Cafe & Street Food - Order Invoices
+ * Issues the invoice of an order and reissues it after the order was edited
+ *
+ * An issued invoice is never changed. Reissuing voids it with a credit note for
+ * whatever was not credited yet and issues a new invoice for the current contents.
+ */
+
+const { generateInvoiceNumber, getNextInvoiceCounter, calculateInvoiceTotals } = require('./invoice-generator');
+const { issueCreditNote } = require('./credit-notes');
+const { getSetting } = require('./settings');
+
+const REISSUE_REASON = 'Oprava objednavky';
+
+// EXEMPT leaves the tip out of VAT, STANDARD taxes it like the order
+const TIP_VAT_RULES = ['EXEMPT', 'STANDARD'];
+
+const INVOICE_DEFAULTS = {
+  invoice_tip_vat_rule: 'EXEMPT'
+};
+
+/**
+ * The invoice currently in force for an order, null when none was issued
+ */
+async function getCurrentInvoice(prisma, orderId) {
+  return prisma.invoice.findFirst({
+    where: { orderId, voidedAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Issue an invoice for an order
+ * `invoiceItems` are the priced lines to print. The tip follows the accountant's
+ * configured rule (invoice_tip_vat_rule setting, EXEMPT by default).
+ */
+async function createOrderInvoice(prisma, order, invoiceItems) {
+  const currentYear = new Date().getFullYear();
+  const invoiceCounter = await getNextInvoiceCounter(order.paymentMethod, currentYear, prisma);
+  const invoiceNumber = generateInvoiceNumber(order.paymentMethod, currentYear, invoiceCounter);
+
+  const tipVatRule = await getSetting(prisma, 'invoice_tip_vat_rule', INVOICE_DEFAULTS.invoice_tip_vat_rule);
+  const invoiceTotals = calculateInvoiceTotals(order.total, order.tip || 0, tipVatRule);
+
+  return prisma.invoice.create({
+    data: {
+      invoiceNumber,
+      orderId: order.id,
+      customerName: order.customerName,
+      customerEmail: order.customerEmail || null,
+      customerPhone: order.customerPhone,
+      subtotal: order.subtotal,
+      deliveryFee: order.deliveryFee,
+      discount: order.discount,
+      loyaltyDiscount: order.loyaltyDiscount,
+      ...invoiceTotals,
+      paymentMethod: order.paymentMethod,
+      orderItems: invoiceItems, // Store as JSON
+      emailSent: false
+    },
+    include: {
+      order: true
+    }
+  });
+}
+
+/**
+ * Void the current invoice of an edited order and issue a new one
+ * Voiding, crediting and reissuing happen together, so the order never ends up
+ * without an invoice in force or with its sale counted twice.
+ * Returns { invoice, voidedInvoice, creditNote }.
+ */
+async function reissueOrderInvoice(prisma, order, invoiceItems) {
+  return prisma.$transaction(async (tx) => {
+    const voidedInvoice = await getCurrentInvoice(tx, order.id);
+    let creditNote = null;
+
+    if (voidedInvoice) {
+      await tx.invoice.update({
+        where: { id: voidedInvoice.id },
+        data: { voidedAt: new Date() }
+      });
+      creditNote = await issueCreditNote(tx, voidedInvoice, { reason: REISSUE_REASON });
+    }
+
+    const invoice = await createOrderInvoice(tx, order, invoiceItems);
+
+    return { invoice, voidedInvoice, creditNote };
+  });
+}
+
+module.exports = {
+  TIP_VAT_RULES,
+  INVOICE_DEFAULTS,
+  getCurrentInvoice,
+  createOrderInvoice,
+  reissueOrderInvoice
+};
@@ -0,0 +1,239 @@
+/**
+ * Palace Cafe & Street Food - Kitchen Stations
+ * Splits orders into tickets for the kitchen stations (grill, fryer, bar) and
+ * tracks which stations have bumped their part
+ *
+ * A menu item goes to its own station, else to its category's station; items of
+ * neither (or of an inactive station) are not routed to the kitchen display.
+ * Tickets keep a snapshot of their lines, so reassigning stations only affects new orders.
+ */
+
+// Order statuses the kitchen is working on
+const KITCHEN_STATUSES = ['CONFIRMED', 'PREPARING'];
+
+// Order include needed to route and describe its items
+const TICKET_ITEMS_INCLUDE = {
+  orderBy: { id: 'asc' },
+  include: {
+    menuItem: {
+      include: {
+        station: true,
+        category: { include: { station: true } },
+        translations: { where: { language: 'hu' } }
+      }
+    }
+  }
+};
+
+/**
+ * Station preparing a menu item, null when it is not routed
+ */
+function getItemStationId(menuItem) {
+  const station = menuItem.station || menuItem.category?.station;
+  return station && station.isActive ? station.id : null;
+}
+
+/**
+ * Translated names of the sauces and fries options used by some order items
+ */
+async function getOptionNames(prisma, items) {
+  const sauceSlugs = [...new Set(items.map(item => item.selectedSauce).filter(Boolean))];
+  const friesSlugs = [...new Set(items.map(item => item.friesUpgrade).filter(Boolean))];
+
+  const [sauces, friesOptions] = await Promise.all([
+    prisma.sauce.findMany({
+      where: { slug: { in: sauceSlugs } },
+      include: { translations: { where: { language: 'hu' } } }
+    }),
+    prisma.friesOption.findMany({
+      where: { slug: { in: friesSlugs } },
+      include: { translations: { where: { language: 'hu' } } }
+    })
+  ]);
+
+  const toNames = options => Object.fromEntries(
+    options.map(option => [option.slug, option.translations[0]?.name || option.slug])
+  );
+
+  return { sauces: toNames(sauces), fries: toNames(friesOptions) };
+}
+
+/**
+ * Ticket line for an order item, with everything the cook needs to see
+ */
+function toTicketItem(item, optionNames) {
+  return {
+    orderItemId: item.id,
+    menuItemId: item.menuItemId,
+    name: item.menuItem.translations[0]?.name || item.menuItem.slug,
+    quantity: item.quantity,
+    sauce: item.selectedSauce ? (optionNames.sauces[item.selectedSauce] || item.selectedSauce) : null,
+    fries: item.friesUpgrade ? (optionNames.fries[item.friesUpgrade] || item.friesUpgrade) : null,
+    extras: item.extras,
+    removeItems: item.removeItems,
+    specialNotes: item.specialNotes
+  };
+}
+
+/**
+ * Ticket lines of an order grouped by station id, unrouted items under null
+ * The order's items must be loaded with TICKET_ITEMS_INCLUDE.
+ */
+async function groupTicketItems(prisma, order) {
+  const optionNames = await getOptionNames(prisma, order.items);
+  const groups = new Map();
+
+  order.items.forEach(item => {
+    const stationId = getItemStationId(item.menuItem);
+    groups.set(stationId, [...(groups.get(stationId) || []), toTicketItem(item, optionNames)]);
+  });
+
+  return groups;
+}
+
+/**
+ * Comparable form of ticket lines, the database does not keep JSON key order
+ * Lines are compared by what is cooked, not by order item id: editing an order
+ * recreates its items, and unchanged lines must not reopen a bumped ticket.
+ */
+function getItemsKey(items) {
+  return JSON.stringify(items.map(item => [
+    item.menuItemId,
+    item.name,
+    item.quantity,
+    item.sauce,
+    item.fries,
+    item.extras,
+    item.removeItems,
+    item.specialNotes
+  ]));
+}
+
+/**
+ * True when an order has station tickets and every one of them was bumped
+ */
+function allStationsBumped(tickets) {
+  return tickets.length > 0 && tickets.every(ticket => ticket.bumpedAt);
+}
+
+/**
+ * Create, update or remove the station tickets of an order to match its items
+ * A ticket whose lines changed is shown to its station again. Orders outside the
+ * kitchen statuses are left alone. Returns the order's tickets.
+ */
+async function syncStationTickets(prisma, orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: TICKET_ITEMS_INCLUDE,
+      stationTickets: true
+    }
+  });
+
+  if (!order || !KITCHEN_STATUSES.includes(order.status)) {
+    return order ? order.stationTickets : [];
+  }
+
+  const stationItems = await groupTicketItems(prisma, order);
+  stationItems.delete(null);
+
+  await prisma.$transaction(async (tx) => {
+    for (const ticket of order.stationTickets) {
+      if (!stationItems.has(ticket.stationId)) {
+        await tx.stationTicket.delete({ where: { id: ticket.id } });
+      }
+    }
+
+    for (const [stationId, items] of stationItems) {
+      const existing = order.stationTickets.find(ticket => ticket.stationId === stationId);
+
+      if (!existing) {
+        await tx.stationTicket.create({ data: { orderId, stationId, items } });
+      } else if (getItemsKey(existing.items) !== getItemsKey(items)) {
+        await tx.stationTicket.update({
+          where: { id: existing.id },
+          data: { items, bumpedAt: null, bumpedById: null }
+        });
+      } else if (existing.items.some((item, index) => item.orderItemId !== items[index].orderItemId)) {
+        // Same lines under new order item ids, keep the bump
+        await tx.stationTicket.update({ where: { id: existing.id }, data: { items } });
+      }
+    }
+  });
+
+  return prisma.stationTicket.findMany({ where: { orderId } });
+}
+
+/**
+ * Open tickets of a station, oldest order first
+ */
+async function getStationQueue(prisma, stationId) {
+  return prisma.stationTicket.findMany({
+    where: {
+      stationId,
+      bumpedAt: null,
+      order: { status: { in: KITCHEN_STATUSES } }
+    },
+    include: {
+      order: {
+        select: {
+          id: true,
+          orderNumber: true,
+          orderType: true,
+          status: true,
+          specialNotes: true,
+          scheduledFor: true,
+          estimatedTime: true,
+          createdAt: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Mark a station's part of an order done
+ * Returns { ticket, tickets } with all tickets of the order, or { error, statusCode }.
+ */
+async function bumpStationTicket(prisma, ticketId, { adminId }) {
+  const ticket = await prisma.stationTicket.findUnique({
+    where: { id: ticketId },
+    include: { order: { select: { status: true } } }
+  });
+
+  if (!ticket) {
+    return { error: 'Ticket not found', statusCode: 404 };
+  }
+
+  if (!KITCHEN_STATUSES.includes(ticket.order.status)) {
+    return { error: `The order is ${ticket.order.status.toLowerCase()}, it is no longer in the kitchen`, statusCode: 409 };
+  }
+
+  // Only bump once, a second screen tapping the same ticket is told so
+  const bumped = await prisma.stationTicket.updateMany({
+    where: { id: ticketId, bumpedAt: null },
+    data: { bumpedAt: new Date(), bumpedById: adminId }
+  });
+
+  if (bumped.count === 0) {
+    return { error: 'Ticket was already bumped', statusCode: 409 };
+  }
+
+  const tickets = await prisma.stationTicket.findMany({ where: { orderId: ticket.orderId } });
+
+  return {
+    ticket: tickets.find(entry => entry.id === ticketId),
+    tickets
+  };
+}
+
+module.exports = {
+  KITCHEN_STATUSES,
+  TICKET_ITEMS_INCLUDE,
+  groupTicketItems,
+  allStationsBumped,
+  syncStationTickets,
+  getStationQueue,
+  bumpStationTicket
+};
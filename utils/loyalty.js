@@ -0,0 +1,372 @@
+/**
+ * Palace Cafe & Street Food - Loyalty Points
+ * Ledger of earned, redeemed, reversed and expired points per customer
+ *
+ * The balance is the sum of all ledger entries. Credits (EARN, and REVERSAL of a
+ * redemption) carry an expiry date; points are treated as spent oldest first, so
+ * the amount to expire is whatever expired credit exceeds everything debited so far.
+ */
+
+const { getSettings } = require('./settings');
+
+const LOYALTY_DEFAULTS = {
+  loyalty_points_per_euro: 1,
+  loyalty_point_value: 0.01, // EUR per point when redeeming
+  loyalty_points_expiry_days: 365,
+  loyalty_min_redeem_points: 100
+};
+
+/**
+ * Load loyalty settings
+ */
+async function getLoyaltySettings(prisma) {
+  return getSettings(prisma, LOYALTY_DEFAULTS);
+}
+
+/**
+ * Round a money amount to cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Expiry date for points credited now
+ */
+function getExpiryDate(settings, from = new Date()) {
+  return new Date(from.getTime() + settings.loyalty_points_expiry_days * 24 * 60 * 60000);
+}
+
+/**
+ * Current points balance of a customer
+ */
+async function getPointsBalance(prisma, customerId) {
+  const result = await prisma.loyaltyTransaction.aggregate({
+    where: { customerId },
+    _sum: { points: true }
+  });
+  return result._sum.points || 0;
+}
+
+/**
+ * Work out the discount for redeeming points at checkout
+ * Redemption is capped at `maxAmount` (the order total before points).
+ * Returns { points, amount } or { code, error }.
+ */
+async function calculateRedemption(prisma, { customerId, points, maxAmount }) {
+  if (!customerId) {
+    return { code: 'LOYALTY_LOGIN_REQUIRED', error: 'Please log in to redeem loyalty points' };
+  }
+
+  if (!Number.isInteger(points) || points < 1) {
+    return { code: 'INVALID_POINTS', error: 'Points to redeem must be a positive whole number' };
+  }
+
+  const [settings, balance] = await Promise.all([
+    getLoyaltySettings(prisma),
+    getPointsBalance(prisma, customerId)
+  ]);
+
+  if (points < settings.loyalty_min_redeem_points) {
+    return {
+      code: 'INVALID_POINTS',
+      error: `At least ${settings.loyalty_min_redeem_points} points are needed to redeem`
+    };
+  }
+
+  if (points > balance) {
+    return { code: 'INSUFFICIENT_POINTS', error: `You only have ${balance} points` };
+  }
+
+  // Don't spend more points than the order is worth
+  const usablePoints = Math.min(points, Math.floor(maxAmount / settings.loyalty_point_value));
+
+  return {
+    points: usablePoints,
+    amount: roundMoney(usablePoints * settings.loyalty_point_value)
+  };
+}
+
+/**
+ * Nested create for the REDEEM entry of a new order, undefined without a redemption
+ */
+function getRedeemCreate(customerId, loyalty) {
+  if (!customerId || !loyalty || loyalty.points <= 0) return undefined;
+
+  return {
+    create: {
+      customerId,
+      type: 'REDEEM',
+      points: -loyalty.points,
+      description: `Redeemed for €${loyalty.amount.toFixed(2)} discount`
+    }
+  };
+}
+
+/**
+ * Lock a customer's points balance for the rest of a transaction and check it covers `points`
+ * Touching the customer row makes concurrent redemptions by the same customer wait for
+ * each other, so each sees the balance the previous one left. Returns {} or { code, error }.
+ */
+async function lockPointsBalance(tx, customerId, points) {
+  await tx.customer.update({ where: { id: customerId }, data: { updatedAt: new Date() } });
+
+  const balance = await getPointsBalance(tx, customerId);
+  if (points > balance) {
+    return { code: 'INSUFFICIENT_POINTS', error: `You only have ${balance} points` };
+  }
+
+  return {};
+}
+
+/**
+ * Take redeemed points off the balance for a card checkout before the customer pays
+ * The REDEEM entry has no order yet; it is linked to the order once the payment
+ * arrives, or released when the checkout is abandoned. Returns { entry } (null
+ * without a redemption) or { code, error }.
+ */
+async function reservePoints(prisma, customerId, loyalty) {
+  const redeem = getRedeemCreate(customerId, loyalty);
+  if (!redeem) return { entry: null };
+
+  return prisma.$transaction(async (tx) => {
+    const check = await lockPointsBalance(tx, customerId, loyalty.points);
+    if (check.error) return check;
+
+    return { entry: await tx.loyaltyTransaction.create({ data: redeem.create }) };
+  });
+}
+
+/**
+ * Attach points reserved at checkout to the order the payment created
+ * If the reservation was released meanwhile the points are redeemed again, the
+ * customer has already paid the discounted price.
+ */
+async function linkReservedPoints(tx, entryId, orderId, customerId, loyalty) {
+  const linked = await tx.loyaltyTransaction.updateMany({
+    where: { id: entryId, orderId: null },
+    data: { orderId }
+  });
+
+  if (linked.count === 0) {
+    const redeem = getRedeemCreate(customerId, loyalty);
+    if (redeem) {
+      await tx.loyaltyTransaction.create({ data: { ...redeem.create, orderId } });
+    }
+  }
+}
+
+/**
+ * Give back points reserved for a checkout that never became an order
+ * Returns true when the reservation was still open.
+ */
+async function releaseReservedPoints(prisma, entryId) {
+  const released = await prisma.loyaltyTransaction.deleteMany({
+    where: { id: entryId, type: 'REDEEM', orderId: null }
+  });
+  return released.count > 0;
+}
+
+/**
+ * Credit points for a completed order, once per order
+ * Points are earned on what the customer paid for food, not the delivery fee.
+ */
+async function earnPointsForOrder(prisma, order) {
+  if (!order.customerId) return null;
+
+  const existing = await prisma.loyaltyTransaction.findFirst({
+    where: { orderId: order.id, type: 'EARN' }
+  });
+  if (existing) return null;
+
+  const settings = await getLoyaltySettings(prisma);
+  const spent = Math.max(0, order.total - order.deliveryFee);
+  const points = Math.floor(spent * settings.loyalty_points_per_euro);
+
+  if (points <= 0) return null;
+
+  return prisma.loyaltyTransaction.create({
+    data: {
+      customerId: order.customerId,
+      orderId: order.id,
+      type: 'EARN',
+      points,
+      expiresAt: getExpiryDate(settings),
+      description: `Order ${order.orderNumber}`
+    }
+  });
+}
+
+/**
+ * Undo the points of a cancelled or refunded order, once per order
+ * Earned points are taken back (never below a zero balance) and redeemed points returned.
+ */
+async function reverseOrderPoints(prisma, order) {
+  if (!order.customerId) return [];
+
+  const entries = await prisma.loyaltyTransaction.findMany({
+    where: { orderId: order.id }
+  });
+
+  if (entries.some(entry => entry.type === 'REVERSAL')) return [];
+
+  const settings = await getLoyaltySettings(prisma);
+  const balance = await getPointsBalance(prisma, order.customerId);
+  const reversals = [];
+
+  const earned = entries.filter(entry => entry.type === 'EARN').reduce((sum, entry) => sum + entry.points, 0);
+  const redeemed = -entries.filter(entry => entry.type === 'REDEEM').reduce((sum, entry) => sum + entry.points, 0);
+
+  const takeBack = Math.min(earned, balance + redeemed);
+  if (takeBack > 0) {
+    reversals.push({
+      customerId: order.customerId,
+      orderId: order.id,
+      type: 'REVERSAL',
+      points: -takeBack,
+      description: `Order ${order.orderNumber} ${order.status.toLowerCase()}`
+    });
+  }
+
+  if (redeemed > 0) {
+    reversals.push({
+      customerId: order.customerId,
+      orderId: order.id,
+      type: 'REVERSAL',
+      points: redeemed,
+      expiresAt: getExpiryDate(settings),
+      description: `Points returned for order ${order.orderNumber}`
+    });
+  }
+
+  if (reversals.length > 0) {
+    await prisma.loyaltyTransaction.createMany({ data: reversals });
+  }
+
+  return reversals;
+}
+
+/**
+ * Credit or reverse points after an order changed status
+ */
+async function applyLoyaltyForStatus(prisma, order) {
+  if (order.status === 'DELIVERED') {
+    return earnPointsForOrder(prisma, order);
+  }
+
+  if (['CANCELLED', 'REFUNDED'].includes(order.status)) {
+    return reverseOrderPoints(prisma, order);
+  }
+
+  return null;
+}
+
+/**
+ * Write EXPIRE entries for credits past their expiry date
+ */
+async function expirePoints(prisma, now = new Date()) {
+  const customers = await prisma.loyaltyTransaction.findMany({
+    where: { points: { gt: 0 }, expiresAt: { lte: now } },
+    distinct: ['customerId'],
+    select: { customerId: true }
+  });
+
+  let expiredTotal = 0;
+
+  for (const { customerId } of customers) {
+    const [expiredCredits, debits] = await Promise.all([
+      prisma.loyaltyTransaction.aggregate({
+        where: { customerId, points: { gt: 0 }, expiresAt: { lte: now } },
+        _sum: { points: true }
+      }),
+      prisma.loyaltyTransaction.aggregate({
+        where: { customerId, points: { lt: 0 } },
+        _sum: { points: true }
+      })
+    ]);
+
+    const toExpire = (expiredCredits._sum.points || 0) + (debits._sum.points || 0);
+
+    if (toExpire > 0) {
+      await prisma.loyaltyTransaction.create({
+        data: {
+          customerId,
+          type: 'EXPIRE',
+          points: -toExpire,
+          description: 'Points expired'
+        }
+      });
+      expiredTotal += toExpire;
+    }
+  }
+
+  return expiredTotal;
+}
+
+/**
+ * Balance summary for the customer account page
+ */
+async function getLoyaltySummary(prisma, customerId) {
+  const [settings, balance, transactions, upcomingCredits, debits] = await Promise.all([
+    getLoyaltySettings(prisma),
+    getPointsBalance(prisma, customerId),
+    prisma.loyaltyTransaction.findMany({
+      where: { customerId },
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+      include: { order: { select: { orderNumber: true } } }
+    }),
+    prisma.loyaltyTransaction.findMany({
+      where: { customerId, points: { gt: 0 }, expiresAt: { not: null } },
+      orderBy: { expiresAt: 'asc' }
+    }),
+    prisma.loyaltyTransaction.aggregate({
+      where: { customerId, points: { lt: 0 } },
+      _sum: { points: true }
+    })
+  ]);
+
+  // Spend debits against the oldest credits to find the next points to expire
+  let unallocated = -(debits._sum.points || 0);
+  let nextExpiry = null;
+  for (const credit of upcomingCredits) {
+    const left = credit.points - Math.min(unallocated, credit.points);
+    unallocated -= credit.points - left;
+    if (left > 0 && credit.expiresAt > new Date()) {
+      nextExpiry = { points: left, expiresAt: credit.expiresAt };
+      break;
+    }
+  }
+
+  return {
+    balance,
+    balanceValue: roundMoney(balance * settings.loyalty_point_value),
+    pointsPerEuro: settings.loyalty_points_per_euro,
+    pointValue: settings.loyalty_point_value,
+    minRedeemPoints: settings.loyalty_min_redeem_points,
+    nextExpiry,
+    transactions: transactions.map(transaction => ({
+      id: transaction.id,
+      type: transaction.type,
+      points: transaction.points,
+      description: transaction.description,
+      orderNumber: transaction.order?.orderNumber || null,
+      expiresAt: transaction.expiresAt,
+      createdAt: transaction.createdAt
+    }))
+  };
+}
+
+module.exports = {
+  getLoyaltySettings,
+  getPointsBalance,
+  calculateRedemption,
+  getRedeemCreate,
+  lockPointsBalance,
+  reservePoints,
+  linkReservedPoints,
+  releaseReservedPoints,
+  applyLoyaltyForStatus,
+  expirePoints,
+  getLoyaltySummary
+};
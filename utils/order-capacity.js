@@ -0,0 +1,213 @@
+/**
+ * Palace Cafe & Street Food - Order Capacity
+ * Limits how much the kitchen takes on per 15-minute slot
+ *
+ * An order occupies the slot its estimated time falls in. Capacity is counted in
+ * orders or in prep minutes (the sum of item preparation times). A slot accepts
+ * orders until its load reaches the capacity. When the slot of an ASAP order is
+ * full, the order is either pushed to the next slot with room or rejected.
+ */
+
+const { getSettings } = require('./settings');
+const { TIMEZONE } = require('./restaurant-schedule');
+
+const CAPACITY_SLOT_MINUTES = 15;
+const CAPACITY_SLOT_MS = CAPACITY_SLOT_MINUTES * 60000;
+
+const CAPACITY_MODES = ['OFF', 'ORDERS', 'PREP_MINUTES'];
+const CAPACITY_FULL_ACTIONS = ['DELAY', 'REJECT'];
+
+const CAPACITY_DEFAULTS = {
+  capacity_mode: 'OFF', // OFF, ORDERS or PREP_MINUTES
+  capacity_per_slot: 10, // Orders or prep minutes per slot, depending on the mode
+  capacity_full_action: 'DELAY', // DELAY pushes the ETA, REJECT turns ASAP orders away
+  capacity_search_slots: 16 // How far ahead to look for room (4 hours)
+};
+
+// Orders that no longer take kitchen time
+const INACTIVE_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+// Postgres advisory lock key serializing capacity checks with the orders they book
+const CAPACITY_LOCK_KEY = 15001;
+
+/**
+ * Load capacity settings
+ */
+async function getCapacitySettings(prisma) {
+  return getSettings(prisma, CAPACITY_DEFAULTS);
+}
+
+/**
+ * Start of the slot a time falls in
+ */
+function getSlotStart(date) {
+  return new Date(Math.floor(new Date(date).getTime() / CAPACITY_SLOT_MS) * CAPACITY_SLOT_MS);
+}
+
+/**
+ * Orders and prep minutes booked per slot between two times, keyed by slot start (ms)
+ */
+async function getSlotLoads(prisma, from, to) {
+  const orders = await prisma.order.findMany({
+    where: {
+      estimatedTime: { gte: getSlotStart(from), lt: new Date(getSlotStart(to).getTime() + CAPACITY_SLOT_MS) },
+      status: { notIn: INACTIVE_STATUSES }
+    },
+    select: {
+      estimatedTime: true,
+      items: {
+        select: { quantity: true, menuItem: { select: { preparationTime: true } } }
+      }
+    }
+  });
+
+  const loads = new Map();
+  orders.forEach(order => {
+    const key = getSlotStart(order.estimatedTime).getTime();
+    const load = loads.get(key) || { orders: 0, prepMinutes: 0 };
+    load.orders += 1;
+    load.prepMinutes += order.items.reduce((sum, item) => sum + item.quantity * item.menuItem.preparationTime, 0);
+    loads.set(key, load);
+  });
+
+  return loads;
+}
+
+/**
+ * How much of a slot's capacity its load uses, in the unit of the capacity mode
+ */
+function getSlotUsage(settings, load = { orders: 0, prepMinutes: 0 }) {
+  return settings.capacity_mode === 'PREP_MINUTES' ? load.prepMinutes : load.orders;
+}
+
+/**
+ * Whether capacity limits are switched on
+ */
+function isCapacityEnabled(settings) {
+  return ['ORDERS', 'PREP_MINUTES'].includes(settings.capacity_mode) && settings.capacity_per_slot > 0;
+}
+
+/**
+ * Time of day in the restaurant timezone, e.g. 19:45
+ */
+function formatTime(date) {
+  return date.toLocaleTimeString('sk-SK', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Drop slots that are already full from a list of bookable times
+ */
+async function filterFullSlots(prisma, slots) {
+  const settings = await getCapacitySettings(prisma);
+  if (!isCapacityEnabled(settings) || slots.length === 0) return slots;
+
+  const times = slots.map(slot => slot.getTime());
+  const loads = await getSlotLoads(prisma, new Date(Math.min(...times)), new Date(Math.max(...times)));
+
+  return slots.filter(slot => (
+    getSlotUsage(settings, loads.get(getSlotStart(slot).getTime())) < settings.capacity_per_slot
+  ));
+}
+
+/**
+ * Fit an ASAP order's estimated time into a slot with room
+ * With `allowReject` false (e.g. the order is already paid) a full kitchen always
+ * delays the order instead of rejecting it. Returns { estimatedTime, delayed } or
+ * { error, statusCode, data }.
+ */
+async function applySlotCapacity(prisma, estimatedTime, { allowReject = true } = {}) {
+  const settings = await getCapacitySettings(prisma);
+  if (!isCapacityEnabled(settings)) {
+    return { estimatedTime, delayed: false };
+  }
+
+  const firstSlot = getSlotStart(estimatedTime);
+  const lastSlot = new Date(firstSlot.getTime() + settings.capacity_search_slots * CAPACITY_SLOT_MS);
+  const loads = await getSlotLoads(prisma, firstSlot, lastSlot);
+
+  let freeSlot = null;
+  for (let time = firstSlot.getTime(); time <= lastSlot.getTime(); time += CAPACITY_SLOT_MS) {
+    if (getSlotUsage(settings, loads.get(time)) < settings.capacity_per_slot) {
+      freeSlot = new Date(time);
+      break;
+    }
+  }
+
+  if (freeSlot && freeSlot.getTime() === firstSlot.getTime()) {
+    return { estimatedTime, delayed: false };
+  }
+
+  if (freeSlot && (!allowReject || settings.capacity_full_action !== 'REJECT')) {
+    return { estimatedTime: freeSlot, delayed: true };
+  }
+
+  if (!freeSlot && !allowReject) {
+    return { estimatedTime: lastSlot, delayed: true };
+  }
+
+  return {
+    error: freeSlot
+      ? `The kitchen is fully booked right now. Please schedule your order for ${formatTime(freeSlot)} or later.`
+      : 'The kitchen is fully booked for the next hours. Please try again later.',
+    statusCode: 409,
+    data: { reason: 'CAPACITY_FULL', nextAvailableAt: freeSlot }
+  };
+}
+
+/**
+ * Fit an ASAP order into a slot from inside the transaction that creates it
+ * Holds a lock until the transaction ends, so concurrent checkouts see each
+ * other's orders and cannot book the same free capacity twice. Same options and
+ * result as applySlotCapacity.
+ */
+async function reserveSlotCapacity(tx, estimatedTime, options = {}) {
+  const settings = await getCapacitySettings(tx);
+  if (isCapacityEnabled(settings)) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${CAPACITY_LOCK_KEY})`;
+  }
+
+  return applySlotCapacity(tx, estimatedTime, options);
+}
+
+/**
+ * Load of the current slot and the ones after it, for the dashboard
+ */
+async function getCapacityOverview(prisma, { slots = 8, now = new Date() } = {}) {
+  const settings = await getCapacitySettings(prisma);
+  const firstSlot = getSlotStart(now);
+  const lastSlot = new Date(firstSlot.getTime() + (slots - 1) * CAPACITY_SLOT_MS);
+  const loads = await getSlotLoads(prisma, firstSlot, lastSlot);
+  const enabled = isCapacityEnabled(settings);
+
+  return {
+    mode: settings.capacity_mode,
+    capacityPerSlot: enabled ? settings.capacity_per_slot : null,
+    fullAction: settings.capacity_full_action,
+    slotMinutes: CAPACITY_SLOT_MINUTES,
+    slots: Array.from({ length: slots }, (_, index) => {
+      const start = new Date(firstSlot.getTime() + index * CAPACITY_SLOT_MS);
+      const load = loads.get(start.getTime()) || { orders: 0, prepMinutes: 0 };
+      const usage = getSlotUsage(settings, load);
+
+      return {
+        start,
+        end: new Date(start.getTime() + CAPACITY_SLOT_MS),
+        orders: load.orders,
+        prepMinutes: load.prepMinutes,
+        utilisation: enabled ? Math.round((usage / settings.capacity_per_slot) * 100) : null,
+        isFull: enabled && usage >= settings.capacity_per_slot
+      };
+    })
+  };
+}
+
+module.exports = {
+  CAPACITY_SLOT_MINUTES,
+  CAPACITY_MODES,
+  CAPACITY_FULL_ACTIONS,
+  CAPACITY_DEFAULTS,
+  filterFullSlots,
+  applySlotCapacity,
+  reserveSlotCapacity,
+  getCapacityOverview
+};
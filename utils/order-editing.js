@@ -0,0 +1,142 @@
+/**
+ * Palace Cafe & Street Food - Order Editing
+ * Staff changes to an open order (items, delivery fee, discount) repriced with the
+ * same rules as checkout
+ *
+ * Basket rules meant for customers (minimum order, delivery area) are not enforced
+ * on staff edits. The delivery fee follows the zone stored on the order, and its promo
+ * code is checked again against the edited cart. Redeemed loyalty points and the tip
+ * stay as they were.
+ */
+
+const { priceOrder, roundMoney } = require('./order-pricing');
+
+// Orders the kitchen has not handed over yet
+const EDITABLE_STATUSES = ['PENDING', 'CONFIRMED', 'PREPARING', 'READY'];
+
+const CART_FIELDS = ['quantity', 'selectedSauce', 'friesUpgrade', 'extras', 'removeItems', 'specialNotes'];
+
+/**
+ * Cart line from a stored order item
+ */
+function toCartItem(item) {
+  return {
+    menuItemId: item.menuItemId,
+    quantity: item.quantity,
+    selectedSauce: item.selectedSauce,
+    friesUpgrade: item.friesUpgrade,
+    extras: item.extras,
+    removeItems: item.removeItems,
+    specialNotes: item.specialNotes
+  };
+}
+
+/**
+ * Apply item edits to an order's lines
+ * `remove` lists order item ids, `update` holds { id, ...changed cart fields },
+ * `add` holds new cart lines. Returns { cart } or { error }.
+ */
+function buildEditedCart(order, { add = [], update = [], remove = [] }) {
+  const itemIds = order.items.map(item => item.id);
+  const unknownId = [...remove, ...update.map(change => change.id)].find(id => !itemIds.includes(id));
+
+  if (unknownId !== undefined) {
+    return { error: `Order item ${unknownId} is not part of this order` };
+  }
+
+  const cart = order.items
+    .filter(item => !remove.includes(item.id))
+    .map(item => {
+      const change = update.find(entry => entry.id === item.id) || {};
+      const cartItem = toCartItem(item);
+      CART_FIELDS.forEach(field => {
+        if (change[field] !== undefined) cartItem[field] = change[field];
+      });
+      return cartItem;
+    })
+    .concat(add.map(item => ({ ...item, extras: item.extras || [], removeItems: item.removeItems || [] })));
+
+  if (cart.length === 0) {
+    return { error: 'An order needs at least one item, cancel it instead' };
+  }
+
+  return { cart };
+}
+
+/**
+ * Reprice an order after staff edits
+ * The order must be loaded with its `promotion` and `deliveryZone`. `deliveryFee` and
+ * `discount` override the recalculated fee and promo discount. `promotionDropped` is
+ * true when the order's promo code no longer applies to the edited cart.
+ * Returns { pricing, totals, promotionDropped } or { error, errors }.
+ */
+async function repriceOrder(prisma, order, edits) {
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    return { error: `A ${order.status.toLowerCase()} order can no longer be edited` };
+  }
+
+  const { cart, error } = buildEditedCart(order, edits);
+  if (error) return { error };
+
+  // A staff discount replaces the promotion, otherwise it is worked out again
+  const repricePromotion = order.promotion && edits.discount === undefined;
+
+  const pricing = await priceOrder(cart, {
+    orderType: order.orderType,
+    prisma,
+    deliveryZone: order.deliveryZone,
+    promoCode: repricePromotion ? order.promotion.code : null,
+    promoOptions: { excludeOrderId: order.id, now: order.createdAt },
+    customer: { phone: order.customerPhone, email: order.customerEmail }
+  });
+
+  const lineErrors = pricing.errors.filter(problem => problem.index !== null);
+  if (lineErrors.length > 0) {
+    return { error: lineErrors[0].error, errors: lineErrors };
+  }
+
+  const subtotal = pricing.subtotal;
+  const deliveryFee = edits.deliveryFee !== undefined ? roundMoney(edits.deliveryFee) : pricing.deliveryFee;
+  const promotionDropped = Boolean(repricePromotion && !pricing.promotion);
+
+  let discount = order.discount;
+  if (edits.discount !== undefined) discount = edits.discount;
+  else if (repricePromotion) discount = pricing.discount;
+  discount = roundMoney(Math.min(discount, subtotal + deliveryFee));
+  const loyaltyDiscount = roundMoney(Math.min(order.loyaltyDiscount, subtotal + deliveryFee - discount));
+  const total = roundMoney(subtotal + deliveryFee - discount - loyaltyDiscount);
+
+  return {
+    pricing,
+    promotionDropped,
+    totals: {
+      subtotal,
+      deliveryFee,
+      discount,
+      loyaltyDiscount,
+      total
+    }
+  };
+}
+
+/**
+ * Short description of an edit for the order history
+ */
+function describeEdits(order, { add = [], update = [], remove = [], deliveryFee, discount }, totals, promotionDropped = false) {
+  const parts = [];
+  if (add.length > 0) parts.push(`${add.length} item(s) added`);
+  if (update.length > 0) parts.push(`${update.length} item(s) changed`);
+  if (remove.length > 0) parts.push(`${remove.length} item(s) removed`);
+  if (deliveryFee !== undefined) parts.push(`delivery fee €${totals.deliveryFee.toFixed(2)}`);
+  if (discount !== undefined) parts.push(`discount €${totals.discount.toFixed(2)}`);
+  if (promotionDropped) parts.push(`promo code ${order.promotion.code} no longer applies`);
+
+  return `Order edited: ${parts.join(', ') || 'repriced'} (total €${order.total.toFixed(2)} → €${totals.total.toFixed(2)})`;
+}
+
+module.exports = {
+  EDITABLE_STATUSES,
+  buildEditedCart,
+  repriceOrder,
+  describeEdits
+};
@@ -0,0 +1,235 @@
+/**
+ * Palace Cafe & Street Food - Order History
+ * Phone verification for guest order history and rebuilding carts from past orders
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getJwtSecret } = require('./customer-auth');
+const { priceOrder } = require('./order-pricing');
+
+const GUEST_HISTORY_AUDIENCE = 'guest-orders';
+const GUEST_HISTORY_EXPIRY = '1h';
+const CODE_LIFETIME_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Strip formatting from a phone number ("+421 900 123-456" -> "+421900123456")
+ */
+function normalizePhone(phone) {
+  return (phone || '').replace(/[^\d+]/g, '');
+}
+
+// Numbers typed without a country code are Slovak
+const DEFAULT_COUNTRY_CODE = '421';
+
+/**
+ * Phone number in E.164 form ("0900 123 456" -> "+421900123456"), null when unusable
+ * National numbers are Slovak, except the Hungarian 06 trunk prefix (no Slovak
+ * area code starts with 06), so "06 30 123 4567" becomes "+36301234567".
+ */
+function toE164(phone) {
+  const normalized = normalizePhone(phone);
+  const digits = normalized.replace(/\D/g, '');
+  let international;
+
+  if (normalized.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (/^06\d{9}$/.test(digits)) {
+    international = `36${digits.slice(2)}`;
+  } else if (digits.startsWith('0')) {
+    international = DEFAULT_COUNTRY_CODE + digits.slice(1);
+  } else if (digits.length === 9) {
+    international = DEFAULT_COUNTRY_CODE + digits;
+  } else {
+    international = digits;
+  }
+
+  return international.length >= 10 && international.length <= 15 ? `+${international}` : null;
+}
+
+/**
+ * Prisma filter matching orders placed with a phone number
+ * Orders store the number as typed, so orders ending in the same subscriber digits
+ * are loaded and only those with the same full E.164 number are kept; a Slovak
+ * and a Hungarian number sharing their last digits are different customers.
+ */
+async function getPhoneMatchFilter(prisma, phone) {
+  const e164 = toE164(phone);
+  if (!e164) {
+    return { customerPhone: phone };
+  }
+
+  const subscriber = e164.slice(-9);
+  const candidates = await prisma.order.findMany({
+    where: {
+      OR: [
+        { customerPhone: { endsWith: subscriber } },
+        { customerPhone: { endsWith: subscriber.replace(/(\d{3})(\d{3})(\d{3})/, '$1 $2 $3') } }
+      ]
+    },
+    select: { id: true, customerPhone: true }
+  });
+
+  return {
+    id: { in: candidates.filter(order => toE164(order.customerPhone) === e164).map(order => order.id) }
+  };
+}
+
+/**
+ * Only a hash of verification codes is stored
+ */
+function hashCode(phone, code) {
+  return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+}
+
+/**
+ * Create a 6-digit verification code for a phone number, returns the code to send
+ * Earlier codes for the same number stop working.
+ */
+async function createPhoneVerification(prisma, phone) {
+  const normalized = normalizePhone(phone);
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await prisma.$transaction([
+    prisma.phoneVerification.deleteMany({ where: { phone: normalized, verifiedAt: null } }),
+    prisma.phoneVerification.create({
+      data: {
+        phone: normalized,
+        codeHash: hashCode(normalized, code),
+        expiresAt: new Date(Date.now() + CODE_LIFETIME_MINUTES * 60000)
+      }
+    })
+  ]);
+
+  return code;
+}
+
+/**
+ * Check a verification code, returns true when it matches the latest open code
+ * Each code allows a limited number of attempts.
+ */
+async function confirmPhoneVerification(prisma, phone, code) {
+  const normalized = normalizePhone(phone);
+  const verification = await prisma.phoneVerification.findFirst({
+    where: {
+      phone: normalized,
+      verifiedAt: null,
+      expiresAt: { gt: new Date() },
+      attempts: { lt: MAX_CODE_ATTEMPTS }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!verification) {
+    return false;
+  }
+
+  if (verification.codeHash !== hashCode(normalized, String(code || ''))) {
+    await prisma.phoneVerification.update({
+      where: { id: verification.id },
+      data: { attempts: { increment: 1 } }
+    });
+    return false;
+  }
+
+  const claimed = await prisma.phoneVerification.updateMany({
+    where: { id: verification.id, verifiedAt: null },
+    data: { verifiedAt: new Date() }
+  });
+
+  return claimed.count === 1;
+}
+
+/**
+ * Short-lived token letting a guest list orders placed with a verified phone number
+ */
+function signGuestHistoryToken(phone) {
+  return jwt.sign(
+    { phone: normalizePhone(phone) },
+    getJwtSecret(),
+    { audience: GUEST_HISTORY_AUDIENCE, expiresIn: GUEST_HISTORY_EXPIRY }
+  );
+}
+
+/**
+ * Verify a guest history token, throws like jwt.verify when invalid
+ */
+function verifyGuestHistoryToken(token) {
+  return jwt.verify(token, getJwtSecret(), { audience: GUEST_HISTORY_AUDIENCE });
+}
+
+/**
+ * Rebuild a cart from a past order and compare it with today's menu
+ * Lines that can still be ordered go into `cart`; every line is listed in `items`
+ * with a status of OK, REPRICED, or the pricing error code that blocks it
+ * (ITEM_DELETED, ITEM_UNAVAILABLE, ITEM_NOT_FOUND, NOT_DELIVERABLE, UNKNOWN_SAUCE, UNKNOWN_FRIES).
+ */
+async function buildReorder(prisma, order, { orderType = order.orderType, language = 'hu' } = {}) {
+  const cartItems = order.items.map(item => ({
+    menuItemId: item.menuItemId,
+    quantity: item.quantity,
+    selectedSauce: item.selectedSauce,
+    friesUpgrade: item.friesUpgrade,
+    extras: item.extras,
+    removeItems: item.removeItems,
+    specialNotes: item.specialNotes
+  }));
+
+  const pricing = await priceOrder(cartItems, { orderType, prisma, language });
+
+  const items = cartItems.map((cartItem, index) => {
+    const orderItem = order.items[index];
+    const previousUnitPrice = Math.round(orderItem.totalPrice / orderItem.quantity * 100) / 100;
+    const problems = pricing.errors.filter(error => error.index === index);
+    const line = pricing.lineItems.find(lineItem => lineItem.index === index);
+
+    if (problems.length > 0) {
+      return {
+        ...cartItem,
+        name: orderItem.menuItem?.translations?.[0]?.name || null,
+        status: problems[0].code,
+        message: problems[0].error,
+        previousUnitPrice,
+        currentUnitPrice: null
+      };
+    }
+
+    const currentUnitPrice = Math.round(line.totalPrice / line.quantity * 100) / 100;
+
+    return {
+      ...cartItem,
+      name: line.name,
+      status: currentUnitPrice === previousUnitPrice ? 'OK' : 'REPRICED',
+      message: currentUnitPrice === previousUnitPrice ? null : `Price changed from €${previousUnitPrice.toFixed(2)} to €${currentUnitPrice.toFixed(2)}`,
+      previousUnitPrice,
+      currentUnitPrice,
+      customizations: line.customizations
+    };
+  });
+
+  return {
+    orderType,
+    items,
+    cart: items
+      .filter(item => ['OK', 'REPRICED'].includes(item.status))
+      .map(({ menuItemId, quantity, selectedSauce, friesUpgrade, extras, removeItems, specialNotes }) => ({
+        menuItemId, quantity, selectedSauce, friesUpgrade, extras, removeItems, specialNotes
+      })),
+    subtotal: pricing.subtotal,
+    hasChanges: items.some(item => item.status !== 'OK')
+  };
+}
+
+module.exports = {
+  normalizePhone,
+  toE164,
+  getPhoneMatchFilter,
+  createPhoneVerification,
+  confirmPhoneVerification,
+  signGuestHistoryToken,
+  verifyGuestHistoryToken,
+  buildReorder
+};
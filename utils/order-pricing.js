@@ -0,0 +1,352 @@
+/**
+ * Palace Cafe & Street Food - Order Pricing
+ * Server-side pricing rules shared by every payment path (cash, Stripe)
+ * Builds line items, customization labels and order totals from a cart
+ */
+
+const { resolveDeliveryZone } = require('./delivery-zones');
+const { applyPromoCode } = require('./promotions');
+const { calculateRedemption } = require('./loyalty');
+
+// Pricing rules
+const EXTRA_PRICE = 0.30;
+const DEFAULT_DELIVERY_FEE = 2.50;
+const MAX_TIP = 50.00;
+const INCLUDED_FRIES_SLUGS = ['regular', 'regular-fries'];
+
+/**
+ * Round an amount to whole cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Resolve the delivery fee for an order type
+ * Zone fees apply when the address matched a zone, otherwise the flat restaurant fee
+ */
+function getDeliveryFee(orderType, restaurant, zone, subtotal) {
+  if (orderType !== 'DELIVERY') return 0;
+
+  if (zone) {
+    const isFree = zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold;
+    return isFree ? 0 : zone.deliveryFee;
+  }
+
+  return restaurant?.deliveryFee || DEFAULT_DELIVERY_FEE;
+}
+
+/**
+ * Minimum basket for an order, only delivery orders have one
+ */
+function getMinimumOrder(orderType, restaurant, zone) {
+  if (orderType !== 'DELIVERY') return 0;
+  return zone ? zone.minimumOrder : (restaurant?.minimumOrder || 0);
+}
+
+/**
+ * Price a single cart line against the loaded menu data
+ * Items with sides included get regular fries for free, only upgrades are charged
+ */
+function priceLineItem(item, menuItem, friesOption, sauce, index) {
+  const quantity = item.quantity;
+  const extras = item.extras || [];
+  const customizations = [];
+  let totalPrice = menuItem.price * quantity;
+
+  if (friesOption) {
+    const friesName = friesOption.translations[0]?.name || friesOption.slug;
+    const isIncluded = menuItem.includesSides && INCLUDED_FRIES_SLUGS.includes(friesOption.slug);
+
+    if (isIncluded) {
+      customizations.push(friesOption.translations[0]?.name || 'Regular fries');
+    } else {
+      totalPrice += friesOption.priceAddon * quantity;
+      customizations.push(`${friesName} (+€${friesOption.priceAddon})`);
+    }
+  }
+
+  if (sauce) {
+    customizations.push(sauce.translations[0]?.name || sauce.slug);
+  }
+
+  if (extras.length > 0) {
+    const extrasCost = extras.length * EXTRA_PRICE;
+    totalPrice += extrasCost * quantity;
+    customizations.push(`${extras.length} extra(s) (+€${extrasCost.toFixed(2)})`);
+  }
+
+  return {
+    index,
+    menuItemId: menuItem.id,
+    categoryId: menuItem.categoryId,
+    slug: menuItem.slug,
+    name: menuItem.translations[0]?.name || 'Unknown Item',
+    quantity,
+    unitPrice: menuItem.price,
+    totalPrice: roundMoney(totalPrice),
+    selectedSauce: item.selectedSauce || null,
+    friesUpgrade: item.friesUpgrade || null,
+    extras,
+    removeItems: item.removeItems || [],
+    specialNotes: item.specialNotes || null,
+    customizations
+  };
+}
+
+/**
+ * Map a priced line to OrderItem create data
+ */
+function toOrderItemData(line) {
+  return {
+    menuItemId: line.menuItemId,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    totalPrice: line.totalPrice,
+    selectedSauce: line.selectedSauce,
+    friesUpgrade: line.friesUpgrade,
+    extras: line.extras,
+    removeItems: line.removeItems,
+    specialNotes: line.specialNotes
+  };
+}
+
+/**
+ * Map a priced line to the JSON shape stored on Invoice.orderItems
+ */
+function toInvoiceItem(line) {
+  return {
+    slug: line.slug,
+    name: line.name,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    totalPrice: line.totalPrice,
+    customizations: line.customizations.join(', ')
+  };
+}
+
+/**
+ * Validate a single cart line
+ * Returns a list of { code, error } problems, empty when the line can be ordered
+ */
+function validateLineItem(item, { menuItem, friesOption, sauce, orderType }) {
+  const problems = [];
+
+  if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+    problems.push({ code: 'INVALID_QUANTITY', error: 'Quantity must be a positive whole number' });
+  }
+
+  if (!menuItem) {
+    problems.push({ code: 'ITEM_NOT_FOUND', error: `Menu item with ID ${item.menuItemId} not found` });
+    return problems;
+  }
+
+  const name = menuItem.translations[0]?.name || menuItem.slug;
+
+  if (menuItem.isDeleted) {
+    problems.push({ code: 'ITEM_DELETED', error: `${name} is no longer on the menu` });
+  } else if (!menuItem.isAvailable || !menuItem.category?.isActive) {
+    problems.push({ code: 'ITEM_UNAVAILABLE', error: `${name} is currently unavailable` });
+  }
+
+  if (orderType === 'DELIVERY' && !menuItem.category?.isDeliverable) {
+    problems.push({ code: 'NOT_DELIVERABLE', error: `${name} is not available for delivery` });
+  }
+
+  if (item.selectedSauce && !sauce) {
+    problems.push({ code: 'UNKNOWN_SAUCE', error: `Unknown sauce: ${item.selectedSauce}` });
+  }
+
+  if (item.friesUpgrade && !friesOption) {
+    problems.push({ code: 'UNKNOWN_FRIES', error: `Unknown fries option: ${item.friesUpgrade}` });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate an optional tip, returns { tip } or { code, error }
+ */
+function validateTip(tip) {
+  if (tip === null || tip === undefined || tip === '') return { tip: 0 };
+
+  const amount = Number(tip);
+  if (!Number.isFinite(amount) || amount < 0) {
+    return { code: 'INVALID_TIP', error: 'Tip must be a positive amount' };
+  }
+
+  if (amount > MAX_TIP) {
+    return { code: 'INVALID_TIP', error: `Tip cannot exceed €${MAX_TIP.toFixed(2)}` };
+  }
+
+  return { tip: roundMoney(amount) };
+}
+
+/**
+ * Price a whole cart
+ * Returns line items, subtotal, delivery fee and total. Lines that fail
+ * validation are left out of the totals and reported in `errors` instead.
+ * For delivery orders `address` ({ line, postalCode, city }) selects the delivery zone,
+ * unless the zone is already known and passed as `deliveryZone`;
+ * basket-level problems are reported with a null index.
+ * `promoCode` is checked against `customer` ({ id, phone, email }) usage limits and
+ * its discount is taken off the total; `promoOptions` are passed on to applyPromoCode. `redeemPoints` spends the logged-in
+ * customer's loyalty points on what is left. A `tip` is kept out of the total;
+ * `amountDue` is what the customer pays, total plus tip.
+ */
+async function priceOrder(items, {
+  orderType,
+  prisma,
+  language = 'hu',
+  address = null,
+  deliveryZone = null,
+  promoCode = null,
+  promoOptions = {},
+  redeemPoints = null,
+  customer = {},
+  tip = null
+}) {
+  const menuItemIds = [...new Set(items.map(item => item.menuItemId).filter(Number.isInteger))];
+  const sauceSlugs = [...new Set(items.map(item => item.selectedSauce).filter(Boolean))];
+  const friesSlugs = [...new Set(items.map(item => item.friesUpgrade).filter(Boolean))];
+
+  const [restaurant, menuItems, sauces, friesOptions] = await Promise.all([
+    prisma.restaurant.findFirst(),
+    prisma.menuItem.findMany({
+      where: { id: { in: menuItemIds } },
+      include: {
+        category: true,
+        translations: { where: { language } }
+      }
+    }),
+    prisma.sauce.findMany({
+      where: { slug: { in: sauceSlugs }, isActive: true },
+      include: { translations: { where: { language } } }
+    }),
+    prisma.friesOption.findMany({
+      where: { slug: { in: friesSlugs }, isActive: true },
+      include: { translations: { where: { language } } }
+    })
+  ]);
+
+  const lineItems = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const menuItem = menuItems.find(mi => mi.id === item.menuItemId);
+    const friesOption = friesOptions.find(option => option.slug === item.friesUpgrade);
+    const sauce = sauces.find(s => s.slug === item.selectedSauce);
+
+    const problems = validateLineItem(item, { menuItem, friesOption, sauce, orderType });
+
+    if (problems.length > 0) {
+      problems.forEach(problem => errors.push({ index, menuItemId: item.menuItemId, ...problem }));
+      return;
+    }
+
+    lineItems.push(priceLineItem(item, menuItem, friesOption, sauce, index));
+  });
+
+  const subtotal = roundMoney(lineItems.reduce((sum, line) => sum + line.totalPrice, 0));
+
+  let zone = orderType === 'DELIVERY' ? deliveryZone : null;
+  let deliveryAddress = null;
+  if (orderType === 'DELIVERY' && !zone && address?.line) {
+    const resolved = await resolveDeliveryZone(prisma, address.line, address);
+    zone = resolved.zone;
+    deliveryAddress = resolved.address;
+
+    if (resolved.configured && !zone) {
+      errors.push({
+        index: null,
+        menuItemId: null,
+        code: 'OUTSIDE_DELIVERY_AREA',
+        error: 'Unfortunately we do not deliver to this address'
+      });
+    }
+  }
+
+  const minimumOrder = getMinimumOrder(orderType, restaurant, zone);
+  if (subtotal < minimumOrder) {
+    errors.push({
+      index: null,
+      menuItemId: null,
+      code: 'BELOW_MINIMUM_ORDER',
+      error: `Minimum order for delivery is €${minimumOrder.toFixed(2)}`
+    });
+  }
+
+  const deliveryFee = getDeliveryFee(orderType, restaurant, zone, subtotal);
+
+  let promotion = null;
+  let discount = 0;
+  if (promoCode) {
+    const promo = await applyPromoCode(prisma, promoCode, { lineItems, subtotal, deliveryFee, customer, ...promoOptions });
+
+    if (promo.error) {
+      errors.push({ index: null, menuItemId: null, code: promo.code, error: promo.error });
+    } else {
+      promotion = promo.promotion;
+      discount = promo.discount;
+    }
+  }
+
+  let loyalty = null;
+  if (redeemPoints) {
+    const redemption = await calculateRedemption(prisma, {
+      customerId: customer.id,
+      points: redeemPoints,
+      maxAmount: roundMoney(subtotal + deliveryFee - discount)
+    });
+
+    if (redemption.error) {
+      errors.push({ index: null, menuItemId: null, code: redemption.code, error: redemption.error });
+    } else {
+      loyalty = redemption;
+    }
+  }
+
+  const loyaltyDiscount = loyalty ? loyalty.amount : 0;
+  const total = roundMoney(subtotal + deliveryFee - discount - loyaltyDiscount);
+
+  const tipCheck = validateTip(tip);
+  if (tipCheck.error) {
+    errors.push({ index: null, menuItemId: null, code: tipCheck.code, error: tipCheck.error });
+  }
+  const tipAmount = tipCheck.tip || 0;
+
+  return {
+    lineItems,
+    orderItems: lineItems.map(toOrderItemData),
+    invoiceItems: lineItems.map(toInvoiceItem),
+    subtotal,
+    deliveryFee,
+    discount,
+    loyaltyDiscount,
+    loyaltyPointsRedeemed: loyalty ? loyalty.points : 0,
+    total,
+    tip: tipAmount,
+    amountDue: roundMoney(total + tipAmount),
+    promotion: promotion ? {
+      id: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type
+    } : null,
+    deliveryZone: zone ? {
+      id: zone.id,
+      name: zone.name,
+      estimatedMinutes: zone.estimatedMinutes,
+      freeDeliveryThreshold: zone.freeDeliveryThreshold
+    } : null,
+    deliveryAddress,
+    minimumOrder,
+    errors
+  };
+}
+
+module.exports = {
+  priceOrder,
+  roundMoney,
+  EXTRA_PRICE
+};
@@ -0,0 +1,206 @@
+/**
+ * Palace Cafe & Street Food - Scheduled Order Slots
+ * Offers pickup/delivery slots inside opening hours, validates requested
+ * times and decides when scheduled orders are released to the kitchen
+ */
+
+const { getSettings } = require('./settings');
+const {
+  getOpenIntervals,
+  getPausedUntil,
+  getScheduleStatus,
+  getClosedMessage,
+  toLocalDateString
+} = require('./restaurant-schedule');
+const { filterFullSlots } = require('./order-capacity');
+
+// Used when no opening hours are configured, the restaurant is then treated as always open
+const ALWAYS_OPEN_HOURS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+  .reduce((hours, day) => ({ ...hours, [day]: [{ open: '00:00', close: '00:00' }] }), {});
+
+const SLOT_DEFAULTS = {
+  slot_interval_minutes: 15,
+  scheduled_min_lead_minutes_pickup: 30,
+  scheduled_min_lead_minutes_delivery: 60,
+  scheduled_max_days_ahead: 7,
+  scheduled_release_lead_minutes: 45 // How long before the slot the order reaches the kitchen
+};
+
+/**
+ * Load slot settings
+ */
+async function getSlotSettings(prisma) {
+  return getSettings(prisma, SLOT_DEFAULTS);
+}
+
+/**
+ * List every bookable slot for an order type
+ * A slot must lie inside an open interval, at least the minimum lead time after
+ * both now and the interval opening, after any active kitchen pause, and must not
+ * be fully booked.
+ */
+async function getAvailableSlots(prisma, { orderType, now = new Date() }) {
+  const [restaurant, settings, pausedUntil] = await Promise.all([
+    prisma.restaurant.findFirst(),
+    getSlotSettings(prisma),
+    getPausedUntil(prisma, now)
+  ]);
+
+  const intervalMs = settings.slot_interval_minutes * 60000;
+  const leadMinutes = orderType === 'DELIVERY'
+    ? settings.scheduled_min_lead_minutes_delivery
+    : settings.scheduled_min_lead_minutes_pickup;
+  const leadMs = leadMinutes * 60000;
+  const earliest = Math.max(now.getTime(), pausedUntil ? pausedUntil.getTime() : 0) + leadMs;
+  const latest = now.getTime() + settings.scheduled_max_days_ahead * 24 * 60 * 60000;
+
+  const slots = [];
+  getOpenIntervals(restaurant?.openingHours || ALWAYS_OPEN_HOURS, now, settings.scheduled_max_days_ahead).forEach(interval => {
+    const from = Math.max(earliest, interval.start.getTime() + leadMs);
+    const to = Math.min(latest, interval.end.getTime());
+
+    // Align to whole slot boundaries
+    for (let time = Math.ceil(from / intervalMs) * intervalMs; time <= to; time += intervalMs) {
+      slots.push(new Date(time));
+    }
+  });
+
+  // Overlapping intervals may produce duplicates
+  const uniqueSlots = [...new Set(slots.map(slot => slot.getTime()))].map(time => new Date(time));
+  return filterFullSlots(prisma, uniqueSlots);
+}
+
+/**
+ * Group slots by local calendar date for display
+ */
+function groupSlotsByDate(slots) {
+  const days = {};
+  slots.forEach(slot => {
+    const date = toLocalDateString(slot);
+    if (!days[date]) days[date] = { date, slots: [] };
+    days[date].slots.push(slot.toISOString());
+  });
+  return Object.values(days);
+}
+
+/**
+ * Validate a requested scheduled time against the offered slots
+ * Returns { scheduledFor } on success or { error } when the time can't be booked
+ */
+async function validateScheduledFor(prisma, { orderType, scheduledFor, now = new Date() }) {
+  const requested = new Date(scheduledFor);
+
+  if (Number.isNaN(requested.getTime())) {
+    return { error: 'Invalid scheduled time' };
+  }
+
+  const slots = await getAvailableSlots(prisma, { orderType, now });
+  const slot = slots.find(s => s.getTime() === requested.getTime());
+
+  if (!slot) {
+    return { error: 'The selected time slot is not available, please choose another time' };
+  }
+
+  return { scheduledFor: slot };
+}
+
+/**
+ * Check that an order can be placed now
+ * ASAP orders need the restaurant to be open, scheduled orders need a bookable slot.
+ * Returns { scheduledFor } (null for ASAP) or { error, statusCode, data }.
+ */
+async function checkOrderTiming(prisma, { orderType, scheduledFor, now = new Date() }) {
+  if (scheduledFor) {
+    const slotCheck = await validateScheduledFor(prisma, { orderType, scheduledFor, now });
+    if (slotCheck.error) {
+      return { error: slotCheck.error, statusCode: 400, data: { reason: 'INVALID_SLOT' } };
+    }
+    return { scheduledFor: slotCheck.scheduledFor };
+  }
+
+  const schedule = await getScheduleStatus(prisma, now);
+  if (!schedule.isOpen) {
+    return {
+      error: getClosedMessage(schedule),
+      statusCode: 409,
+      data: {
+        reason: schedule.reason,
+        nextOpeningAt: schedule.nextOpeningAt
+      }
+    };
+  }
+
+  return { scheduledFor: null };
+}
+
+/**
+ * When a scheduled order should appear on the active board
+ */
+function getReleaseTime(scheduledFor, settings) {
+  return new Date(scheduledFor.getTime() - settings.scheduled_release_lead_minutes * 60000);
+}
+
+/**
+ * Decide the releasedAt value for a new order
+ * ASAP orders and orders already inside the release window go to the kitchen immediately
+ */
+async function getInitialReleasedAt(prisma, scheduledFor, now = new Date()) {
+  if (!scheduledFor) return now;
+
+  const settings = await getSlotSettings(prisma);
+  return getReleaseTime(new Date(scheduledFor), settings) <= now ? now : null;
+}
+
+/**
+ * Release scheduled orders whose release time has come
+ * Returns the released orders with their items for the newOrder event.
+ */
+async function releaseDueScheduledOrders(prisma, now = new Date()) {
+  const settings = await getSlotSettings(prisma);
+  const releaseBefore = new Date(now.getTime() + settings.scheduled_release_lead_minutes * 60000);
+
+  const dueOrders = await prisma.order.findMany({
+    where: {
+      releasedAt: null,
+      scheduledFor: { not: null, lte: releaseBefore },
+      status: { in: ['PENDING', 'CONFIRMED', 'PREPARING'] }
+    },
+    select: { id: true }
+  });
+
+  const released = [];
+  for (const { id } of dueOrders) {
+    // Guard against a second server instance releasing the same order
+    const updated = await prisma.order.updateMany({
+      where: { id, releasedAt: null },
+      data: { releasedAt: now }
+    });
+
+    if (updated.count === 1) {
+      released.push(await prisma.order.findUnique({
+        where: { id },
+        include: {
+          items: {
+            include: {
+              menuItem: {
+                include: { translations: { where: { language: 'hu' } } }
+              }
+            }
+          }
+        }
+      }));
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  getSlotSettings,
+  getAvailableSlots,
+  groupSlotsByDate,
+  validateScheduledFor,
+  checkOrderTiming,
+  getInitialReleasedAt,
+  releaseDueScheduledOrders
+};
@@ -0,0 +1,133 @@
+/**
+ * Palace Cafe & Street Food - Order Status
+ * Allowed status transitions per order type and the single place
+ * where order status changes are written and recorded in history
+ */
+
+// Allowed transitions for pickup orders
+const PICKUP_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PREPARING', 'READY', 'CANCELLED'],
+  PREPARING: ['READY', 'CANCELLED'],
+  READY: ['DELIVERED', 'CANCELLED'],
+  OUT_FOR_DELIVERY: [],
+  DELIVERED: ['REFUNDED'],
+  CANCELLED: ['REFUNDED'],
+  REFUNDED: []
+};
+
+// Allowed transitions for delivery orders
+const DELIVERY_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PREPARING', 'READY', 'CANCELLED'],
+  PREPARING: ['READY', 'CANCELLED'],
+  READY: ['OUT_FOR_DELIVERY', 'CANCELLED'],
+  OUT_FOR_DELIVERY: ['DELIVERED', 'READY', 'CANCELLED'], // Back to READY when the delivery failed
+  DELIVERED: ['REFUNDED'],
+  CANCELLED: ['REFUNDED'],
+  REFUNDED: []
+};
+
+const ORDER_STATUS_TRANSITIONS = {
+  PICKUP: PICKUP_TRANSITIONS,
+  DELIVERY: DELIVERY_TRANSITIONS
+};
+
+const STATUS_CONFLICT_ERROR = 'Order status was changed by someone else, please reload';
+
+/**
+ * Check whether an order of the given type may move between two statuses
+ */
+function canTransition(orderType, fromStatus, toStatus) {
+  const transitions = ORDER_STATUS_TRANSITIONS[orderType] || {};
+  return (transitions[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Timestamp fields written when an order enters a status
+ */
+function getStatusTimestamps(order, toStatus, now) {
+  switch (toStatus) {
+    case 'CONFIRMED':
+      // Card orders are confirmed by payment already, keep that time
+      return order.confirmedAt ? { acceptedAt: now } : { acceptedAt: now, confirmedAt: now };
+    case 'READY':
+      // A failed delivery comes back to READY, keep when the kitchen finished it
+      return order.readyAt ? {} : { readyAt: now };
+    case 'DELIVERED':
+      return { deliveredAt: now };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Write an already checked status change and its history row inside a transaction
+ * For callers that change more than the status in the same transaction. Returns the
+ * updated order, or null when the status changed since `order` was read.
+ */
+async function writeStatusChange(tx, order, toStatus, { adminId = null, reason = null, data = {}, now = new Date() } = {}) {
+  // Only update if nobody changed the status since we read it
+  const updated = await tx.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: {
+      ...data,
+      ...getStatusTimestamps(order, toStatus, now),
+      status: toStatus
+    }
+  });
+
+  if (updated.count === 0) {
+    return null;
+  }
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      adminId,
+      reason,
+      createdAt: now
+    }
+  });
+
+  return tx.order.findUnique({ where: { id: order.id } });
+}
+
+/**
+ * Move an order to a new status
+ * Rejects transitions that are not in the table for the order's type and
+ * records every change in OrderStatusHistory. Returns { order } on success
+ * or { error, statusCode } when the change is not allowed.
+ */
+async function transitionOrderStatus(prisma, orderId, toStatus, { adminId = null, reason = null, data = {} } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+
+  if (!order) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  if (!canTransition(order.orderType, order.status, toStatus)) {
+    return {
+      error: `Cannot change ${order.orderType.toLowerCase()} order from ${order.status} to ${toStatus}`,
+      statusCode: 409
+    };
+  }
+
+  const updatedOrder = await prisma.$transaction(tx => writeStatusChange(tx, order, toStatus, { adminId, reason, data }));
+
+  if (!updatedOrder) {
+    return { error: STATUS_CONFLICT_ERROR, statusCode: 409 };
+  }
+
+  return { order: updatedOrder, previousStatus: order.status };
+}
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  STATUS_CONFLICT_ERROR,
+  canTransition,
+  writeStatusChange,
+  transitionOrderStatus
+};
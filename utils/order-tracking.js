@@ -0,0 +1,73 @@
+/**
+ * Palace Cafe & Street Food - Order Tracking
+ * Tracking tokens that let a customer follow their own order live over Socket.io
+ *
+ * The token is an HMAC of the order number, so it needs no storage and works for
+ * orders placed before tokens existed. Only whoever placed the order receives it.
+ */
+
+const crypto = require('crypto');
+const { getJwtSecret } = require('./customer-auth');
+
+// Fields of an order update a tracking customer receives
+const TRACKING_FIELDS = [
+  'orderNumber',
+  'status',
+  'paymentStatus',
+  'estimatedTime',
+  'confirmedAt',
+  'readyAt',
+  'deliveredAt',
+  'subtotal',
+  'deliveryFee',
+  'discount',
+  'total',
+  'items'
+];
+
+/**
+ * Tracking token of an order
+ */
+function getTrackingToken(orderNumber) {
+  return crypto
+    .createHmac('sha256', getJwtSecret())
+    .update(`order-tracking:${orderNumber}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Check a tracking token against an order number
+ */
+function verifyTrackingToken(orderNumber, token) {
+  if (typeof orderNumber !== 'string' || typeof token !== 'string') return false;
+
+  const expected = Buffer.from(getTrackingToken(orderNumber));
+  const given = Buffer.from(token);
+
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Socket.io room of the customers tracking an order
+ */
+function getOrderRoom(orderNumber) {
+  return `order:${orderNumber}`;
+}
+
+/**
+ * Strip an order update down to what the customer tracking it may see
+ */
+function toTrackingUpdate(update) {
+  return TRACKING_FIELDS.reduce((tracked, field) => {
+    if (update[field] !== undefined) tracked[field] = update[field];
+    return tracked;
+  }, {});
+}
+
+module.exports = {
+  getTrackingToken,
+  verifyTrackingToken,
+  getOrderRoom,
+  toTrackingUpdate
+};
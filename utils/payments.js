@@ -0,0 +1,186 @@
+/**
+ * Palace Cafe & Street Food - Payments
+ * Payment rows recorded for every order and the order payment status derived from them
+ *
+ * Cash (and other pay-on-collection) orders start with a PENDING payment that staff
+ * mark collected; Stripe orders get a COMPLETED payment with the gateway response.
+ */
+
+/**
+ * Round a money amount to cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Payment row for a new order paid on pickup or delivery
+ */
+function getPendingPaymentData(paymentMethod, amount) {
+  return {
+    paymentMethod,
+    status: 'PENDING',
+    amount,
+    currency: 'EUR'
+  };
+}
+
+/**
+ * Payment row for a new order paid through Stripe
+ */
+function getStripePaymentData(paymentIntent, amount) {
+  return {
+    paymentMethod: 'CARD',
+    status: 'COMPLETED',
+    amount,
+    currency: 'EUR',
+    transactionId: paymentIntent.id,
+    gatewayResponse: {
+      stripe_payment_intent: paymentIntent.id,
+      stripe_customer: paymentIntent.customer,
+      payment_method: paymentIntent.payment_method,
+      latest_charge: paymentIntent.latest_charge,
+      status: paymentIntent.status,
+      amount_received: paymentIntent.amount_received
+    }
+  };
+}
+
+/**
+ * Order payment status from its payment rows
+ * Any payment still held makes the order paid; a refunded order has only refunded
+ * (or failed) payments left; failed means every attempt failed.
+ */
+function derivePaymentStatus(payments) {
+  const statuses = payments.map(payment => payment.status);
+
+  if (statuses.includes('COMPLETED')) return 'COMPLETED';
+  if (statuses.includes('PENDING')) return 'PENDING';
+  if (statuses.includes('REFUNDED')) return 'REFUNDED';
+  if (statuses.includes('FAILED')) return 'FAILED';
+  return 'PENDING';
+}
+
+/**
+ * Recalculate and store an order's payment status, returns the updated order
+ */
+async function syncOrderPaymentStatus(prisma, orderId) {
+  const payments = await prisma.payment.findMany({ where: { orderId } });
+
+  return prisma.order.update({
+    where: { id: orderId },
+    data: { paymentStatus: derivePaymentStatus(payments) }
+  });
+}
+
+/**
+ * Mark the uncollected payment of an order as collected by staff
+ * Orders placed before payments were recorded get a collected payment for their total.
+ * Returns { payment, order } or { error, statusCode }.
+ */
+async function markPaymentCollected(prisma, orderId, { adminId }) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { payments: true }
+  });
+
+  if (!order) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  if (['CANCELLED', 'REFUNDED'].includes(order.status)) {
+    return { error: `Cannot collect payment for a ${order.status.toLowerCase()} order`, statusCode: 409 };
+  }
+
+  const pending = order.payments.find(payment => payment.status === 'PENDING' && !payment.transactionId);
+  const collectedData = { status: 'COMPLETED', collectedAt: new Date(), collectedById: adminId };
+  let payment;
+
+  if (pending) {
+    // Only update if nobody collected it since we read it
+    const claimed = await prisma.payment.updateMany({
+      where: { id: pending.id, status: 'PENDING' },
+      data: collectedData
+    });
+    if (claimed.count === 0) {
+      return { error: 'Payment was already collected', statusCode: 409 };
+    }
+    payment = await prisma.payment.findUnique({ where: { id: pending.id } });
+  } else if (order.payments.length === 0) {
+    payment = await prisma.payment.create({
+      data: {
+        orderId,
+        ...getPendingPaymentData(order.paymentMethod, order.total),
+        ...collectedData
+      }
+    });
+  } else {
+    return { error: 'This order has no payment waiting to be collected', statusCode: 409 };
+  }
+
+  const updatedOrder = await syncOrderPaymentStatus(prisma, orderId);
+  return { payment, order: updatedOrder };
+}
+
+/**
+ * Void uncollected payments of a cancelled or refunded order, returns the number voided
+ */
+async function voidPendingPayments(prisma, order) {
+  if (!['CANCELLED', 'REFUNDED'].includes(order.status)) return 0;
+
+  const voided = await prisma.payment.updateMany({
+    where: { orderId: order.id, status: 'PENDING' },
+    data: { status: 'FAILED' }
+  });
+
+  if (voided.count > 0) {
+    await syncOrderPaymentStatus(prisma, order.id);
+  }
+
+  return voided.count;
+}
+
+/**
+ * Bring an edited order's payments in line with its new amount due
+ * The uncollected payment takes whatever is still owed; an order that was already
+ * paid (e.g. by card) gets a new uncollected cash payment for any increase.
+ * Returns { outstanding, overpaid }, overpaid being what can be refunded.
+ */
+async function adjustPaymentsForEdit(prisma, orderId, amountDue) {
+  const payments = await prisma.payment.findMany({ where: { orderId } });
+
+  const paid = payments
+    .filter(payment => ['COMPLETED', 'REFUNDED'].includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0);
+  const owed = roundMoney(amountDue - paid);
+  const pending = payments.find(payment => payment.status === 'PENDING' && !payment.transactionId);
+
+  if (pending && owed > 0) {
+    await prisma.payment.update({ where: { id: pending.id }, data: { amount: owed } });
+  } else if (pending) {
+    // Nothing left to collect
+    await prisma.payment.update({ where: { id: pending.id }, data: { status: 'FAILED' } });
+  } else if (owed > 0) {
+    await prisma.payment.create({
+      data: { orderId, ...getPendingPaymentData('CASH', owed) }
+    });
+  }
+
+  await syncOrderPaymentStatus(prisma, orderId);
+
+  return {
+    outstanding: Math.max(0, owed),
+    overpaid: Math.max(0, -owed)
+  };
+}
+
+module.exports = {
+  roundMoney,
+  getPendingPaymentData,
+  getStripePaymentData,
+  derivePaymentStatus,
+  syncOrderPaymentStatus,
+  markPaymentCollected,
+  voidPendingPayments,
+  adjustPaymentsForEdit
+};
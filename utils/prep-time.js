@@ -0,0 +1,218 @@
+/**
+ * Palace Cafe & Street Food - Preparation Time
+ * Estimates how long an order takes from the items in it, the current kitchen
+ * queue and how long orders actually took recently
+ *
+ * Items are made in parallel, so an order takes as long as its slowest item. When
+ * enough recent orders exist, their median accepted-to-ready time is averaged in.
+ * Every order already in the kitchen adds a few minutes. Delivery orders add the
+ * travel time and never get an ETA below their zone's estimate.
+ */
+
+const { getSettings } = require('./settings');
+
+const PREP_DEFAULTS = {
+  prep_minutes_per_queued_order: 3,
+  prep_history_days: 14,
+  prep_history_min_orders: 10,
+  delivery_travel_minutes: 15
+};
+
+// Order statuses counted as kitchen load
+const QUEUE_STATUSES = ['CONFIRMED', 'PREPARING'];
+
+const DEFAULT_ITEM_PREP_MINUTES = 15;
+
+// Smaller ETA changes are not worth telling the customer about
+const MIN_ETA_CHANGE_MINUTES = 5;
+
+/**
+ * Load preparation time settings
+ */
+async function getPrepSettings(prisma) {
+  return getSettings(prisma, PREP_DEFAULTS);
+}
+
+/**
+ * Round minutes up to the next 5
+ */
+function roundUpToFive(minutes) {
+  return Math.ceil(minutes / 5) * 5;
+}
+
+/**
+ * Preparation time of the slowest of some menu items
+ */
+async function getItemPrepMinutes(prisma, menuItemIds) {
+  if (menuItemIds.length === 0) return DEFAULT_ITEM_PREP_MINUTES;
+
+  const slowest = await prisma.menuItem.aggregate({
+    where: { id: { in: menuItemIds } },
+    _max: { preparationTime: true }
+  });
+
+  return slowest._max.preparationTime || DEFAULT_ITEM_PREP_MINUTES;
+}
+
+/**
+ * Median accepted-to-ready minutes of recent orders, null without enough history
+ */
+async function getHistoricalPrepMinutes(prisma, settings, now = new Date()) {
+  const orders = await prisma.order.findMany({
+    where: {
+      acceptedAt: { not: null },
+      readyAt: { gte: new Date(now.getTime() - settings.prep_history_days * 24 * 60 * 60000) },
+      scheduledFor: null // Scheduled orders wait for their slot, not for the kitchen
+    },
+    select: { acceptedAt: true, readyAt: true },
+    orderBy: { readyAt: 'desc' },
+    take: 500
+  });
+
+  const durations = orders
+    .map(order => (order.readyAt - order.acceptedAt) / 60000)
+    .filter(minutes => minutes > 0)
+    .sort((a, b) => a - b);
+
+  if (durations.length < settings.prep_history_min_orders) return null;
+
+  const middle = Math.floor(durations.length / 2);
+  return durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+}
+
+/**
+ * Number of orders the kitchen is working on, optionally leaving one out
+ */
+async function getQueueLength(prisma, excludeOrderId = null) {
+  return prisma.order.count({
+    where: {
+      status: { in: QUEUE_STATUSES },
+      releasedAt: { not: null },
+      ...(excludeOrderId && { id: { not: excludeOrderId } })
+    }
+  });
+}
+
+/**
+ * Settings, recent history and kitchen queue shared by every estimate made at one time
+ */
+async function getKitchenContext(prisma, { excludeOrderId = null, now = new Date() } = {}) {
+  const settings = await getPrepSettings(prisma);
+  const [historicalMinutes, queueLength] = await Promise.all([
+    getHistoricalPrepMinutes(prisma, settings, now),
+    getQueueLength(prisma, excludeOrderId)
+  ]);
+
+  return { settings, historicalMinutes, queueLength };
+}
+
+/**
+ * Estimate minutes until an order is ready or delivered
+ * `deliveryZone` is the zone of a delivery order ({ estimatedMinutes }), if known.
+ * `context` reuses a getKitchenContext result when estimating several orders at once.
+ * Returns { minutes, estimatedTime, breakdown }.
+ */
+async function estimateOrderMinutes(prisma, { menuItemIds, orderType, deliveryZone = null, excludeOrderId = null, now = new Date(), context = null }) {
+  const [itemMinutes, { settings, historicalMinutes, queueLength }] = await Promise.all([
+    getItemPrepMinutes(prisma, [...new Set(menuItemIds)]),
+    context || getKitchenContext(prisma, { excludeOrderId, now })
+  ]);
+
+  const baseMinutes = historicalMinutes !== null ? (itemMinutes + historicalMinutes) / 2 : itemMinutes;
+  const loadMinutes = queueLength * settings.prep_minutes_per_queued_order;
+  const prepMinutes = baseMinutes + loadMinutes;
+
+  let minutes = prepMinutes;
+  if (orderType === 'DELIVERY') {
+    minutes = Math.max(prepMinutes + settings.delivery_travel_minutes, deliveryZone?.estimatedMinutes || 0);
+  }
+  minutes = roundUpToFive(minutes);
+
+  return {
+    minutes,
+    estimatedTime: new Date(now.getTime() + minutes * 60000),
+    breakdown: {
+      itemMinutes,
+      historicalMinutes: historicalMinutes !== null ? Math.round(historicalMinutes) : null,
+      queueLength,
+      loadMinutes,
+      travelMinutes: orderType === 'DELIVERY' ? settings.delivery_travel_minutes : 0
+    }
+  };
+}
+
+/**
+ * Estimate for an existing order, e.g. to suggest the minutes when accepting it
+ */
+async function estimateForOrder(prisma, orderId, now = new Date()) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: { select: { menuItemId: true } }, deliveryZone: true }
+  });
+
+  if (!order) return null;
+
+  return estimateOrderMinutes(prisma, {
+    menuItemIds: order.items.map(item => item.menuItemId),
+    orderType: order.orderType,
+    deliveryZone: order.deliveryZone,
+    excludeOrderId: order.id,
+    now
+  });
+}
+
+/**
+ * Re-estimate the orders still waiting to be accepted
+ * Accepted orders keep the time staff promised; scheduled orders keep their slot.
+ * Returns the orders whose ETA moved.
+ */
+async function refreshPendingEtas(prisma, now = new Date()) {
+  const pending = await prisma.order.findMany({
+    where: { status: 'PENDING', scheduledFor: null, releasedAt: { not: null } },
+    select: {
+      id: true,
+      orderType: true,
+      estimatedTime: true,
+      items: { select: { menuItemId: true } },
+      deliveryZone: true
+    }
+  });
+
+  if (pending.length === 0) return [];
+
+  // Pending orders are not in the kitchen queue, so one queue count fits them all
+  const context = await getKitchenContext(prisma, { now });
+  const changed = [];
+
+  for (const { id, orderType, estimatedTime, items, deliveryZone } of pending) {
+    const estimate = await estimateOrderMinutes(prisma, {
+      menuItemIds: items.map(item => item.menuItemId),
+      orderType,
+      deliveryZone,
+      now,
+      context
+    });
+
+    const shift = Math.abs(estimate.estimatedTime - (estimatedTime || 0)) / 60000;
+    if (shift < MIN_ETA_CHANGE_MINUTES) continue;
+
+    // Only update if it is still waiting
+    const updated = await prisma.order.updateMany({
+      where: { id, status: 'PENDING' },
+      data: { estimatedTime: estimate.estimatedTime }
+    });
+
+    if (updated.count > 0) {
+      changed.push(await prisma.order.findUnique({ where: { id } }));
+    }
+  }
+
+  return changed;
+}
+
+module.exports = {
+  PREP_DEFAULTS,
+  estimateOrderMinutes,
+  estimateForOrder,
+  refreshPendingEtas
+};
@@ -0,0 +1,281 @@
+/**
+ * Palace Cafe & Street Food - Printing
+ * Kitchen tickets and customer receipts for the configured ESC/POS printers
+ *
+ * Printers are reached over raw TCP (port 9100 on most network printers). With
+ * PRINTER_OUTPUT_DIR set, every print job is written there as a .bin file instead,
+ * which stands in for real printers when testing.
+ */
+
+const net = require('net');
+const fs = require('fs').promises;
+const path = require('path');
+const { createDocument } = require('./escpos');
+const { TIMEZONE } = require('./restaurant-schedule');
+const { TICKET_ITEMS_INCLUDE, groupTicketItems } = require('./kitchen-stations');
+
+const PRINT_TIMEOUT_MS = 5000;
+
+const PRINT_DOCUMENTS = ['ticket', 'receipt'];
+
+// Kitchen tickets are read by the kitchen crew (Hungarian), receipts by customers (Slovak)
+const TICKET_ORDER_TYPES = { DELIVERY: 'KISZÁLLÍTÁS', PICKUP: 'ELVITEL' };
+const RECEIPT_PAYMENT_METHODS = { CASH: 'Hotovosť', CARD: 'Karta', ONLINE: 'Online' };
+
+/**
+ * Date and time in the restaurant timezone
+ */
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('sk-SK', {
+    timeZone: TIMEZONE,
+    day: 'numeric',
+    month: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Money amount as printed on receipts
+ */
+function formatMoney(amount) {
+  return `${amount.toFixed(2)} €`;
+}
+
+/**
+ * Kitchen ticket for an order, or for one station's part of it
+ */
+function renderKitchenTicket(order, items, printer, station = null) {
+  const doc = createDocument({ codePage: printer.codePage, width: printer.paperWidth });
+
+  doc.align('center').bold().size(2)
+    .line(order.orderNumber)
+    .line(TICKET_ORDER_TYPES[order.orderType] || order.orderType)
+    .size(1).bold(false)
+    .line(formatDateTime(order.createdAt));
+
+  if (order.scheduledFor) {
+    doc.bold().line(`Időzített: ${formatDateTime(order.scheduledFor)}`).bold(false);
+  }
+  if (station) {
+    doc.line(`Állomás: ${station.name}`);
+  }
+
+  doc.align('left').rule();
+
+  items.forEach(item => {
+    doc.bold().size(2).wrapped(`${item.quantity}x ${item.name}`).size(1).bold(false);
+    if (item.sauce) doc.wrapped(`Szósz: ${item.sauce}`, 2);
+    if (item.fries) doc.wrapped(`Krumpli: ${item.fries}`, 2);
+    if (item.extras.length > 0) doc.wrapped(`Extrák: ${item.extras.join(', ')}`, 2);
+    if (item.removeItems.length > 0) doc.bold().wrapped(`Elhagyva: ${item.removeItems.join(', ')}`, 2).bold(false);
+    if (item.specialNotes) doc.wrapped(`! ${item.specialNotes}`, 2);
+    doc.line();
+  });
+
+  if (order.specialNotes) {
+    doc.rule().bold().line('Megjegyzés:').bold(false).wrapped(order.specialNotes);
+  }
+
+  return doc.feed(3).cut().toBuffer();
+}
+
+/**
+ * Customer receipt for an order
+ */
+function renderReceipt(order, items, restaurant, printer, invoice = null) {
+  const doc = createDocument({ codePage: printer.codePage, width: printer.paperWidth });
+
+  doc.align('center').bold().size(2).line(restaurant?.name || 'Palace Cafe').size(1).bold(false);
+  if (restaurant?.address) doc.line(restaurant.address);
+  if (restaurant?.city) doc.line([restaurant.postalCode, restaurant.city].filter(Boolean).join(' '));
+  if (restaurant?.phone) doc.line(`Tel: ${restaurant.phone}`);
+  if (restaurant?.ico) doc.line(`IČO: ${restaurant.ico}`);
+  if (restaurant?.dic) doc.line(`DIČ: ${restaurant.dic}`);
+
+  doc.align('left').rule()
+    .line(`Objednávka: ${order.orderNumber}`)
+    .line(`Dátum: ${formatDateTime(order.createdAt)}`);
+  if (invoice) doc.line(`Faktúra: ${invoice.invoiceNumber}`);
+  doc.rule();
+
+  items.forEach(item => {
+    doc.columns(`${item.quantity}x ${item.name}`, formatMoney(item.totalPrice));
+    const options = [item.sauce, item.fries, ...item.extras].filter(Boolean);
+    if (options.length > 0) doc.wrapped(options.join(', '), 2);
+    if (item.removeItems.length > 0) doc.wrapped(`bez: ${item.removeItems.join(', ')}`, 2);
+  });
+
+  doc.rule().columns('Medzisúčet', formatMoney(order.subtotal));
+  if (order.deliveryFee !== 0) doc.columns('Doprava', formatMoney(order.deliveryFee));
+  if (order.discount !== 0) doc.columns('Zľava', formatMoney(-order.discount));
+  if (order.loyaltyDiscount !== 0) doc.columns('Vernostné body', formatMoney(-order.loyaltyDiscount));
+  doc.bold().columns('SPOLU', formatMoney(order.total)).bold(false);
+
+  if (order.tip > 0) {
+    doc.columns('Prepitné', formatMoney(order.tip))
+      .bold().columns('Spolu s prepitným', formatMoney(order.total + order.tip)).bold(false);
+  }
+
+  doc.rule()
+    .columns('Platba', RECEIPT_PAYMENT_METHODS[order.paymentMethod] || order.paymentMethod)
+    .columns('Stav', order.paymentStatus === 'COMPLETED' ? 'Zaplatené' : 'Na úhradu')
+    .feed(1)
+    .align('center').line('Ďakujeme za objednávku!');
+
+  return doc.feed(3).cut().toBuffer();
+}
+
+/**
+ * Test page showing a printer's settings and accented letters
+ */
+function renderTestPage(printer) {
+  return createDocument({ codePage: printer.codePage, width: printer.paperWidth })
+    .align('center').bold().size(2).line('TEST').size(1).bold(false)
+    .line(printer.name)
+    .line(`${printer.host}:${printer.port}`)
+    .line(`${printer.codePage}, ${printer.paperWidth} znakov`)
+    .rule()
+    .line('áéíóöőúüű ÁÉÍÓÖŐÚÜŰ')
+    .line('äčďĺľňôŕšťýž ÄČĎĹĽŇÔŔŠŤÝŽ')
+    .line('1234567890 €')
+    .rule()
+    .feed(3).cut().toBuffer();
+}
+
+/**
+ * Send a print job to a printer
+ * Returns where the job went; rejects when the printer cannot be reached.
+ */
+async function sendToPrinter(printer, data, jobName) {
+  if (process.env.PRINTER_OUTPUT_DIR) {
+    const directory = path.join(process.env.PRINTER_OUTPUT_DIR, `printer-${printer.id}`);
+    await fs.mkdir(directory, { recursive: true });
+    const file = path.join(directory, `${Date.now()}-${jobName}.bin`);
+    await fs.writeFile(file, data);
+    return { file };
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: printer.host, port: printer.port });
+    socket.setTimeout(PRINT_TIMEOUT_MS);
+
+    socket.once('connect', () => {
+      socket.end(data, () => {
+        socket.destroy();
+        resolve({ address: `${printer.host}:${printer.port}` });
+      });
+    });
+    socket.once('timeout', () => {
+      socket.destroy(new Error(`Printer ${printer.name} did not respond`));
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Documents a printer produces for an order, [{ document, data }]
+ * A station printer's ticket only lists that station's items, and is skipped when
+ * the order has none.
+ */
+function renderForPrinter(printer, documents, { order, groups, restaurant, invoice }) {
+  const allItems = [...groups.values()].flat()
+    .sort((a, b) => a.orderItemId - b.orderItemId);
+  const jobs = [];
+
+  if (documents.includes('ticket')) {
+    const items = printer.stationId ? (groups.get(printer.stationId) || []) : allItems;
+    if (items.length > 0) {
+      jobs.push({ document: 'ticket', data: renderKitchenTicket(order, items, printer, printer.station) });
+    }
+  }
+
+  if (documents.includes('receipt')) {
+    const prices = new Map(order.items.map(item => [item.id, item.totalPrice]));
+    const items = allItems.map(item => ({ ...item, totalPrice: prices.get(item.orderItemId) }));
+    jobs.push({ document: 'receipt', data: renderReceipt(order, items, restaurant, printer, invoice) });
+  }
+
+  return jobs;
+}
+
+/**
+ * Print an order's tickets and receipts
+ * With `trigger` only active printers set to print automatically at that point are
+ * used; with `printerId` only that printer. `document` limits the job to a ticket or
+ * a receipt, otherwise each printer prints what it is set up for.
+ * Returns { jobs: [{ printerId, printer, document, error? }] } or { error, statusCode }.
+ */
+async function printOrder(prisma, orderId, { trigger = null, printerId = null, document = null } = {}) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: TICKET_ITEMS_INCLUDE,
+      invoices: { where: { voidedAt: null }, orderBy: { createdAt: 'desc' }, take: 1 }
+    }
+  });
+
+  if (!order) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  const printers = await prisma.printer.findMany({
+    where: {
+      isActive: true,
+      ...(printerId && { id: printerId }),
+      ...(trigger && { autoPrint: trigger })
+    },
+    include: { station: true }
+  });
+
+  if (printerId && printers.length === 0) {
+    return { error: 'Printer not found or inactive', statusCode: 404 };
+  }
+
+  const context = {
+    order,
+    groups: await groupTicketItems(prisma, order),
+    restaurant: await prisma.restaurant.findFirst(),
+    invoice: order.invoices[0] || null
+  };
+  const jobs = [];
+
+  for (const printer of printers) {
+    const documents = document
+      ? [document]
+      : PRINT_DOCUMENTS.filter(type => (type === 'ticket' ? printer.printTickets : printer.printReceipts));
+
+    for (const job of renderForPrinter(printer, documents, context)) {
+      const result = { printerId: printer.id, printer: printer.name, document: job.document };
+      try {
+        Object.assign(result, await sendToPrinter(printer, job.data, `${order.orderNumber}-${job.document}`));
+      } catch (error) {
+        result.error = error.message;
+      }
+      jobs.push(result);
+    }
+  }
+
+  return { jobs };
+}
+
+/**
+ * Print a test page, returns where it went or { error }
+ */
+async function printTestPage(printer) {
+  try {
+    return await sendToPrinter(printer, renderTestPage(printer), 'test');
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  PRINT_DOCUMENTS,
+  renderKitchenTicket,
+  renderReceipt,
+  sendToPrinter,
+  printOrder,
+  printTestPage
+};
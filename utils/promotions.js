@@ -0,0 +1,246 @@
+/**
+ * Palace Cafe & Street Food - Promotions
+ * Validates promo codes and calculates the discount they give on a priced cart
+ *
+ * Promotion types:
+ * - PERCENTAGE:    `value` percent off the eligible lines
+ * - FIXED_AMOUNT:  `value` EUR off the eligible lines
+ * - FREE_DELIVERY: the delivery fee is waived
+ * - BUY_X_GET_Y:   for every `buyQuantity` eligible units, the `getQuantity` cheapest are free
+ * Eligible lines are those matching `menuItemIds` / `categoryIds`, or the whole cart when both are empty.
+ */
+
+const PROMOTION_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT', 'FREE_DELIVERY', 'BUY_X_GET_Y'];
+
+/**
+ * Promo codes are matched case-insensitively and stored uppercase
+ */
+function normalizePromoCode(code) {
+  return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Normalize customer identifiers used for per-customer usage limits
+ */
+function normalizeCustomer({ phone, email } = {}) {
+  return {
+    phone: (phone || '').replace(/[\s\-()]/g, '') || null,
+    email: (email || '').trim().toLowerCase() || null
+  };
+}
+
+/**
+ * Round a money amount to cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Lines of the cart the promotion applies to
+ */
+function getEligibleLines(promotion, lineItems) {
+  const hasScope = promotion.menuItemIds.length > 0 || promotion.categoryIds.length > 0;
+  if (!hasScope) return lineItems;
+
+  return lineItems.filter(line =>
+    promotion.menuItemIds.includes(line.menuItemId) || promotion.categoryIds.includes(line.categoryId)
+  );
+}
+
+/**
+ * Calculate the discount a promotion gives on a priced cart
+ * Never exceeds the amount it applies to, so totals can't go negative.
+ */
+function calculatePromotionDiscount(promotion, { lineItems, deliveryFee }) {
+  const eligibleLines = getEligibleLines(promotion, lineItems);
+  const eligibleTotal = eligibleLines.reduce((sum, line) => sum + line.totalPrice, 0);
+
+  switch (promotion.type) {
+    case 'PERCENTAGE':
+      return roundMoney(eligibleTotal * Math.min(promotion.value, 100) / 100);
+
+    case 'FIXED_AMOUNT':
+      return roundMoney(Math.min(promotion.value, eligibleTotal));
+
+    case 'FREE_DELIVERY':
+      return deliveryFee;
+
+    case 'BUY_X_GET_Y': {
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const unitPrices = eligibleLines
+        .flatMap(line => Array(line.quantity).fill(line.totalPrice / line.quantity))
+        .sort((a, b) => a - b);
+      const freeUnits = Math.floor(unitPrices.length / groupSize) * promotion.getQuantity;
+      return roundMoney(unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0));
+    }
+
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Count past uses of a promotion, in total and by one customer
+ * `excludeOrderId` leaves out an order's own use, e.g. when repricing that order.
+ */
+async function countRedemptions(prisma, promotionId, customer, excludeOrderId = null) {
+  const customerFilters = [];
+  if (customer.phone) customerFilters.push({ customerPhone: customer.phone });
+  if (customer.email) customerFilters.push({ customerEmail: customer.email });
+
+  const where = { promotionId, ...(excludeOrderId && { orderId: { not: excludeOrderId } }) };
+
+  const [total, byCustomer] = await Promise.all([
+    prisma.promotionRedemption.count({ where }),
+    customerFilters.length > 0
+      ? prisma.promotionRedemption.count({ where: { ...where, OR: customerFilters } })
+      : 0
+  ]);
+
+  return { total, byCustomer };
+}
+
+/**
+ * Validate a promo code for a priced cart and calculate its discount
+ * When repricing an existing order pass its id as `excludeOrderId`, so its own use
+ * does not count against the limits, and its creation time as `now`.
+ * Returns { promotion, discount } or { code, error } when the code can't be used.
+ */
+async function applyPromoCode(prisma, promoCode, {
+  lineItems,
+  subtotal,
+  deliveryFee,
+  customer = {},
+  now = new Date(),
+  excludeOrderId = null
+}) {
+  const code = normalizePromoCode(promoCode);
+  const promotion = await prisma.promotion.findUnique({ where: { code } });
+
+  if (!promotion || !promotion.isActive) {
+    return { code: 'INVALID_PROMO_CODE', error: 'This promo code is not valid' };
+  }
+
+  if ((promotion.validFrom && now < promotion.validFrom) || (promotion.validUntil && now > promotion.validUntil)) {
+    return { code: 'PROMO_EXPIRED', error: 'This promo code is not valid at this time' };
+  }
+
+  if (subtotal < promotion.minimumOrder) {
+    return {
+      code: 'PROMO_MINIMUM_NOT_MET',
+      error: `This promo code requires a minimum order of €${promotion.minimumOrder.toFixed(2)}`
+    };
+  }
+
+  const normalizedCustomer = normalizeCustomer(customer);
+  const usage = await countRedemptions(prisma, promotion.id, normalizedCustomer, excludeOrderId);
+  const totalUses = excludeOrderId ? usage.total : Math.max(usage.total, promotion.usesCount);
+
+  if (promotion.maxUses !== null && totalUses >= promotion.maxUses) {
+    return { code: 'PROMO_USAGE_LIMIT', error: 'This promo code has already been used up' };
+  }
+
+  if (promotion.maxUsesPerCustomer !== null && usage.byCustomer >= promotion.maxUsesPerCustomer) {
+    return { code: 'PROMO_USAGE_LIMIT', error: 'You have already used this promo code' };
+  }
+
+  const discount = calculatePromotionDiscount(promotion, { lineItems, deliveryFee });
+  if (discount <= 0) {
+    return { code: 'PROMO_NOT_APPLICABLE', error: 'This promo code does not apply to your order' };
+  }
+
+  return { promotion, discount };
+}
+
+/**
+ * Claim one use of a promotion inside the transaction that creates the order
+ * The usage counter only moves while under `maxUses`, and the promotion row stays
+ * locked until the transaction ends, so concurrent checkouts with the same code
+ * are counted one after the other. With `enforceLimits` false (the customer already
+ * paid the discounted price) the use is only counted. Returns {} or { code, error }.
+ */
+async function claimPromotionUse(tx, promotion, customer, { enforceLimits = true } = {}) {
+  if (!promotion) return {};
+
+  const claimed = await tx.promotion.updateMany({
+    where: {
+      id: promotion.id,
+      ...(enforceLimits && promotion.maxUses !== null && { usesCount: { lt: promotion.maxUses } })
+    },
+    data: { usesCount: { increment: 1 } }
+  });
+
+  if (claimed.count === 0) {
+    return { code: 'PROMO_USAGE_LIMIT', error: 'This promo code has already been used up' };
+  }
+
+  if (enforceLimits && promotion.maxUsesPerCustomer !== null) {
+    const usage = await countRedemptions(tx, promotion.id, normalizeCustomer(customer));
+    if (usage.byCustomer >= promotion.maxUsesPerCustomer) {
+      return { code: 'PROMO_USAGE_LIMIT', error: 'You have already used this promo code' };
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Nested create for the redemption row of a new order, undefined without a promotion
+ */
+function getRedemptionCreate(promotion, discount, customer) {
+  if (!promotion) return undefined;
+
+  const { phone, email } = normalizeCustomer(customer);
+  return {
+    create: {
+      promotionId: promotion.id,
+      customerPhone: phone,
+      customerEmail: email,
+      discount
+    }
+  };
+}
+
+/**
+ * Validate promotion input from the admin API, returns a list of error messages
+ */
+function validatePromotion(data) {
+  const errors = [];
+
+  if (!data.code) errors.push('Promo code is required');
+  if (!data.name) errors.push('Promotion name is required');
+
+  if (!PROMOTION_TYPES.includes(data.type)) {
+    errors.push(`type must be one of ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  if (['PERCENTAGE', 'FIXED_AMOUNT'].includes(data.type) && !(data.value > 0)) {
+    errors.push('value must be a positive number');
+  }
+
+  if (data.type === 'PERCENTAGE' && data.value > 100) {
+    errors.push('Percentage discount cannot exceed 100');
+  }
+
+  if (data.type === 'BUY_X_GET_Y' && !(data.buyQuantity >= 1 && data.getQuantity >= 1)) {
+    errors.push('buyQuantity and getQuantity must be at least 1');
+  }
+
+  if (data.validFrom && data.validUntil && new Date(data.validFrom) > new Date(data.validUntil)) {
+    errors.push('validFrom must be before validUntil');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  applyPromoCode,
+  calculatePromotionDiscount,
+  claimPromotionUse,
+  getRedemptionCreate,
+  validatePromotion,
+  normalizePromoCode,
+  normalizeCustomer
+};
@@ -0,0 +1,119 @@
+/**
+ * Palace Cafe & Street Food - Refunds
+ * Records refunds against card payments, whether issued from the admin API or
+ * from the Stripe dashboard, and marks the order refunded once nothing is left
+ *
+ * Stripe refund ids are unique, so the admin API and the charge.refunded webhook
+ * can both report the same refund without it being counted twice.
+ */
+
+const { transitionOrderStatus } = require('./order-status');
+const { syncOrderPaymentStatus } = require('./payments');
+
+/**
+ * Round a money amount to cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * The Stripe payment of an order that can be refunded, null when there is none
+ */
+function getRefundablePayment(payments) {
+  return payments.find(payment =>
+    payment.transactionId && ['COMPLETED', 'REFUNDED'].includes(payment.status)
+  ) || null;
+}
+
+/**
+ * Amount of a payment not refunded yet
+ */
+function getRefundableAmount(payment) {
+  return Math.max(0, roundMoney(payment.amount - payment.refundedAmount));
+}
+
+/**
+ * Record a refund on a payment and update the payment's refunded total
+ * `totalRefunded` is what Stripe reports as refunded on the charge; it wins over
+ * our own sum when higher, e.g. for refunds made before this was tracked.
+ * Returns { refund, payment, fullyRefunded }.
+ */
+async function recordRefund(prisma, payment, { stripeRefundId, amount, reason = null, adminId = null, totalRefunded = null }) {
+  // Only the admin API knows who refunded and why, keep that if the webhook was first
+  const refund = await prisma.refund.upsert({
+    where: { stripeRefundId },
+    create: {
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      amount: roundMoney(amount),
+      reason,
+      stripeRefundId,
+      adminId
+    },
+    update: adminId ? { adminId, reason } : {}
+  });
+
+  const recorded = await prisma.refund.aggregate({
+    where: { paymentId: payment.id },
+    _sum: { amount: true }
+  });
+
+  const refundedAmount = roundMoney(Math.min(
+    payment.amount,
+    Math.max(recorded._sum.amount || 0, totalRefunded || 0)
+  ));
+  const fullyRefunded = refundedAmount >= payment.amount;
+
+  const updatedPayment = await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      refundedAmount,
+      status: fullyRefunded ? 'REFUNDED' : payment.status
+    }
+  });
+
+  await syncOrderPaymentStatus(prisma, payment.orderId);
+
+  return { refund, payment: updatedPayment, fullyRefunded };
+}
+
+/**
+ * Move a fully refunded order to REFUNDED
+ * Orders still in progress are cancelled first, since only delivered or cancelled
+ * orders can be refunded. The status effects for REFUNDED cover the skipped
+ * cancellation too (open delivery, uncollected payment).
+ * Returns { order, changed } or { error, statusCode }.
+ */
+async function markOrderRefunded(prisma, orderId, { adminId = null, reason = null } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+
+  if (!order) {
+    return { error: 'Order not found', statusCode: 404 };
+  }
+
+  if (order.status === 'REFUNDED') {
+    return { order, changed: false };
+  }
+
+  if (order.status !== 'DELIVERED' && order.status !== 'CANCELLED') {
+    const cancelled = await transitionOrderStatus(prisma, orderId, 'CANCELLED', {
+      adminId,
+      reason: reason || 'Refunded'
+    });
+    if (cancelled.error) return cancelled;
+  }
+
+  const result = await transitionOrderStatus(prisma, orderId, 'REFUNDED', { adminId, reason });
+
+  if (result.error) return result;
+
+  return { order: result.order, changed: true };
+}
+
+module.exports = {
+  getRefundablePayment,
+  getRefundableAmount,
+  recordRefund,
+  markOrderRefunded
+};
@@ -0,0 +1,286 @@
+/**
+ * Palace Cafe & Street Food - Restaurant Schedule
+ * Interprets Restaurant.openingHours, holiday closures and the admin
+ * "pause orders" switch to decide whether orders are accepted right now
+ *
+ * openingHours JSON format (times are local restaurant time):
+ * {
+ *   "monday": [{ "open": "10:00", "close": "22:00" }],
+ *   "friday": [{ "open": "10:00", "close": "02:00" }],   // closes after midnight
+ *   "sunday": [],                                         // closed all day
+ *   "closures": [{ "from": "2026-12-24", "to": "2026-12-26", "reason": "Christmas" }]
+ * }
+ */
+
+const TIMEZONE = 'Europe/Bratislava';
+const PAUSE_SETTING_KEY = 'orders_paused_until';
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the local calendar parts of a date in the restaurant timezone
+ */
+function getLocalParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second)
+  };
+}
+
+/**
+ * Format a date as YYYY-MM-DD in the restaurant timezone
+ */
+function toLocalDateString(date) {
+  const { year, month, day } = getLocalParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a local wall-clock time in the restaurant timezone to a Date
+ */
+function localTimeToDate(year, month, day, hour, minute) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (timestamp) => {
+    const local = getLocalParts(new Date(timestamp));
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - timestamp;
+  };
+
+  // Apply the offset twice so times next to a DST switch land correctly
+  let timestamp = wallClock - offsetAt(wallClock);
+  timestamp = wallClock - offsetAt(timestamp);
+  return new Date(timestamp);
+}
+
+/**
+ * Whether an entry marks the day (or interval) closed, e.g. { closed: true } or { isOpen: false }
+ */
+function isClosedEntry(entry) {
+  return !entry || entry === 'closed' || entry.closed === true || entry.isOpen === false;
+}
+
+/**
+ * One day's entry as a list of intervals as stored, without closed markers
+ * Accepts an array of intervals, a single interval object, "10:00-22:00" or null/"closed"
+ */
+function getDayEntries(entry) {
+  if (isClosedEntry(entry)) return [];
+
+  if (typeof entry === 'string') {
+    const [open, close] = entry.split('-').map(part => part.trim());
+    return [{ open, close }];
+  }
+
+  return (Array.isArray(entry) ? entry : [entry]).filter(interval => !isClosedEntry(interval));
+}
+
+/**
+ * Normalize one day's entry into a list of valid { open, close } intervals
+ * Anything without HH:MM open and close times is treated as closed.
+ */
+function normalizeDayIntervals(entry) {
+  return getDayEntries(entry)
+    .filter(interval => TIME_PATTERN.test(interval?.open || '') && TIME_PATTERN.test(interval?.close || ''))
+    .map(({ open, close }) => ({ open, close }));
+}
+
+/**
+ * Validate an openingHours object, returns a list of error messages
+ */
+function validateOpeningHours(openingHours) {
+  const errors = [];
+
+  if (!openingHours || typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+    return ['openingHours must be an object'];
+  }
+
+  DAYS.forEach(day => {
+    getDayEntries(openingHours[day]).forEach(interval => {
+      if (!TIME_PATTERN.test(interval?.open || '') || !TIME_PATTERN.test(interval?.close || '')) {
+        errors.push(`Invalid opening hours for ${day}, use HH:MM times`);
+      }
+    });
+  });
+
+  (openingHours.closures || []).forEach(closure => {
+    if (!DATE_PATTERN.test(closure?.from || '') || (closure.to && !DATE_PATTERN.test(closure.to))) {
+      errors.push('Invalid closure, use YYYY-MM-DD dates');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find the closure covering a local date, if any
+ */
+function findClosure(openingHours, localDate) {
+  return (openingHours?.closures || []).find(closure =>
+    localDate >= closure.from && localDate <= (closure.to || closure.from)
+  ) || null;
+}
+
+/**
+ * Build the concrete open intervals between `from` and `days` days later
+ * Intervals on closure dates are left out. Each interval is { start, end } as Dates.
+ */
+function getOpenIntervals(openingHours, from, days = 7) {
+  const intervals = [];
+  const startParts = getLocalParts(from);
+
+  // Start one day back so intervals running past midnight are included
+  for (let offset = -1; offset <= days; offset++) {
+    const noon = new Date(Date.UTC(startParts.year, startParts.month - 1, startParts.day + offset, 12));
+    const year = noon.getUTCFullYear();
+    const month = noon.getUTCMonth() + 1;
+    const day = noon.getUTCDate();
+    const localDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+    if (findClosure(openingHours, localDate)) continue;
+
+    normalizeDayIntervals(openingHours[DAYS[noon.getUTCDay()]]).forEach(({ open, close }) => {
+      const [openHour, openMinute] = open.split(':').map(Number);
+      const [closeHour, closeMinute] = close.split(':').map(Number);
+      const closesNextDay = closeHour * 60 + closeMinute <= openHour * 60 + openMinute;
+
+      intervals.push({
+        start: localTimeToDate(year, month, day, openHour, openMinute),
+        end: localTimeToDate(year, month, day + (closesNextDay ? 1 : 0), closeHour, closeMinute)
+      });
+    });
+  }
+
+  return intervals.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Read the pause-until time set by an admin, null when orders are not paused
+ */
+async function getPausedUntil(prisma, now = new Date()) {
+  const setting = await prisma.setting.findUnique({ where: { key: PAUSE_SETTING_KEY } });
+  const pausedUntil = setting?.value ? new Date(setting.value) : null;
+  return pausedUntil && pausedUntil > now ? pausedUntil : null;
+}
+
+/**
+ * Work out whether the restaurant accepts orders at a given moment
+ * Restaurants without configured opening hours are treated as always open.
+ */
+function evaluateSchedule(openingHours, pausedUntil, now = new Date()) {
+  if (!openingHours) {
+    return {
+      isOpen: !pausedUntil,
+      reason: pausedUntil ? 'PAUSED' : null,
+      closesAt: null,
+      nextOpeningAt: pausedUntil,
+      pausedUntil,
+      closure: null
+    };
+  }
+
+  const intervals = getOpenIntervals(openingHours, now, 14);
+  const current = intervals.find(interval => interval.start <= now && now < interval.end);
+  const closure = findClosure(openingHours, toLocalDateString(now));
+
+  if (current && !pausedUntil) {
+    return { isOpen: true, reason: null, closesAt: current.end, nextOpeningAt: null, pausedUntil: null, closure: null };
+  }
+
+  // Next moment orders are accepted: the end of the pause if it falls in opening hours,
+  // otherwise the start of the next interval
+  const resumeFrom = pausedUntil || now;
+  const resumeInterval = intervals.find(interval => interval.end > resumeFrom);
+  let nextOpeningAt = null;
+  if (resumeInterval) {
+    nextOpeningAt = resumeInterval.start > resumeFrom ? resumeInterval.start : resumeFrom;
+  }
+
+  return {
+    isOpen: false,
+    reason: current ? 'PAUSED' : (closure ? 'HOLIDAY' : 'CLOSED'),
+    closesAt: current ? current.end : null,
+    nextOpeningAt,
+    pausedUntil,
+    closure
+  };
+}
+
+/**
+ * Load the restaurant schedule and evaluate it for now
+ */
+async function getScheduleStatus(prisma, now = new Date()) {
+  const [restaurant, pausedUntil] = await Promise.all([
+    prisma.restaurant.findFirst(),
+    getPausedUntil(prisma, now)
+  ]);
+
+  return evaluateSchedule(restaurant?.openingHours || null, pausedUntil, now);
+}
+
+/**
+ * Pause incoming orders for a number of minutes
+ */
+async function pauseOrders(prisma, minutes) {
+  const pausedUntil = new Date(Date.now() + minutes * 60000);
+
+  await prisma.setting.upsert({
+    where: { key: PAUSE_SETTING_KEY },
+    update: { value: pausedUntil.toISOString() },
+    create: { key: PAUSE_SETTING_KEY, value: pausedUntil.toISOString(), type: 'string' }
+  });
+
+  return pausedUntil;
+}
+
+/**
+ * Resume accepting orders before the pause runs out
+ */
+async function resumeOrders(prisma) {
+  await prisma.setting.deleteMany({ where: { key: PAUSE_SETTING_KEY } });
+}
+
+/**
+ * Customer-facing message for a closed schedule
+ */
+function getClosedMessage(schedule) {
+  if (schedule.reason === 'PAUSED') {
+    return 'We are not accepting new orders at the moment, please try again shortly';
+  }
+  if (schedule.reason === 'HOLIDAY') {
+    return 'The restaurant is closed today';
+  }
+  return 'The restaurant is currently closed';
+}
+
+module.exports = {
+  TIMEZONE,
+  getScheduleStatus,
+  evaluateSchedule,
+  getOpenIntervals,
+  validateOpeningHours,
+  pauseOrders,
+  resumeOrders,
+  getClosedMessage,
+  getPausedUntil,
+  getLocalParts,
+  localTimeToDate,
+  toLocalDateString
+};
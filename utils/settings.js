@@ -0,0 +1,67 @@
+/**
+ * Palace Cafe & Street Food - Settings
+ * Typed access to the key/value Setting table with code defaults
+ */
+
+/**
+ * Convert a stored setting value to its declared type
+ */
+function parseSettingValue(setting) {
+  switch (setting.type) {
+    case 'number':
+      return parseFloat(setting.value);
+    case 'boolean':
+      return setting.value === 'true';
+    case 'json':
+      return JSON.parse(setting.value);
+    default:
+      return setting.value;
+  }
+}
+
+/**
+ * Read several settings at once, falling back to the given defaults
+ * `defaults` maps setting keys to default values, the result uses the same keys
+ */
+async function getSettings(prisma, defaults) {
+  const stored = await prisma.setting.findMany({
+    where: { key: { in: Object.keys(defaults) } }
+  });
+
+  const values = { ...defaults };
+  stored.forEach(setting => {
+    const value = parseSettingValue(setting);
+    if (value !== null && !Number.isNaN(value)) {
+      values[setting.key] = value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Read a single setting, falling back to a default
+ */
+async function getSetting(prisma, key, defaultValue) {
+  const values = await getSettings(prisma, { [key]: defaultValue });
+  return values[key];
+}
+
+/**
+ * Create or update a setting
+ */
+async function setSetting(prisma, key, value, type = 'string') {
+  const stored = type === 'json' ? JSON.stringify(value) : String(value);
+
+  return prisma.setting.upsert({
+    where: { key },
+    update: { value: stored, type },
+    create: { key, value: stored, type }
+  });
+}
+
+module.exports = {
+  getSettings,
+  getSetting,
+  setSetting
+};
@@ -0,0 +1,63 @@
+/**
+ * Palace Cafe & Street Food - SMS Service
+ * Short text messages through an HTTP SMS gateway
+ * Configured with SMS_API_URL, SMS_API_KEY and SMS_SENDER
+ */
+
+const SMS_CONFIG = {
+  apiUrl: process.env.SMS_API_URL,
+  apiKey: process.env.SMS_API_KEY,
+  sender: process.env.SMS_SENDER || 'PalaceCafe'
+};
+
+/**
+ * Send a text message, returns { success } or { success: false, error }
+ */
+async function sendSms(phone, message) {
+  if (!SMS_CONFIG.apiUrl) {
+    console.log(`⚠️ SMS not configured - SMS_API_URL not set, message to ${phone} not sent`);
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📱 [dev] SMS to ${phone}: ${message}`);
+    }
+    return { success: false, error: 'SMS not configured' };
+  }
+
+  try {
+    const response = await fetch(SMS_CONFIG.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${SMS_CONFIG.apiKey}`
+      },
+      body: JSON.stringify({
+        to: phone,
+        from: SMS_CONFIG.sender,
+        text: message
+      })
+    });
+
+    if (!response.ok) {
+      console.error(`❌ SMS gateway responded with ${response.status}`);
+      return { success: false, error: `SMS gateway responded with ${response.status}` };
+    }
+
+    console.log(`📱 SMS sent to ${phone}`);
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Failed to send SMS:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a phone verification code
+ */
+async function sendPhoneVerificationSms(phone, code) {
+  return sendSms(phone, `Palace Cafe: overovaci kod / ellenorzo kod: ${code}`);
+}
+
+module.exports = {
+  sendSms,
+  sendPhoneVerificationSms
+};
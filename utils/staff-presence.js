@@ -0,0 +1,99 @@
+/**
+ * Palace Cafe & Street Food - Staff Presence
+ * Which staff are connected to the dashboard and which orders they are viewing or handling
+ *
+ * Kept in memory per server process, one entry per socket; an admin with several
+ * tabs open is listed once with the orders of all their tabs.
+ */
+
+// Admin socket events only some roles receive, all other events go to everyone
+const ADMIN_EVENT_ROLES = {
+  disputeAlert: ['SUPER_ADMIN', 'ADMIN', 'MANAGER']
+};
+
+const connections = new Map();
+
+/**
+ * Socket.io room of the connected staff with a role
+ */
+function getRoleRoom(role) {
+  return `role:${role}`;
+}
+
+/**
+ * Roles receiving an admin event, null when everyone does
+ */
+function getEventRoles(event) {
+  return ADMIN_EVENT_ROLES[event] || null;
+}
+
+/**
+ * Register a dashboard connection of an admin
+ */
+function addConnection(socketId, admin) {
+  connections.set(socketId, {
+    admin,
+    connectedAt: new Date(),
+    viewingOrderId: null,
+    handlingOrderId: null
+  });
+}
+
+/**
+ * Forget a closed dashboard connection
+ */
+function removeConnection(socketId) {
+  connections.delete(socketId);
+}
+
+/**
+ * Record the order a connection has open, null when none
+ */
+function setViewingOrder(socketId, orderId) {
+  const connection = connections.get(socketId);
+  if (connection) connection.viewingOrderId = orderId;
+}
+
+/**
+ * Record the order a connection is working on, null when none
+ */
+function setHandlingOrder(socketId, orderId) {
+  const connection = connections.get(socketId);
+  if (connection) connection.handlingOrderId = orderId;
+}
+
+/**
+ * Connected staff, one entry per admin
+ */
+function getConnectedStaff() {
+  const staff = new Map();
+
+  connections.forEach(({ admin, connectedAt, viewingOrderId, handlingOrderId }) => {
+    const entry = staff.get(admin.id) || {
+      ...admin,
+      connectedAt,
+      connections: 0,
+      viewingOrderIds: [],
+      handlingOrderIds: []
+    };
+
+    entry.connections += 1;
+    if (connectedAt < entry.connectedAt) entry.connectedAt = connectedAt;
+    if (viewingOrderId && !entry.viewingOrderIds.includes(viewingOrderId)) entry.viewingOrderIds.push(viewingOrderId);
+    if (handlingOrderId && !entry.handlingOrderIds.includes(handlingOrderId)) entry.handlingOrderIds.push(handlingOrderId);
+
+    staff.set(admin.id, entry);
+  });
+
+  return [...staff.values()];
+}
+
+module.exports = {
+  getRoleRoom,
+  getEventRoles,
+  addConnection,
+  removeConnection,
+  setViewingOrder,
+  setHandlingOrder,
+  getConnectedStaff
+};